@@ -0,0 +1,137 @@
+/**
+ * Ourotus Atlas - Collaboration Server v2.0
+ *
+ * Optional local server for editing one world from several browsers at once. It serves the
+ * app, keeps the shared world on disk (see store.js) and relays record changes between
+ * clients over a WebSocket at /sync. Node built-ins only:
+ *
+ *   node server/server.js [--port 8080] [--host localhost] [--world shared]
+ *                         [--data server/worlds] [--seed export.json]
+ *
+ * Protocol (JSON messages):
+ *   client  { type: 'hello' }                 -> { type: 'welcome', world, seq, records: [{ key, version, value }] }
+ *   client  { type: 'put', key, base, value } -> { type: 'ack', key, version }
+ *                                             or { type: 'conflict', key, version, value }
+ *   others get                                   { type: 'update', key, version, value }
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const WebSocket = require('./websocket');
+const Store = require('./store');
+
+const root = path.resolve(__dirname, '..');
+const types = {
+  '.html': 'text/html; charset=utf-8', '.js': 'text/javascript; charset=utf-8', '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8', '.png': 'image/png', '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg',
+  '.svg': 'image/svg+xml', '.webp': 'image/webp', '.mp3': 'audio/mpeg', '.wav': 'audio/wav', '.ico': 'image/x-icon'
+};
+// Only the app itself is served, never the server, the world files or the repository. Paths
+// are relative to the repository root.
+const served = ['index.html', 'config.json', 'src/', 'data/', 'assets/'];
+
+const Server = {
+  options: { port: 8080, host: 'localhost', world: 'shared', data: path.join(__dirname, 'worlds'), seed: null },
+  clients: new Set(),
+  store: null,
+
+  parseArgs(argv) {
+    const o = { ...this.options };
+    for (let i = 0; i < argv.length; i++) {
+      const m = argv[i].match(/^--(port|host|world|data|seed)$/);
+      if (!m || argv[i + 1] === undefined) throw new Error(`Unknown or incomplete option "${argv[i]}"`);
+      o[m[1]] = m[1] === 'port' ? parseInt(argv[++i], 10) : argv[++i];
+    }
+    if (!/^[\w-]+$/.test(o.world)) throw new Error('--world may only use letters, digits, _ and -');
+    return o;
+  },
+
+  start(options = this.options) {
+    const seed = options.seed ? JSON.parse(fs.readFileSync(options.seed, 'utf8')) : null;
+    this.store = Store.open(path.join(options.data, `${options.world}.json`), seed);
+    this.world = options.world;
+    const server = http.createServer((req, res) => {
+      try { this.onRequest(req, res); } catch (e) { this.reply(res, 400, 'Bad request'); }
+    });
+    server.on('upgrade', (req, socket) => {
+      if (!/^\/sync(\?|$)/.test(req.url)) { socket.destroy(); return; }
+      if (!this.sameOrigin(req)) { socket.end('HTTP/1.1 403 Forbidden\r\n\r\n'); return; }
+      const conn = WebSocket.accept(req, socket);
+      if (conn) this.onConnection(conn);
+    });
+    server.listen(options.port, options.host, () => {
+      console.log(`Ourotus Atlas server: http://${options.host}:${server.address().port}/ (world "${options.world}", ${this.store.records.size} records)`);
+    });
+    return server;
+  },
+
+  // Browsers do not apply CORS to WebSockets, so any page could otherwise write to the world.
+  // Only pages served from this server may connect; clients that send no Origin are not browsers.
+  sameOrigin(req) {
+    const origin = req.headers.origin;
+    if (!origin) return true;
+    try { return new URL(origin).host === req.headers.host; } catch (e) { return false; }
+  },
+
+  onRequest(req, res) {
+    const url = new URL(req.url, 'http://x');
+    if (req.method !== 'GET' && req.method !== 'HEAD') { this.reply(res, 405, 'Method not allowed'); return; }
+    if (url.pathname === '/api/info') {
+      this.reply(res, 200, JSON.stringify({ server: 'ourotus-atlas', world: this.world, seq: this.store.seq, clients: this.clients.size }), types['.json']);
+      return;
+    }
+    let pathname;
+    try { pathname = decodeURIComponent(url.pathname === '/' ? '/index.html' : url.pathname); } catch (e) { pathname = null; }
+    if (!pathname || pathname.includes('\0')) { this.reply(res, 400, 'Bad request'); return; }
+    // Checked after resolving, so escaped separators and ".." cannot step outside the list.
+    const file = path.resolve(root, `.${path.sep}${path.normalize(pathname)}`);
+    const rel = path.relative(root, file).split(path.sep).join('/');
+    if (rel.startsWith('..') || path.isAbsolute(rel) || !served.some(p => rel === p || (p.endsWith('/') && rel.startsWith(p)))) {
+      this.reply(res, 404, 'Not found');
+      return;
+    }
+    fs.readFile(file, (err, data) => {
+      if (err) { this.reply(res, 404, 'Not found'); return; }
+      res.writeHead(200, { 'Content-Type': types[path.extname(file).toLowerCase()] || 'application/octet-stream', 'Cache-Control': 'no-cache' });
+      res.end(req.method === 'HEAD' ? undefined : data);
+    });
+  },
+
+  reply(res, status, body, type = 'text/plain; charset=utf-8') {
+    res.writeHead(status, { 'Content-Type': type });
+    res.end(body);
+  },
+
+  onConnection(conn) {
+    this.clients.add(conn);
+    conn.on('close', () => this.clients.delete(conn));
+    conn.on('message', msg => {
+      if (msg?.type === 'hello') conn.send({ type: 'welcome', world: this.world, seq: this.store.seq, records: this.store.snapshot() });
+      else if (msg?.type === 'put') this.onPut(conn, msg);
+    });
+  },
+
+  onPut(conn, { key, base, value }) {
+    if (!this.store.validKey(key) || !Number.isInteger(base) || (value !== null && typeof value !== 'object')) {
+      conn.send({ type: 'error', key, message: 'Invalid change' });
+      return;
+    }
+    const result = this.store.put(key, base, value);
+    if (!result.ok) { conn.send({ type: 'conflict', key, version: result.version, value: result.value }); return; }
+    conn.send({ type: 'ack', key, version: result.version });
+    this.clients.forEach(c => { if (c !== conn) c.send({ type: 'update', key, version: result.version, value: value ?? null }); });
+  }
+};
+
+if (require.main === module) {
+  let server;
+  try { server = Server.start(Server.parseArgs(process.argv.slice(2))); } catch (e) { console.error(e.message); process.exit(1); }
+  const stop = (code) => { Server.store.saveNow(); server.close(); process.exit(code); };
+  process.on('SIGINT', () => stop(0));
+  process.on('SIGTERM', () => stop(0));
+  // Writes still waiting for the debounced save are not lost when something unexpected fails.
+  process.on('uncaughtException', e => { console.error(e); stop(1); });
+}
+
+module.exports = Server;
@@ -0,0 +1,274 @@
+/**
+ * Ourotus Atlas - Collaboration Server Tests
+ *
+ * Node built-ins only: node --test server/
+ * Runs the store on its own, then a real server on a free port with WebSocket clients that
+ * speak the protocol the way a browser does (masked frames), and finally the browser's Collab
+ * module against that server, with IndexedDB left out.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const net = require('net');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const vm = require('vm');
+const crypto = require('crypto');
+const Store = require('./store');
+const Server = require('./server');
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'ourotus-server-'));
+const wait = ms => new Promise(r => setTimeout(r, ms));
+
+// A masked client frame; `fin` false leaves the message open for continuation frames.
+function frame(opcode, payload, fin = true) {
+  const mask = crypto.randomBytes(4);
+  const len = payload.length;
+  const head = len < 126 ? Buffer.from([(fin ? 0x80 : 0) | opcode, 0x80 | len])
+    : Buffer.from([(fin ? 0x80 : 0) | opcode, 0x80 | 126, len >> 8, len & 0xff]);
+  const body = Buffer.from(payload);
+  for (let i = 0; i < len; i++) body[i] ^= mask[i & 3];
+  return Buffer.concat([head, mask, body]);
+}
+
+// Opens /sync with a raw socket and collects the server's JSON messages.
+function connect(port, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const socket = net.connect(port, 'localhost');
+    const client = { socket, messages: [], status: null, closed: false };
+    let buffer = Buffer.alloc(0);
+    socket.on('data', chunk => {
+      buffer = Buffer.concat([buffer, chunk]);
+      if (!client.status) {
+        const end = buffer.indexOf('\r\n\r\n');
+        if (end === -1) return;
+        client.status = parseInt(buffer.toString('latin1', 9, 12), 10);
+        buffer = buffer.subarray(end + 4);
+        resolve(client);
+      }
+      while (buffer.length >= 2) {
+        let len = buffer[1] & 0x7f, offset = 2;
+        if (len === 126) { if (buffer.length < 4) return; len = buffer.readUInt16BE(2); offset = 4; }
+        else if (len === 127) { if (buffer.length < 10) return; len = Number(buffer.readBigUInt64BE(2)); offset = 10; }
+        if (buffer.length < offset + len) return;
+        const opcode = buffer[0] & 0x0f, payload = buffer.subarray(offset, offset + len);
+        buffer = buffer.subarray(offset + len);
+        if (opcode === 0x1) client.messages.push(JSON.parse(payload.toString('utf8')));
+      }
+    });
+    socket.on('close', () => { client.closed = true; if (!client.status) resolve(client); });
+    socket.on('error', reject);
+    const lines = ['GET /sync HTTP/1.1', `Host: localhost:${port}`, 'Upgrade: websocket', 'Connection: Upgrade',
+      `Sec-WebSocket-Key: ${crypto.randomBytes(16).toString('base64')}`, 'Sec-WebSocket-Version: 13',
+      ...Object.entries(headers).map(([k, v]) => `${k}: ${v}`)];
+    socket.write(lines.join('\r\n') + '\r\n\r\n');
+  });
+}
+
+const send = (client, msg) => client.socket.write(frame(0x1, Buffer.from(JSON.stringify(msg))));
+
+// The next message that `match`es, waiting for it if it has not arrived yet.
+async function next(client, match = () => true) {
+  for (let i = 0; i < 100; i++) {
+    const i2 = client.messages.findIndex(match);
+    if (i2 !== -1) return client.messages.splice(i2, 1)[0];
+    await wait(20);
+  }
+  throw new Error('No message');
+}
+
+function get(port, urlPath) {
+  return new Promise((resolve, reject) => {
+    // Written raw, so the path reaches the server exactly as given.
+    const socket = net.connect(port, 'localhost', () => socket.write(`GET ${urlPath} HTTP/1.0\r\nHost: localhost\r\n\r\n`));
+    let data = '';
+    socket.on('data', c => { data += c; });
+    socket.on('end', () => resolve({ status: parseInt(data.slice(9, 12), 10), body: data.slice(data.indexOf('\r\n\r\n') + 4) }));
+    socket.on('error', reject);
+  });
+}
+
+test('store: versions, conflicts, deletes and seeding', () => {
+  const file = path.join(tmp, 'store.json');
+  const store = Store.open(file, { data: { meta: { name: 'Seeded' }, pages: [{ id: 'p1', title: 'A' }], hexmap: { settings: { width: 2 }, hexes: [{ q: 0, r: 1, biomeId: 'b' }] } } });
+  assert.deepStrictEqual([...store.records.keys()].sort(), ['hexes/0,1', 'hexmap/world_hexmap', 'meta/world_meta', 'pages/p1']);
+  assert.strictEqual(store.records.get('hexmap/world_hexmap').value.hexes, undefined);
+
+  assert.deepStrictEqual(store.put('pages/p1', 1, { id: 'p1', title: 'B' }), { ok: true, version: 2 });
+  assert.deepStrictEqual(store.put('pages/p1', 1, { id: 'p1', title: 'C' }), { ok: false, version: 2, value: { id: 'p1', title: 'B' } });
+  assert.deepStrictEqual(store.put('pages/p2', 0, { id: 'p2' }), { ok: true, version: 1 });
+  assert.strictEqual(store.put('pages/p3', 1, { id: 'p3' }).ok, false);
+
+  // A delete keeps the record as null, so clients that were offline learn about it.
+  assert.deepStrictEqual(store.put('pages/p1', 2, null), { ok: true, version: 3 });
+  assert.deepStrictEqual(store.snapshot().find(r => r.key === 'pages/p1'), { key: 'pages/p1', version: 3, value: null });
+  assert.strictEqual(store.validKey('pages/'), false);
+  assert.strictEqual(store.validKey('secrets/x'), false);
+
+  store.saveNow();
+  const reopened = Store.open(file);
+  assert.strictEqual(reopened.seq, store.seq);
+  assert.deepStrictEqual(reopened.snapshot(), store.snapshot());
+  assert.strictEqual(Store.open(path.join(tmp, 'empty.json')).isEmpty(), true);
+});
+
+// A server for one test on a free port, with a world of its own.
+async function serve(t, world) {
+  const server = Server.start({ ...Server.options, port: 0, data: tmp, world });
+  await new Promise(r => server.once('listening', r));
+  t.after(() => {
+    Server.clients.forEach(c => c.close());
+    Server.store.saveNow();
+    server.close();
+  });
+  return server.address().port;
+}
+
+test('server', async (t) => {
+  const port = await serve(t, 'test');
+
+  await t.test('serves the app and nothing else', async () => {
+    assert.strictEqual((await get(port, '/')).status, 200);
+    assert.strictEqual((await get(port, '/src/js/collab.js')).status, 200);
+    assert.strictEqual(JSON.parse((await get(port, '/api/info')).body).world, 'test');
+    for (const p of ['/server/server.js', '/src/../server/server.js', '/src/..%2fserver%2fserver.js', '/src/..%2fserver%2fworlds%2ftest.json', '/src/%2e%2e/%2e%2e/etc/passwd', '/requests.jsonl']) {
+      assert.strictEqual((await get(port, p)).status, 404, p);
+    }
+  });
+
+  await t.test('survives malformed paths', async () => {
+    assert.strictEqual((await get(port, '/src/%E0%A4%A')).status, 400);
+    assert.strictEqual((await get(port, '/src/%00.js')).status, 400);
+    assert.strictEqual((await get(port, '/api/info')).status, 200);
+  });
+
+  await t.test('refuses WebSockets from other sites', async () => {
+    const foreign = await connect(port, { Origin: 'http://evil.example' });
+    assert.strictEqual(foreign.status, 403);
+    const own = await connect(port, { Origin: `http://localhost:${port}` });
+    assert.strictEqual(own.status, 101);
+    own.socket.destroy();
+  });
+
+  await t.test('put, ack, update and conflict', async () => {
+    const a = await connect(port), b = await connect(port);
+    send(a, { type: 'hello' });
+    assert.strictEqual((await next(a)).type, 'welcome');
+
+    send(a, { type: 'put', key: 'pages/x', base: 0, value: { id: 'x', title: 'From A' } });
+    assert.deepStrictEqual(await next(a), { type: 'ack', key: 'pages/x', version: 1 });
+    assert.deepStrictEqual(await next(b), { type: 'update', key: 'pages/x', version: 1, value: { id: 'x', title: 'From A' } });
+
+    send(b, { type: 'put', key: 'pages/x', base: 0, value: { id: 'x', title: 'From B' } });
+    assert.deepStrictEqual(await next(b), { type: 'conflict', key: 'pages/x', version: 1, value: { id: 'x', title: 'From A' } });
+    send(b, { type: 'put', key: 'pages/x', base: 1, value: null });
+    assert.deepStrictEqual(await next(b), { type: 'ack', key: 'pages/x', version: 2 });
+    assert.deepStrictEqual(await next(a), { type: 'update', key: 'pages/x', version: 2, value: null });
+
+    send(a, { type: 'put', key: 'nope/x', base: 0, value: {} });
+    assert.strictEqual((await next(a)).type, 'error');
+    a.socket.destroy();
+    b.socket.destroy();
+  });
+
+  await t.test('reads fragmented and split frames', async () => {
+    const c = await connect(port);
+    const json = Buffer.from(JSON.stringify({ type: 'put', key: 'pages/f', base: 0, value: { id: 'f', text: 'y'.repeat(300) } }));
+    const bytes = Buffer.concat([frame(0x1, json.subarray(0, 100), false), frame(0x9, Buffer.from('hi')), frame(0x0, json.subarray(100), true)]);
+    // One byte at a time, so every length and mask boundary is crossed mid-chunk.
+    for (const byte of bytes) { c.socket.write(Buffer.from([byte])); }
+    assert.deepStrictEqual(await next(c, m => m.type === 'ack'), { type: 'ack', key: 'pages/f', version: 1 });
+    c.socket.destroy();
+  });
+});
+
+test('Collab reconciles offline edits with the server', async (t) => {
+  const port = await serve(t, 'collab');
+  {
+    const A = collabClient(port, 'A'), B = collabClient(port, 'B');
+    const run = (c, code) => vm.runInContext(code, c);
+    run(A, `DB.data.meta = { id: 'world_meta', name: 'W' };
+      DB.data.pages = [{ id: 'p1', title: 'One', content: 'a' }, { id: 'p2', title: 'Two', content: 'b' }];
+      DB.data.hexmap = { settings: { width: 2, height: 2 }, markers: [], hexes: [{ q: 0, r: 0, biomeId: 'x' }] };`);
+    await run(A, `Collab.start()`);
+    await until(() => run(A, `Collab.status === 'online' && Collab.outbox.size === 0`));
+    assert.ok(Server.store.records.has('hexes/0,0'));
+
+    // A client that has never synced takes the server's world.
+    await run(B, `Collab.start()`);
+    await until(() => run(B, `Collab.status === 'online'`));
+    assert.strictEqual(run(B, `DB.data.pages.map(p => p.content).join()`), 'a,b');
+
+    // B goes offline, edits p1 and a hex; A edits p1 and p2 meanwhile.
+    run(B, `Collab.stop(); Collab.setStatus('offline')`);
+    run(B, `DB.updatePage('p1', { content: 'b-edit' }); DB.updateHex(0, 0, { biomeId: 'y' })`);
+    await run(B, `DB.saveAllToCache()`);
+    assert.strictEqual(run(B, `[...Collab.outbox].sort().join()`), 'hexes/0,0,pages/p1');
+    run(A, `DB.updatePage('p1', { content: 'a-edit' }); DB.updatePage('p2', { content: 'a-only' })`);
+    await run(A, `DB.saveAllToCache()`);
+    await until(() => run(A, `Collab.outbox.size === 0`));
+
+    // Back online: p2 is taken from the server, p1 is a conflict B keeps, the hex goes through.
+    run(B, `Collab.connect()`);
+    await until(() => run(B, `Collab.status === 'online' && Collab.outbox.size === 0`));
+    assert.deepStrictEqual(run(B, `conflicts`), ['pages/p1']);
+    assert.strictEqual(run(B, `DB.getPage('p2').content`), 'a-only');
+    await until(() => run(A, `DB.getPage('p1').content === 'b-edit' && DB.getHex(0, 0).biomeId === 'y'`));
+    run(A, `Collab.stop()`);
+    run(B, `Collab.stop()`);
+  }
+});
+
+async function until(check) {
+  for (let i = 0; i < 150; i++) { if (check()) return; await wait(20); }
+  throw new Error('Timed out');
+}
+
+// The browser's DB and Collab modules in a context of their own. IndexedDB is not part of the
+// test: reading and writing stores resolve at once, and saves still go through saveAllToCache.
+function collabClient(port, tag) {
+  const ctx = { console, structuredClone, setTimeout, clearTimeout, URL, JSON, Promise, conflicts: [] };
+  ctx.window = ctx;
+  ctx.location = { protocol: 'http:', host: `localhost:${port}`, href: `http://localhost:${port}/` };
+  ctx.Revisions = { snapshot: async () => {} };
+  ctx.WebSocket = browserSocket(port);
+  vm.createContext(ctx);
+  const root = path.join(__dirname, '..', 'src', 'js');
+  ['db.js', 'collab.js'].forEach(f => vm.runInContext(fs.readFileSync(path.join(root, f), 'utf8'), ctx, { filename: f }));
+  vm.runInContext(`
+    DB.name = 'test-${tag}';
+    DB.writeChanges = async () => {};
+    DB.writeTables = async () => {};
+    DB.getAll = async () => [];
+    DB.put = async () => {};
+    Collab.server = { world: 'test' };
+    Collab.dbName = DB.name;
+    DB.on('sync', d => { if (d?.written && Collab.status !== 'off') Collab.track(d.written); });
+    Collab.onConflict = c => { conflicts.push(c.table + '/' + c.id); return Promise.resolve('mine'); };`, ctx);
+  return ctx;
+}
+
+// Enough of the browser WebSocket for Collab, over the same raw client as the tests above.
+function browserSocket(port) {
+  return class {
+    static OPEN = 1;
+    constructor() {
+      this.readyState = 0;
+      connect(port).then(c => {
+        this.client = c;
+        this.readyState = 1;
+        let seen = 0;
+        const poll = setInterval(() => {
+          while (seen < c.messages.length) this.onmessage?.({ data: JSON.stringify(c.messages[seen++]) });
+          if (c.closed) { clearInterval(poll); this.readyState = 3; this.onclose?.(); }
+        }, 5);
+        c.socket.on('close', () => { c.closed = true; });
+        this.onopen?.();
+      }, () => { this.readyState = 3; this.onclose?.(); });
+    }
+    send(data) { this.client && send(this.client, JSON.parse(data)); }
+    close() { this.client?.socket.destroy(); }
+  };
+}
@@ -0,0 +1,96 @@
+/**
+ * Ourotus Atlas - Server World Store v2.0
+ *
+ * The authoritative copy of a shared world, kept in one JSON file. The world is split into
+ * records keyed "table/id" as the client sees them: one per notebook, section, page, biome,
+ * celestial body and texture, one per hex ("hexes/q,r"), and single records for meta and the
+ * rest of the hexmap. Every record has a version; a write names the version it was based on
+ * and is refused if the record has moved on since. Deleted records stay as null values so a
+ * client coming back online learns about the delete.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const tables = ['meta', 'biomes', 'hexmap', 'hexes', 'notebooks', 'sections', 'pages', 'celestial', 'textures'];
+const recordKeys = { meta: 'world_meta', hexmap: 'world_hexmap' };
+
+const Store = {
+  saveDelay: 1000,
+
+  // Loads `file`, or starts the world from `seed` (an Atlas export) when there is no file yet.
+  open(file, seed = null) {
+    const store = Object.create(this);
+    store.file = file;
+    store.seq = 0;
+    store.records = new Map();
+    store.timer = null;
+    if (fs.existsSync(file)) {
+      const json = JSON.parse(fs.readFileSync(file, 'utf8'));
+      store.seq = json.seq || 0;
+      Object.entries(json.records || {}).forEach(([key, rec]) => store.records.set(key, rec));
+    } else if (seed) {
+      store.split(seed.data || seed).forEach(([key, value]) => store.records.set(key, { version: 1, value }));
+      store.seq = store.records.size;
+      store.saveNow();
+    }
+    return store;
+  },
+
+  // [key, value] pairs for the tables of a whole world.
+  split(data) {
+    const out = [];
+    tables.forEach(t => {
+      const v = data[t];
+      if (t === 'hexes' || v == null) return;
+      if (t === 'hexmap') {
+        const { hexes = [], ...rest } = v;
+        out.push([`hexmap/${recordKeys.hexmap}`, { ...rest, id: recordKeys.hexmap }]);
+        hexes.forEach(h => out.push([`hexes/${h.q},${h.r}`, h]));
+      } else if (recordKeys[t]) out.push([`${t}/${recordKeys[t]}`, { ...v, id: recordKeys[t] }]);
+      else (Array.isArray(v) ? v : []).forEach(x => x?.id && out.push([`${t}/${x.id}`, x]));
+    });
+    return out;
+  },
+
+  validKey(key) {
+    const [table, ...rest] = String(key).split('/');
+    return tables.includes(table) && rest.join('/').length > 0;
+  },
+
+  snapshot() {
+    return [...this.records].map(([key, rec]) => ({ key, version: rec.version, value: rec.value }));
+  },
+
+  isEmpty() { return ![...this.records.values()].some(r => r.value !== null); },
+
+  // Applies a write based on version `base` (0 for a record the client thinks is new). Returns
+  // { ok, version } or, when someone else wrote first, { ok: false } with the current record.
+  put(key, base, value) {
+    const cur = this.records.get(key);
+    const version = cur?.version || 0;
+    if (base !== version) return { ok: false, version, value: cur ? cur.value : null };
+    this.records.set(key, { version: version + 1, value: value ?? null });
+    this.seq++;
+    this.scheduleSave();
+    return { ok: true, version: version + 1 };
+  },
+
+  scheduleSave() {
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.saveNow(), this.saveDelay);
+  },
+
+  // Written to a temporary file first and renamed over the old one, so a crash mid-write
+  // never leaves a truncated world.
+  saveNow() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const tmp = `${this.file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ seq: this.seq, records: Object.fromEntries(this.records) }));
+    fs.renameSync(tmp, this.file);
+  }
+};
+
+module.exports = Store;
@@ -0,0 +1,116 @@
+/**
+ * Ourotus Atlas - Server WebSocket v2.0
+ *
+ * Just enough of RFC 6455 for the sync protocol: the upgrade handshake, text messages (also
+ * fragmented ones), ping/pong and close. Messages are JSON both ways.
+ */
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+const GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const OP = { continuation: 0x0, text: 0x1, binary: 0x2, close: 0x8, ping: 0x9, pong: 0xa };
+
+const WebSocket = {
+  maxMessage: 64 * 1024 * 1024,
+  pingInterval: 30000,
+
+  // Answers an HTTP upgrade request; returns the connection, or null after refusing it.
+  accept(req, socket) {
+    const key = req.headers['sec-websocket-key'];
+    if (req.headers.upgrade?.toLowerCase() !== 'websocket' || !key) {
+      socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+      return null;
+    }
+    const hash = crypto.createHash('sha1').update(key + GUID).digest('base64');
+    socket.write(['HTTP/1.1 101 Switching Protocols', 'Upgrade: websocket', 'Connection: Upgrade', `Sec-WebSocket-Accept: ${hash}`, '', ''].join('\r\n'));
+    socket.setNoDelay(true);
+    return this.connection(socket);
+  },
+
+  connection(socket) {
+    const conn = new EventEmitter();
+    let buffer = Buffer.alloc(0);
+    let parts = [];
+    let alive = true;
+    let closed = false;
+
+    const frame = (opcode, payload = Buffer.alloc(0)) => {
+      const len = payload.length;
+      const head = len < 126 ? Buffer.from([0x80 | opcode, len])
+        : len < 65536 ? Buffer.from([0x80 | opcode, 126, len >> 8, len & 0xff])
+        : Buffer.concat([Buffer.from([0x80 | opcode, 127]), (() => { const b = Buffer.alloc(8); b.writeBigUInt64BE(BigInt(len)); return b; })()]);
+      if (!socket.destroyed) socket.write(Buffer.concat([head, payload]));
+    };
+
+    const finish = () => {
+      if (closed) return;
+      closed = true;
+      clearInterval(timer);
+      socket.destroy();
+      conn.emit('close');
+    };
+
+    conn.send = (msg) => { if (!closed) frame(OP.text, Buffer.from(JSON.stringify(msg))); };
+    conn.close = (code = 1000) => {
+      if (closed) return;
+      const b = Buffer.alloc(2);
+      b.writeUInt16BE(code);
+      frame(OP.close, b);
+      socket.end();
+      finish();
+    };
+
+    const message = (data) => {
+      let msg;
+      try { msg = JSON.parse(data.toString('utf8')); } catch (e) { conn.close(1007); return; }
+      conn.emit('message', msg);
+    };
+
+    // Returns the next complete frame off `buffer`, or null if more bytes are needed.
+    const next = () => {
+      if (buffer.length < 2) return null;
+      const fin = !!(buffer[0] & 0x80), opcode = buffer[0] & 0x0f, masked = !!(buffer[1] & 0x80);
+      let len = buffer[1] & 0x7f, offset = 2;
+      if (len === 126) { if (buffer.length < 4) return null; len = buffer.readUInt16BE(2); offset = 4; }
+      else if (len === 127) { if (buffer.length < 10) return null; len = Number(buffer.readBigUInt64BE(2)); offset = 10; }
+      if (len > this.maxMessage) return { opcode: -1 };
+      const maskAt = offset;
+      if (masked) offset += 4;
+      if (buffer.length < offset + len) return null;
+      const payload = Buffer.from(buffer.subarray(offset, offset + len));
+      if (masked) for (let i = 0; i < len; i++) payload[i] ^= buffer[maskAt + (i & 3)];
+      buffer = buffer.subarray(offset + len);
+      return { fin, opcode, payload };
+    };
+
+    socket.on('data', chunk => {
+      buffer = Buffer.concat([buffer, chunk]);
+      for (let f = next(); f && !closed; f = next()) {
+        if (f.opcode === -1) { conn.close(1009); return; }
+        if (f.opcode === OP.ping) frame(OP.pong, f.payload);
+        else if (f.opcode === OP.pong) alive = true;
+        else if (f.opcode === OP.close) { conn.close(); return; }
+        else if (f.opcode === OP.binary) { conn.close(1003); return; }
+        else {
+          parts.push(f.payload);
+          if (parts.reduce((n, p) => n + p.length, 0) > this.maxMessage) { conn.close(1009); return; }
+          if (f.fin) { const data = Buffer.concat(parts); parts = []; message(data); }
+        }
+      }
+    });
+    socket.on('close', finish);
+    socket.on('error', finish);
+
+    // A client that misses a whole ping interval is dropped.
+    const timer = setInterval(() => {
+      if (!alive) { finish(); return; }
+      alive = false;
+      frame(OP.ping);
+    }, this.pingInterval);
+
+    return conn;
+  }
+};
+
+module.exports = WebSocket;
@@ -8,27 +8,78 @@ const App = {
     activeSection: null,
     activePage: null,
     activeTab: 'map',
-    viewMode: 'edit'
+    viewMode: 'edit',
+    playerMode: false,
+    activeCelestial: null,
+    showSky: false,
+    timelineFilter: 'all',
+    mapImport: null,
+    activeLayer: null,
+    travel: null,
+    drag: null,
+    history: null
   },
   editorTimeout: null,
+  editorDelay: 500,
   hexEditTimeout: null,
 
   async init() {
-    await DB.init();
+    await Settings.init();
+    Worlds.legacyDbName = DB.name = Settings.get('cache.dbName');
+    this.applySettings();
+    let world = await Worlds.init();
+    const server = await Collab.detect();
+    if (server) world = await Worlds.shared(server.world, Collab.dbNameFor(server));
+    const chosen = !!server || Worlds.hasStoredChoice();
+    await Worlds.open(world.id);
+    Undo.install();
+    Revisions.init();
+    TabSync.init({ follower: new URLSearchParams(location.search).has('follow') });
+    TabSync.beforeApply = () => this.commitEditor();
+    TabSync.onConflict = (c) => this.showConflict(c);
+    TabSync.onWorldOpened = (dbName) => this.followWorld(dbName);
+    Collab.beforeApply = () => this.commitEditor();
+    Collab.onConflict = (c) => this.showConflict(c);
+    Collab.on('status', (s) => this.updateCollabStatus(s));
+    if (server) Collab.init(server);
+    Links.init();
+    Search.init();
+    Links.pageFilter = (p) => this.isPageVisible(p);
+    Links.hexFilter = (q, r) => !this.state.playerMode || DB.isRevealed(q, r);
     this.setupEventListeners();
     HexMap.init('hexmap-container');
     HexMap.onHexSelect = (hex, data) => this.onHexSelect(hex, data);
+    HexMap.onPaint = (changes) => this.onMapPainted(changes);
+    HexMap.onMarkerClick = (m) => this.onMarkerClick(m);
+    HexMap.onMarkerPlace = (hex, icon) => this.placeMarker(hex, icon);
+    HexMap.onMarkerContext = (e, m) => this.showMarkerContextMenu(e, m);
+    HexMap.onPathCreate = (points) => this.createPath(points);
+    HexMap.onRegionCreate = (keys) => this.createRegion(keys);
+    HexMap.onRouteClick = (hex) => this.onRouteClick(hex);
+    this.loadTravelOptions();
+    Encounters.loadLog();
+    this.renderMarkerPalette();
     
     this.renderNotebooks();
     this.renderBiomes();
+    this.renderLayers();
     this.updateSyncStatus();
     this.updateWorldTitle();
+    this.updateCampaignDate();
     
-    if (DB.data.notebooks.length > 0) this.selectNotebook(DB.data.notebooks[0].id);
+    if (DB.data.notebooks.length > 0) this.selectNotebook(DB.getNotebooks()[0].id);
     
-    DB.on('change', () => this.onDataChange());
+    document.body.classList.toggle('follower', TabSync.follower);
+    if (TabSync.follower || localStorage.getItem('ourotus.playerMode') === '1') this.setPlayerMode(true, true);
+    if (localStorage.getItem('ourotus.showSky') === '1') this.toggleMapSky(true);
+    
+    DB.on('change', (d) => this.onDataChange(d));
     DB.on('sync', (d) => this.updateSyncStatus(d));
+    DB.on('error', (e) => this.showToast(`Could not save to browser: ${e?.message || e}`, 'error'));
+    Undo.on('change', (s) => this.updateUndoButtons(s));
+    Settings.on('change', () => this.onSettingsChange());
     
+    if (!chosen && Worlds.list.length > 1) this.showWorlds();
     console.log('Ourotus Atlas initialized');
   },
 
@@ -37,6 +88,17 @@ const App = {
       btn.addEventListener('click', () => this.switchTab(btn.dataset.tab));
     });
     
+    document.getElementById('btn-worlds')?.addEventListener('click', () => this.showWorlds());
+    document.getElementById('btn-open-display')?.addEventListener('click', () => this.openPlayerDisplay());
+    document.getElementById('btn-new-world')?.addEventListener('click', () => this.newWorld('blank'));
+    document.getElementById('btn-new-world-sample')?.addEventListener('click', () => this.newWorld('sample'));
+    document.getElementById('btn-player-mode')?.addEventListener('click', () => this.setPlayerMode(!this.state.playerMode));
+    document.getElementById('btn-search')?.addEventListener('click', () => this.openSearch());
+    document.getElementById('btn-settings')?.addEventListener('click', () => this.showSettings());
+    document.getElementById('search-input')?.addEventListener('input', e => this.runSearch(e.target.value));
+    document.getElementById('search-input')?.addEventListener('keydown', e => this.onSearchKey(e));
+    document.getElementById('btn-undo')?.addEventListener('click', () => this.undo());
+    document.getElementById('btn-redo')?.addEventListener('click', () => this.redo());
     document.getElementById('btn-save')?.addEventListener('click', () => this.saveToCache());
     document.getElementById('btn-export')?.addEventListener('click', () => this.exportData());
     document.getElementById('btn-import')?.addEventListener('click', () => document.getElementById('import-input')?.click());
@@ -46,9 +108,12 @@ const App = {
     document.getElementById('btn-add-notebook')?.addEventListener('click', () => this.showNotebookModal());
     document.getElementById('btn-add-page')?.addEventListener('click', () => this.addPage());
     document.getElementById('btn-delete-page')?.addEventListener('click', () => this.deletePage());
+    document.getElementById('btn-gm-only')?.addEventListener('click', () => this.togglePageGmOnly());
+    document.getElementById('btn-page-history')?.addEventListener('click', () => this.showPageHistory());
     
     document.getElementById('page-title')?.addEventListener('input', e => this.onPageTitleChange(e));
     document.getElementById('page-content')?.addEventListener('input', e => this.onPageContentChange(e));
+    document.getElementById('page-date')?.addEventListener('change', e => this.onPageDateChange(e));
     document.getElementById('btn-edit-mode')?.addEventListener('click', () => this.setViewMode('edit'));
     document.getElementById('btn-preview-mode')?.addEventListener('click', () => this.setViewMode('preview'));
     
@@ -56,6 +121,40 @@ const App = {
     document.getElementById('btn-zoom-out')?.addEventListener('click', () => HexMap.zoomOut());
     document.getElementById('btn-reset-view')?.addEventListener('click', () => HexMap.resetView());
     document.getElementById('btn-add-biome')?.addEventListener('click', () => this.showBiomeModal());
+    document.getElementById('btn-generate')?.addEventListener('click', () => this.showGeneratorModal());
+    document.getElementById('btn-export-map')?.addEventListener('click', () => this.showMapExportModal());
+    document.getElementById('btn-import-map')?.addEventListener('click', () => this.showMapImportModal());
+    document.getElementById('btn-toggle-sky')?.addEventListener('click', () => this.toggleMapSky(!this.state.showSky));
+    document.querySelectorAll('[data-add-celestial]').forEach(b => b.addEventListener('click', () => this.addCelestial(b.dataset.addCelestial)));
+    document.getElementById('btn-day-prev')?.addEventListener('click', () => this.setCurrentDay(this.currentDay() - 1));
+    document.getElementById('btn-day-next')?.addEventListener('click', () => this.setCurrentDay(this.currentDay() + 1));
+    document.getElementById('sky-day')?.addEventListener('change', e => this.setCurrentDay((parseInt(e.target.value, 10) || 0) + Celestial.mod1(this.currentDay())));
+    document.getElementById('sky-hour')?.addEventListener('input', e => this.setCurrentDay(Math.floor(this.currentDay()) + parseFloat(e.target.value) / 24));
+    document.getElementById('btn-next-eclipse')?.addEventListener('click', () => this.jumpToNextEclipse());
+    window.addEventListener('resize', () => { if (this.state.activeTab === 'celestial') this.renderSky(); });
+    document.getElementById('campaign-date')?.addEventListener('click', () => this.showCalendarModal());
+    document.getElementById('btn-calendar-settings')?.addEventListener('click', () => this.showCalendarModal());
+    document.getElementById('btn-save-calendar')?.addEventListener('click', () => this.saveCalendar());
+    document.getElementById('timeline-filter')?.addEventListener('change', e => { this.state.timelineFilter = e.target.value; this.renderTimeline(); });
+    document.querySelectorAll('[data-tool]').forEach(b => b.addEventListener('click', () => this.setMapTool(b.dataset.tool)));
+    document.getElementById('paint-biome')?.addEventListener('change', e => HexMap.setTool(HexMap.tool.mode, { biomeId: e.target.value }));
+    document.getElementById('path-type')?.addEventListener('change', e => { HexMap.tool.pathType = e.target.value; HexMap.renderOverlay(); });
+    document.getElementById('path-snap')?.addEventListener('change', e => { HexMap.tool.snap = e.target.value; HexMap.cancelPath(); });
+    document.getElementById('region-target')?.addEventListener('change', e => { HexMap.tool.regionId = e.target.value || null; });
+    document.getElementById('route-pace')?.addEventListener('change', e => this.setTravelOption('pace', e.target.value));
+    document.getElementById('route-roads')?.addEventListener('change', e => this.setTravelOption('roads', e.target.checked));
+    document.querySelectorAll('[data-add-layer]').forEach(b => b.addEventListener('click', () => this.addLayer(b.dataset.addLayer)));
+    document.getElementById('paint-radius')?.addEventListener('input', e => {
+      document.getElementById('paint-radius-value').textContent = e.target.value;
+      HexMap.setTool(HexMap.tool.mode, { radius: parseInt(e.target.value, 10) });
+    });
+    
+    document.addEventListener('click', e => {
+      const link = e.target.closest('.wiki-link');
+      if (!link) return;
+      e.preventDefault();
+      this.followLink(link.dataset);
+    });
     
     document.querySelectorAll('.modal-overlay').forEach(o => {
       o.addEventListener('click', e => { if (e.target === o) this.closeModals(); });
@@ -64,16 +163,31 @@ const App = {
     
     document.addEventListener('keydown', e => {
       if ((e.ctrlKey || e.metaKey) && e.key === 's') { e.preventDefault(); this.saveToCache(); }
+      if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'k') { e.preventDefault(); this.openSearch(); }
+      if ((e.ctrlKey || e.metaKey) && (e.key.toLowerCase() === 'z' || e.key === 'y') && !this.isTextInput(e.target)) {
+        e.preventDefault();
+        if (e.key === 'y' || e.shiftKey) this.redo(); else this.undo();
+      }
+      if (HexMap.tool.mode === 'path' && !this.isTextInput(e.target) && !document.querySelector('.modal-overlay.active')) {
+        if (e.key === 'Enter') { e.preventDefault(); HexMap.finishPath(); }
+        if (e.key === 'Escape') HexMap.cancelPath();
+        if (e.key === 'Backspace' && HexMap.undoPathPoint()) e.preventDefault();
+      }
       if (e.key === 'Escape') this.closeModals();
     });
   },
 
   switchTab(tab) {
+    if (tab !== this.state.activeTab) Sounds.play('click');
     this.state.activeTab = tab;
     document.querySelectorAll('[data-tab]').forEach(b => b.classList.toggle('active', b.dataset.tab === tab));
     document.getElementById('map-panel')?.classList.toggle('hidden', tab !== 'map');
     document.getElementById('lorebook-panel')?.classList.toggle('hidden', tab !== 'lorebook');
+    document.getElementById('celestial-panel')?.classList.toggle('hidden', tab !== 'celestial');
+    document.getElementById('timeline-panel')?.classList.toggle('hidden', tab !== 'timeline');
     if (tab === 'map') HexMap.resize();
+    if (tab === 'celestial') this.renderCelestial();
+    if (tab === 'timeline') this.renderTimeline();
   },
 
   updateWorldTitle() {
@@ -88,18 +202,28 @@ const App = {
     const txt = document.getElementById('sync-text');
     if (!el) return;
     el.classList.remove('modified', 'error');
+    el.title = d?.status === 'error' ? d.error?.message || '' : '';
     if (d?.status === 'modified') { el.classList.add('modified'); txt.textContent = 'Unsaved changes'; }
-    else if (d?.status === 'error') { el.classList.add('error'); txt.textContent = 'Sync error'; }
+    else if (d?.status === 'error') { el.classList.add('error'); txt.textContent = 'Save failed'; }
     else txt.textContent = 'All saved';
   },
 
+  updateCollabStatus(status) {
+    const el = document.getElementById('collab-status');
+    if (!el) return;
+    const labels = { connecting: 'Connecting...', online: 'Shared', offline: 'Offline' };
+    el.className = `sync-status collab-status ${status}`;
+    el.title = status === 'offline' ? 'Server unreachable. Changes are kept here and sent when it is back.' : status === 'online' ? `Shared world "${Collab.server?.world}"` : '';
+    document.getElementById('collab-text').textContent = labels[status] || '';
+  },
+
   renderNotebooks() {
     const c = document.getElementById('notebook-list');
     if (!c) return;
     c.innerHTML = '';
     
-    DB.data.notebooks.forEach(nb => {
-      const secs = DB.getSectionsForNotebook(nb.id);
+    DB.getNotebooks().forEach(nb => {
+      const secs = this.visibleSections(nb.id);
       const exp = this.state.activeNotebook === nb.id;
       
       const item = document.createElement('li');
@@ -115,6 +239,7 @@ const App = {
             <li class="section-item ${this.state.activeSection === s.id ? 'active' : ''}" data-section="${s.id}">
               <span class="section-color" style="background:${s.color}"></span>
               <span class="section-name">${this.esc(s.name)}</span>
+              ${s.gmOnly ? '<i class="fas fa-user-secret gm-badge" title="GM only"></i>' : ''}
             </li>
           `).join('')}
         </ul>
@@ -131,8 +256,10 @@ const App = {
           { label: 'Delete Notebook', icon: 'fa-trash', danger: true, action: () => this.deleteNotebook(nb.id) }
         ]);
       });
+      this.makeMovable(item.querySelector('.notebook-header'), 'notebook', nb.id);
       
       item.querySelectorAll('.section-item').forEach(el => {
+        this.makeMovable(el, 'section', el.dataset.section);
         el.addEventListener('click', e => { e.stopPropagation(); this.selectSection(el.dataset.section); });
         el.addEventListener('contextmenu', e => {
           e.preventDefault(); e.stopPropagation();
@@ -152,7 +279,7 @@ const App = {
     if (this.state.activeNotebook === id) { this.state.activeNotebook = null; }
     else {
       this.state.activeNotebook = id;
-      const secs = DB.getSectionsForNotebook(id);
+      const secs = this.visibleSections(id);
       if (secs.length > 0) this.selectSection(secs[0].id);
       else { this.state.activeSection = null; this.state.activePage = null; this.renderPages(); this.renderEditor(); }
     }
@@ -163,7 +290,7 @@ const App = {
     this.state.activeSection = id;
     const sec = DB.getSection(id);
     if (sec) this.state.activeNotebook = sec.notebookId;
-    const pages = DB.getPagesForSection(id);
+    const pages = this.visiblePages(id);
     if (pages.length > 0) this.selectPage(pages[0].id);
     else { this.state.activePage = null; this.renderEditor(); }
     this.renderNotebooks();
@@ -184,7 +311,7 @@ const App = {
     const sec = DB.getSection(this.state.activeSection);
     if (st && sec) st.textContent = sec.name;
     
-    const pages = DB.getPagesForSection(this.state.activeSection);
+    const pages = this.visiblePages(this.state.activeSection);
     if (pages.length === 0) {
       c.innerHTML = `<div class="empty-state"><i class="fas fa-file-alt empty-state-icon"></i><p class="empty-state-text">No pages</p><button class="btn btn-primary btn-sm" onclick="App.addPage()"><i class="fas fa-plus"></i> Add Page</button></div>`;
       return;
@@ -192,12 +319,13 @@ const App = {
     
     c.innerHTML = pages.map(p => `
       <li class="page-item ${this.state.activePage === p.id ? 'active' : ''}" data-page="${p.id}">
-        <div class="page-title">${this.esc(p.title)}</div>
+        <div class="page-title">${this.esc(p.title)}${p.gmOnly ? ' <i class="fas fa-user-secret gm-badge" title="GM only"></i>' : ''}</div>
         <div class="page-date">${this.formatDate(p.updatedAt)}</div>
       </li>
     `).join('');
     
     c.querySelectorAll('.page-item').forEach(el => {
+      this.makeMovable(el, 'page', el.dataset.page);
       el.addEventListener('click', () => this.selectPage(el.dataset.page));
       el.addEventListener('contextmenu', e => {
         e.preventDefault();
@@ -206,6 +334,120 @@ const App = {
     });
   },
 
+  // Reordering. Notebooks, sections and pages can be dragged within their list; sections can be
+  // dropped on a notebook and pages on a section to move them there. With the item focused,
+  // Alt+Up/Down moves it within its list and Alt+Shift+Up/Down into the previous or next parent.
+  makeMovable(el, type, id) {
+    if (this.state.playerMode) return;
+    el.draggable = true;
+    el.tabIndex = 0;
+    el.addEventListener('dragstart', e => {
+      e.stopPropagation();
+      this.state.drag = { type, id };
+      e.dataTransfer.effectAllowed = 'move';
+      e.dataTransfer.setData('text/plain', id);
+      el.classList.add('dragging');
+    });
+    el.addEventListener('dragend', () => { this.state.drag = null; el.classList.remove('dragging'); this.clearDropMarks(); });
+    el.addEventListener('dragover', e => {
+      const pos = this.dropPosition(e, el, type);
+      if (!pos) return;
+      e.preventDefault();
+      e.stopPropagation();
+      this.clearDropMarks();
+      el.classList.add(`drop-${pos}`);
+    });
+    el.addEventListener('dragleave', () => el.classList.remove('drop-before', 'drop-after', 'drop-into'));
+    el.addEventListener('drop', e => {
+      const pos = this.dropPosition(e, el, type);
+      if (!pos) return;
+      e.preventDefault();
+      e.stopPropagation();
+      this.clearDropMarks();
+      this.dropOn(this.state.drag, type, id, pos);
+    });
+    el.addEventListener('keydown', e => {
+      if (e.key === 'Enter' && e.target === el) { el.click(); return; }
+      if (!e.altKey || (e.key !== 'ArrowUp' && e.key !== 'ArrowDown')) return;
+      e.preventDefault();
+      e.stopPropagation();
+      this.moveByKey(type, id, e.key === 'ArrowUp' ? -1 : 1, e.shiftKey);
+    });
+  },
+
+  // 'before' or 'after' for a drop in the same list, 'into' for a drop on a parent; null if
+  // the dragged item cannot go there.
+  dropPosition(e, el, type) {
+    const drag = this.state.drag;
+    if (!drag || drag.id === el.dataset[type]) return null;
+    const parent = { section: 'notebook', page: 'section' }[drag.type];
+    if (type === parent) return 'into';
+    if (type !== drag.type) return null;
+    const rect = el.getBoundingClientRect();
+    return e.clientY < rect.top + rect.height / 2 ? 'before' : 'after';
+  },
+
+  clearDropMarks() {
+    document.querySelectorAll('.drop-before, .drop-after, .drop-into').forEach(x => x.classList.remove('drop-before', 'drop-after', 'drop-into'));
+  },
+
+  dropOn(drag, type, targetId, pos) {
+    if (!drag) return;
+    const at = (list) => list.filter(x => x.id !== drag.id).findIndex(x => x.id === targetId) + (pos === 'after' ? 1 : 0);
+    if (drag.type === 'notebook') DB.moveNotebook(drag.id, at(DB.getNotebooks()));
+    else if (drag.type === 'section') {
+      const nbId = pos === 'into' ? targetId : DB.getSection(targetId)?.notebookId;
+      DB.moveSection(drag.id, nbId, pos === 'into' ? Infinity : at(DB.getSectionsForNotebook(nbId)));
+    } else {
+      const secId = pos === 'into' ? targetId : DB.getPage(targetId)?.sectionId;
+      DB.movePage(drag.id, secId, pos === 'into' ? Infinity : at(DB.getPagesForSection(secId)));
+    }
+    this.afterMove(drag.type, drag.id);
+  },
+
+  moveByKey(type, id, delta, across) {
+    // The neighbour `delta` away in `list`, or null at either end.
+    const step = (list, key) => list[list.findIndex(x => x.id === key) + delta] || null;
+    const slot = (list) => list.findIndex(x => x.id === id) + delta;
+    if (type === 'notebook') {
+      if (across || !step(DB.getNotebooks(), id)) return;
+      DB.moveNotebook(id, slot(DB.getNotebooks()));
+    } else if (type === 'section') {
+      const sec = DB.getSection(id);
+      if (across) {
+        const nb = step(DB.getNotebooks(), sec.notebookId);
+        if (!nb) return;
+        DB.moveSection(id, nb.id, delta > 0 ? 0 : Infinity);
+      } else {
+        const list = DB.getSectionsForNotebook(sec.notebookId);
+        if (!step(list, id)) return;
+        DB.moveSection(id, sec.notebookId, slot(list));
+      }
+    } else {
+      const page = DB.getPage(id);
+      if (across) {
+        const sec = step(DB.getNotebooks().flatMap(nb => DB.getSectionsForNotebook(nb.id)), page.sectionId);
+        if (!sec) return;
+        DB.movePage(id, sec.id, delta > 0 ? 0 : Infinity);
+      } else {
+        const list = DB.getPagesForSection(page.sectionId);
+        if (!step(list, id)) return;
+        DB.movePage(id, page.sectionId, slot(list));
+      }
+    }
+    this.afterMove(type, id);
+  },
+
+  // Redraws both lists; a moved active page or section takes the selection along.
+  afterMove(type, id) {
+    if (type === 'page' && id === this.state.activePage) this.state.activeSection = DB.getPage(id).sectionId;
+    if (type !== 'notebook' && this.state.activeSection) this.state.activeNotebook = DB.getSection(this.state.activeSection)?.notebookId || this.state.activeNotebook;
+    this.renderNotebooks();
+    this.renderPages();
+    const selector = { notebook: `.notebook-header[data-notebook="${id}"]`, section: `.section-item[data-section="${id}"]`, page: `.page-item[data-page="${id}"]` }[type];
+    document.querySelector(selector)?.focus();
+  },
+
   selectPage(id) {
     this.state.activePage = id;
     this.renderPages();
@@ -228,9 +470,51 @@ const App = {
     
     if (!ti) { this.rebuildEditorPanel(); return this.renderEditor(); }
     
-    ti.value = page.title;
-    ci.value = page.content;
-    if (pv && typeof marked !== 'undefined') pv.innerHTML = marked.parse(page.content || '');
+    // Only replaced when different, so a redraw (e.g. after another tab saves) keeps the caret.
+    if (ti.value !== page.title) ti.value = page.title;
+    ti.readOnly = this.state.playerMode;
+    if (ci.value !== page.content) ci.value = page.content;
+    const di = document.getElementById('page-date');
+    if (di) { di.value = Calendar.formatRange(page.date); di.readOnly = this.state.playerMode; di.classList.remove('input-error'); }
+    document.getElementById('btn-gm-only')?.classList.toggle('active', !!page.gmOnly);
+    if (pv) pv.innerHTML = this.renderMarkdown(page.content);
+    this.renderBacklinks();
+  },
+
+  // `:::secret` ... `:::` blocks are GM notes: highlighted for the GM, removed for players.
+  renderMarkdown(content) {
+    const visible = Links.replaceSecrets(content, body => this.state.playerMode ? '' : `<div class="secret-block">\n\n${body}\n</div>\n`);
+    const src = Links.render(visible);
+    return typeof marked !== 'undefined' ? marked.parse(src) : this.esc(src);
+  },
+
+  renderBacklinks() {
+    const c = document.getElementById('page-backlinks');
+    const page = DB.getPage(this.state.activePage);
+    if (!c) return;
+    const refs = Links.backlinksForPage(page).filter(p => this.isPageVisible(p));
+    c.innerHTML = refs.length ? `
+      <span class="backlinks-title">Referenced by</span>
+      ${refs.map(p => `<a href="#" class="wiki-link" data-page="${p.id}">${this.esc(p.title)}</a>`).join('')}
+    ` : '';
+  },
+
+  followLink({ page, hex, missing }) {
+    if (missing && this.state.playerMode) return;
+    if (page) this.openPage(page);
+    else if (hex) { const [q, r] = hex.split(',').map(Number); this.goToHex(q, r); }
+    else if (missing && this.state.activeSection && confirm(`Create page "${missing}"?`)) {
+      const pg = DB.createPage(this.state.activeSection, { title: missing });
+      this.selectPage(pg.id);
+    }
+  },
+
+  goToHex(q, r) {
+    this.switchTab('map');
+    HexMap.state.selectedHex = { q, r };
+    HexMap.state.selectedMarker = null;
+    HexMap.centerOn(q, r);
+    this.onHexSelect({ q, r }, DB.getHex(q, r));
   },
 
   rebuildEditorPanel() {
@@ -240,27 +524,35 @@ const App = {
       <div class="editor-header">
         <input type="text" id="page-title" class="editor-title-input" placeholder="Page Title">
         <div class="flex gap-sm">
-          <button class="btn btn-ghost btn-sm active" id="btn-edit-mode"><i class="fas fa-edit"></i> Edit</button>
+          <input type="text" id="page-date" class="input input-sm editor-date-input" placeholder="In-world date" title="In-world date or range, e.g. 3 Seedmoon 800 AS or 790 to 795 AS">
+          <button class="btn btn-ghost btn-sm active gm-tool" id="btn-edit-mode"><i class="fas fa-edit"></i> Edit</button>
           <button class="btn btn-ghost btn-sm" id="btn-preview-mode"><i class="fas fa-eye"></i> Preview</button>
-          <button class="btn btn-ghost btn-sm text-danger" id="btn-delete-page"><i class="fas fa-trash"></i></button>
+          <button class="btn btn-ghost btn-sm gm-tool" id="btn-page-history" title="Page history"><i class="fas fa-clock-rotate-left"></i></button>
+          <button class="btn btn-ghost btn-sm gm-tool" id="btn-gm-only" title="GM only"><i class="fas fa-user-secret"></i></button>
+          <button class="btn btn-ghost btn-sm text-danger gm-tool" id="btn-delete-page"><i class="fas fa-trash"></i></button>
         </div>
       </div>
       <div class="editor-content">
         <div id="edit-view"><textarea id="page-content" class="editor-textarea" placeholder="Write content here... (Markdown supported)"></textarea></div>
         <div id="preview-view" class="hidden"><div id="preview-content" class="preview-content"></div></div>
       </div>
+      <div class="backlinks" id="page-backlinks"></div>
     `;
     document.getElementById('page-title')?.addEventListener('input', e => this.onPageTitleChange(e));
     document.getElementById('page-content')?.addEventListener('input', e => this.onPageContentChange(e));
+    document.getElementById('page-date')?.addEventListener('change', e => this.onPageDateChange(e));
     document.getElementById('btn-edit-mode')?.addEventListener('click', () => this.setViewMode('edit'));
     document.getElementById('btn-preview-mode')?.addEventListener('click', () => this.setViewMode('preview'));
     document.getElementById('btn-delete-page')?.addEventListener('click', () => this.deletePage());
+    document.getElementById('btn-gm-only')?.addEventListener('click', () => this.togglePageGmOnly());
+    document.getElementById('btn-page-history')?.addEventListener('click', () => this.showPageHistory());
+    if (this.state.playerMode) this.setViewMode('preview');
   },
 
   onPageTitleChange(e) {
     if (!this.state.activePage) return;
     clearTimeout(this.editorTimeout);
-    this.editorTimeout = setTimeout(() => { DB.updatePage(this.state.activePage, { title: e.target.value }); this.renderPages(); }, 500);
+    this.editorTimeout = setTimeout(() => { DB.updatePage(this.state.activePage, { title: e.target.value }); this.renderPages(); }, this.editorDelay);
   },
 
   onPageContentChange(e) {
@@ -269,8 +561,32 @@ const App = {
     this.editorTimeout = setTimeout(() => {
       DB.updatePage(this.state.activePage, { content: e.target.value });
       const pv = document.getElementById('preview-content');
-      if (pv && typeof marked !== 'undefined') pv.innerHTML = marked.parse(e.target.value || '');
-    }, 500);
+      if (pv) pv.innerHTML = this.renderMarkdown(e.target.value);
+    }, this.editorDelay);
+  },
+
+  // Writes title and content edits still waiting on the debounce.
+  commitEditor() {
+    clearTimeout(this.editorTimeout);
+    const page = DB.getPage(this.state.activePage);
+    const ti = document.getElementById('page-title'), ci = document.getElementById('page-content');
+    if (!page || !ti || !ci || this.state.playerMode) return;
+    if (ti.value !== page.title || ci.value !== page.content) DB.updatePage(page.id, { title: ti.value, content: ci.value });
+  },
+
+  onPageDateChange(e) {
+    if (!this.state.activePage || this.state.playerMode) return;
+    this.onDateInput(e.target, date => DB.updatePage(this.state.activePage, { date }));
+  },
+
+  // Empty text clears the date; unreadable text is reported and left in the field to fix.
+  onDateInput(input, save) {
+    const text = input.value.trim();
+    const date = text ? Calendar.parse(text) : null;
+    input.classList.toggle('input-error', !!text && !date);
+    if (text && !date) { this.showToast(`Could not read the date "${text}"`, 'error'); return; }
+    save(date);
+    input.value = Calendar.formatRange(date);
   },
 
   setViewMode(m) {
@@ -296,7 +612,7 @@ const App = {
       DB.deletePage(tp);
       if (this.state.activePage === tp) {
         this.state.activePage = null;
-        const pages = DB.getPagesForSection(this.state.activeSection);
+        const pages = this.visiblePages(this.state.activeSection);
         if (pages.length > 0) this.selectPage(pages[0].id);
         else this.renderEditor();
       }
@@ -309,6 +625,7 @@ const App = {
   onHexSelect(hex, hexData) {
     const dp = document.getElementById('hex-details');
     if (!dp) return;
+    if (this.state.playerMode) { this.renderPlayerHexDetails(hex, hexData); return; }
     const biome = DB.getBiome(hexData?.biomeId) || DB.data.biomes[0];
     
     dp.innerHTML = `
@@ -334,13 +651,632 @@ const App = {
           <label>Notes</label>
           <textarea id="hex-notes" class="input" rows="3" placeholder="Notes...">${this.esc(hexData?.notes || '')}</textarea>
         </div>
+        <div class="hex-field">
+          <label>Date</label>
+          <input type="text" id="hex-date" class="input" placeholder="In-world date or range" value="${this.esc(Calendar.formatRange(hexData?.date))}">
+        </div>
         ${biome?.description ? `<div class="hex-field"><label>Biome Info</label><p style="font-size:0.8rem;color:var(--text-secondary)">${this.esc(biome.description)}</p></div>` : ''}
+        ${this.renderHexBacklinks(hex)}
+        <div class="hex-field">
+          <label>Markers</label>
+          <ul class="marker-list">
+            ${DB.getMarkersAt(hex.q, hex.r).map(m => `<li class="marker-item" data-marker="${m.id}"><span>${HexMap.markerIcons[m.icon] || HexMap.markerIcons.pin}</span> ${this.esc(m.name)}</li>`).join('')}
+          </ul>
+          <button class="btn btn-secondary btn-sm" id="btn-hex-add-marker"><i class="fas fa-plus"></i> Add Marker</button>
+        </div>
+        ${hexData ? `
+          <div class="hex-field">
+            <label>Roll</label>
+            <div class="flex gap-sm">
+              <button class="btn btn-secondary btn-sm" data-roll="encounters"><i class="fas fa-dice-d20"></i> Encounter</button>
+              <button class="btn btn-secondary btn-sm" data-roll="resources"><i class="fas fa-leaf"></i> Forage</button>
+            </div>
+            <div class="roll-log" id="roll-log"></div>
+          </div>
+          <details class="hex-field hex-tables">
+            <summary>Hex tables ${hexData.encounters?.length || hexData.resources?.length ? '(custom)' : '(from biome)'}</summary>
+            <label>Encounters</label>
+            <div class="roll-table" id="hex-encounters"></div>
+            <label>Resources</label>
+            <div class="roll-table" id="hex-resources"></div>
+            <p class="roll-help">Leave a table empty to use the biome's.</p>
+          </details>
+        ` : ''}
       </div>
     `;
     
+    dp.querySelectorAll('.marker-item').forEach(el => el.addEventListener('click', () => {
+      HexMap.state.selectedMarker = el.dataset.marker;
+      HexMap.render();
+      this.showMarkerDetails(DB.getMarker(el.dataset.marker));
+    }));
+    document.getElementById('btn-hex-add-marker')?.addEventListener('click', () => this.placeMarker(hex, HexMap.tool.markerIcon));
+    
     document.getElementById('hex-biome')?.addEventListener('change', e => this.onHexBiomeChange(e));
     document.getElementById('hex-label')?.addEventListener('input', e => this.onHexLabelChange(e));
     document.getElementById('hex-notes')?.addEventListener('input', e => this.onHexNotesChange(e));
+    document.getElementById('hex-date')?.addEventListener('change', e => this.onDateInput(e.target, date => DB.updateHex(hex.q, hex.r, { date })));
+    if (!hexData) return;
+    dp.querySelectorAll('[data-roll]').forEach(b => b.addEventListener('click', () => this.rollFor(b.dataset.roll, hex)));
+    this.renderRollLog();
+    ['encounters', 'resources'].forEach(kind => {
+      const el = document.getElementById(`hex-${kind}`);
+      this.renderRollTable(el, hexData[kind] || [], () => {
+        const entries = this.readRollTable(el);
+        DB.updateHex(hex.q, hex.r, { [kind]: entries.length ? entries : undefined });
+      });
+    });
+  },
+
+  // Encounters
+  rollFor(kind, hex) {
+    const result = Encounters.roll(kind, hex.q, hex.r, { day: this.currentDay() });
+    if (!result) { this.showToast(kind === 'resources' ? 'Nothing to forage here right now' : 'No encounters can happen here right now', 'warning'); return; }
+    this.renderRollLog();
+  },
+
+  renderRollLog() {
+    const c = document.getElementById('roll-log');
+    if (!c) return;
+    if (!Encounters.log.length) { c.innerHTML = ''; return; }
+    c.innerHTML = Encounters.log.map(res => `
+      <div class="roll-result">
+        <div><span class="roll-kind">${Encounters.kinds[res.kind]}</span> ${this.esc(res.text)}</div>
+        <div class="roll-meta">(${res.q}, ${res.r}) · ${res.conditions.join(', ')}${res.dice.length ? ` · ${this.esc(res.dice.map(d => `${d.expr}: ${d.rolls.join('+')}`).join(', '))}` : ''}</div>
+      </div>
+    `).join('') + '<button class="btn btn-ghost btn-sm" id="btn-clear-roll-log"><i class="fas fa-eraser"></i> Clear log</button>';
+    document.getElementById('btn-clear-roll-log').onclick = () => { Encounters.clearLog(); this.renderRollLog(); };
+  },
+
+  // Editable rows of text, weight and modifiers. Values are set after rendering so any text is safe.
+  renderRollTable(el, entries, onChange) {
+    if (!el) return;
+    el.innerHTML = entries.map(() => `
+      <div class="roll-row">
+        <input type="text" class="input input-sm roll-text" placeholder="e.g. 2d4 wolves">
+        <input type="number" class="input input-sm roll-weight" min="0" step="1" title="Weight">
+        <input type="text" class="input input-sm roll-mods" placeholder="night:2" title="Weight multipliers by condition: ${Encounters.conditions().join(', ')}">
+        <button class="btn btn-ghost btn-icon-sm" data-remove-row title="Remove"><i class="fas fa-times"></i></button>
+      </div>
+    `).join('') + '<button class="btn btn-ghost btn-sm" data-add-row><i class="fas fa-plus"></i> Add entry</button>';
+    el.querySelectorAll('.roll-row').forEach((row, i) => {
+      const e = Encounters.entry(entries[i]);
+      row.querySelector('.roll-text').value = e.text;
+      row.querySelector('.roll-weight').value = e.weight;
+      row.querySelector('.roll-mods').value = Encounters.formatMods(e.mods);
+      row.querySelectorAll('input').forEach(input => input.addEventListener('change', () => onChange?.()));
+      row.querySelector('[data-remove-row]').onclick = () => {
+        this.renderRollTable(el, this.readRollTable(el, true).filter((_, j) => j !== i), onChange);
+        onChange?.();
+      };
+    });
+    el.querySelector('[data-add-row]').onclick = () => {
+      this.renderRollTable(el, [...this.readRollTable(el, true), ''], onChange);
+      el.querySelector('.roll-row:last-of-type .roll-text')?.focus();
+    };
+  },
+
+  readRollTable(el, keepEmpty = false) {
+    return [...(el?.querySelectorAll('.roll-row') || [])].map(row => {
+      const weight = parseFloat(row.querySelector('.roll-weight').value);
+      return Encounters.compact({ text: row.querySelector('.roll-text').value.trim(), weight: weight >= 0 ? weight : 1, mods: Encounters.parseMods(row.querySelector('.roll-mods').value) });
+    }).filter(e => keepEmpty || Encounters.entry(e).text);
+  },
+
+  setMapTool(mode) {
+    const hints = {
+      select: 'Click a hex to edit',
+      brush: 'Drag to paint',
+      fill: 'Click to fill a connected region',
+      line: 'Drag to draw a line',
+      marker: 'Click a hex to place a marker',
+      reveal: 'Drag to reveal hexes, Shift+drag to hide',
+      path: 'Click to add points, double-click or Enter to finish, Esc to cancel',
+      region: 'Drag to add hexes to the region, Shift+drag to remove',
+      route: 'Click a start hex, then a destination'
+    };
+    document.querySelectorAll('[data-tool]').forEach(b => b.classList.toggle('active', b.dataset.tool === mode));
+    document.getElementById('paint-options')?.classList.toggle('hidden', !['brush', 'fill', 'line', 'reveal', 'region'].includes(mode));
+    document.getElementById('paint-biome')?.classList.toggle('hidden', mode === 'reveal' || mode === 'region');
+    document.getElementById('path-options')?.classList.toggle('hidden', mode !== 'path');
+    document.getElementById('region-options')?.classList.toggle('hidden', mode !== 'region');
+    document.getElementById('route-options')?.classList.toggle('hidden', mode !== 'route');
+    const info = document.querySelector('.hexmap-info');
+    if (info) info.textContent = hints[mode] || hints.select;
+    document.getElementById('marker-palette')?.classList.toggle('hidden', mode !== 'marker');
+    HexMap.setTool(mode, {
+      biomeId: document.getElementById('paint-biome')?.value || null,
+      pathType: document.getElementById('path-type')?.value || 'river',
+      snap: document.getElementById('path-snap')?.value || 'center',
+      regionId: document.getElementById('region-target')?.value || null
+    });
+  },
+
+  onMapPainted(changes) {
+    const sel = HexMap.state.selectedHex;
+    if (sel && changes.some(c => c.q === sel.q && c.r === sel.r)) this.onHexSelect(sel, DB.getHex(sel.q, sel.r));
+  },
+
+  // Markers
+  renderMarkerPalette() {
+    const c = document.getElementById('marker-palette');
+    if (!c) return;
+    c.innerHTML = Object.entries(HexMap.markerIcons).map(([k, icon]) => `
+      <button class="btn btn-ghost btn-icon-sm ${HexMap.tool.markerIcon === k ? 'active' : ''}" data-marker-icon="${k}" title="${k}">${icon}</button>
+    `).join('');
+    c.querySelectorAll('[data-marker-icon]').forEach(b => b.addEventListener('click', () => {
+      HexMap.tool.markerIcon = b.dataset.markerIcon;
+      c.querySelectorAll('[data-marker-icon]').forEach(x => x.classList.toggle('active', x === b));
+    }));
+  },
+
+  placeMarker(hex, icon) {
+    const mk = DB.createMarker({ q: hex.q, r: hex.r, icon, name: icon.charAt(0).toUpperCase() + icon.slice(1) });
+    HexMap.state.selectedMarker = mk.id;
+    HexMap.render();
+    this.showMarkerDetails(mk);
+  },
+
+  onMarkerClick(marker) {
+    const page = marker.pageId && DB.getPage(marker.pageId);
+    if (page && this.isPageVisible(page)) this.openPage(marker.pageId);
+    else if (!this.state.playerMode) this.showMarkerDetails(marker);
+  },
+
+  showMarkerContextMenu(e, marker) {
+    if (this.state.playerMode) return;
+    const page = marker.pageId && DB.getPage(marker.pageId);
+    this.showContextMenu(e, [
+      { label: 'Edit Marker', icon: 'fa-edit', action: () => { HexMap.state.selectedMarker = marker.id; HexMap.render(); this.showMarkerDetails(marker); } },
+      ...(page ? [{ label: 'Open Page', icon: 'fa-book-open', action: () => this.openPage(page.id) }] : []),
+      { divider: true },
+      { label: 'Delete Marker', icon: 'fa-trash', danger: true, action: () => this.deleteMarker(marker.id) }
+    ]);
+  },
+
+  showMarkerDetails(marker) {
+    const dp = document.getElementById('hex-details');
+    if (!dp || !marker) return;
+    const pageOptions = DB.getNotebooks().flatMap(nb => DB.getSectionsForNotebook(nb.id).map(sec => {
+      const pages = DB.getPagesForSection(sec.id);
+      if (!pages.length) return '';
+      return `<optgroup label="${this.esc(nb.name)} / ${this.esc(sec.name)}">${pages.map(p => `<option value="${p.id}" ${marker.pageId === p.id ? 'selected' : ''}>${this.esc(p.title)}</option>`).join('')}</optgroup>`;
+    })).join('');
+    
+    dp.innerHTML = `
+      <div class="hex-details-form">
+        <div class="hex-details-header">
+          <div class="hex-biome-color marker-swatch" style="background:${marker.color}">${HexMap.markerIcons[marker.icon] || HexMap.markerIcons.pin}</div>
+          <div>
+            <div style="font-weight:500">${this.esc(marker.name)}</div>
+            <div class="hex-coords">(${marker.q}, ${marker.r})</div>
+          </div>
+        </div>
+        <div class="hex-field">
+          <label>Name</label>
+          <input type="text" id="marker-name" class="input" value="${this.esc(marker.name)}">
+        </div>
+        <div class="hex-field">
+          <label>Icon</label>
+          <select id="marker-icon" class="input">
+            ${Object.entries(HexMap.markerIcons).map(([k, icon]) => `<option value="${k}" ${marker.icon === k ? 'selected' : ''}>${icon} ${k}</option>`).join('')}
+          </select>
+        </div>
+        <div class="hex-field">
+          <label>Color</label>
+          <input type="color" id="marker-color" class="color-input" value="${marker.color}">
+        </div>
+        <div class="hex-field">
+          <label>Date</label>
+          <input type="text" id="marker-date" class="input" placeholder="In-world date or range" value="${this.esc(Calendar.formatRange(marker.date))}">
+        </div>
+        <div class="hex-field">
+          <label><input type="checkbox" id="marker-visible" ${marker.visible !== false ? 'checked' : ''}> Visible to players</label>
+        </div>
+        <div class="hex-field">
+          <label>Linked Page</label>
+          <select id="marker-page" class="input">
+            <option value="">None</option>
+            ${pageOptions}
+          </select>
+        </div>
+        <div class="flex gap-sm">
+          <button class="btn btn-secondary btn-sm" id="btn-marker-open" ${marker.pageId ? '' : 'disabled'}><i class="fas fa-book-open"></i> Open Page</button>
+          <button class="btn btn-secondary btn-sm" id="btn-marker-hex"><i class="fas fa-hexagon"></i> Hex</button>
+          <button class="btn btn-danger btn-sm" id="btn-marker-delete"><i class="fas fa-trash"></i></button>
+        </div>
+      </div>
+    `;
+    
+    const update = (d) => { DB.updateMarker(marker.id, d); HexMap.render(); };
+    document.getElementById('marker-name')?.addEventListener('input', e => {
+      clearTimeout(this.hexEditTimeout);
+      this.hexEditTimeout = setTimeout(() => update({ name: e.target.value }), 500);
+    });
+    document.getElementById('marker-icon')?.addEventListener('change', e => update({ icon: e.target.value }));
+    document.getElementById('marker-color')?.addEventListener('change', e => update({ color: e.target.value }));
+    document.getElementById('marker-visible')?.addEventListener('change', e => update({ visible: e.target.checked }));
+    document.getElementById('marker-date')?.addEventListener('change', e => this.onDateInput(e.target, date => update({ date })));
+    document.getElementById('marker-page')?.addEventListener('change', e => {
+      update({ pageId: e.target.value || null });
+      document.getElementById('btn-marker-open').disabled = !e.target.value;
+    });
+    document.getElementById('btn-marker-open')?.addEventListener('click', () => {
+      const mk = DB.getMarker(marker.id);
+      if (mk?.pageId) this.openPage(mk.pageId);
+    });
+    document.getElementById('btn-marker-hex')?.addEventListener('click', () => {
+      const mk = DB.getMarker(marker.id) || marker;
+      HexMap.state.selectedHex = { q: mk.q, r: mk.r };
+      HexMap.state.selectedMarker = null;
+      HexMap.render();
+      this.onHexSelect(HexMap.state.selectedHex, DB.getHex(mk.q, mk.r));
+    });
+    document.getElementById('btn-marker-delete')?.addEventListener('click', () => this.deleteMarker(marker.id));
+  },
+
+  deleteMarker(id) {
+    if (!DB.deleteMarker(id)) return;
+    if (HexMap.state.selectedMarker === id) HexMap.state.selectedMarker = null;
+    HexMap.render();
+    this.clearHexDetails();
+    this.showToast('Marker deleted', 'success');
+  },
+
+  // Layers
+  regionColors: ['#e11d48', '#2563eb', '#16a34a', '#d97706', '#7c3aed', '#0891b2', '#db2777', '#65a30d'],
+
+  // The layer new paths or regions go into: the active layer if it is of that kind, else the
+  // topmost one, else a new one.
+  layerFor(kind) {
+    const active = DB.getLayer(this.state.activeLayer);
+    if (active?.kind === kind) return active;
+    const layer = [...DB.getLayers()].reverse().find(l => l.kind === kind) || DB.createLayer({ kind });
+    this.state.activeLayer = layer.id;
+    return layer;
+  },
+
+  addLayer(kind) {
+    const ly = DB.createLayer({ kind });
+    this.state.activeLayer = ly.id;
+    this.renderLayers();
+  },
+
+  renderLayers() {
+    const c = document.getElementById('layer-list');
+    if (!c) return;
+    const gm = !this.state.playerMode;
+    const sel = HexMap.state.selectedFeature;
+    if (sel && !(sel.type === 'path' ? DB.getPath(sel.id) : DB.getRegion(sel.id))) HexMap.state.selectedFeature = null;
+    const layers = [...DB.getLayers()].reverse().filter(l => gm || !l.gmOnly);
+    const feature = (type, f, icon) => `
+      <li class="layer-feature ${HexMap.state.selectedFeature?.id === f.id ? 'active' : ''}" data-feature-type="${type}" data-feature="${f.id}">
+        <span class="biome-swatch" style="background:${f.color}"></span>
+        <span class="layer-name">${this.esc(f.name)}</span>
+        <i class="fas ${icon} layer-kind"></i>
+      </li>`;
+    c.innerHTML = layers.length ? layers.map(l => `
+      <li class="layer-item ${l.visible === false ? 'hidden-layer' : ''} ${this.state.activeLayer === l.id ? 'active' : ''}" data-layer="${l.id}">
+        <div class="layer-row">
+          <button class="btn btn-ghost btn-icon-sm" data-layer-action="toggle" title="${l.visible === false ? 'Show' : 'Hide'} layer" ${gm ? '' : 'disabled'}><i class="fas ${l.visible === false ? 'fa-eye-slash' : 'fa-eye'}"></i></button>
+          <span class="layer-name">${this.esc(l.name)}${l.gmOnly ? ' <i class="fas fa-user-secret" title="GM only"></i>' : ''}</span>
+          <input type="range" class="layer-opacity gm-tool" data-layer-action="opacity" min="0.1" max="1" step="0.05" value="${l.opacity ?? 1}" title="Opacity">
+          <button class="btn btn-ghost btn-icon-sm gm-tool" data-layer-action="up" title="Move up"><i class="fas fa-chevron-up"></i></button>
+          <button class="btn btn-ghost btn-icon-sm gm-tool" data-layer-action="down" title="Move down"><i class="fas fa-chevron-down"></i></button>
+        </div>
+        <ul class="layer-features">${l.kind === 'regions'
+          ? DB.getRegions(l.id).map(rg => feature('region', rg, 'fa-draw-polygon')).join('')
+          : DB.getPaths(l.id).map(pt => feature('path', pt, pt.type === 'road' ? 'fa-road' : 'fa-water')).join('')}</ul>
+      </li>`).join('') : '<li class="layer-empty">No layers yet</li>';
+
+    c.querySelectorAll('.layer-item').forEach(el => {
+      const id = el.dataset.layer;
+      el.querySelector('.layer-row').addEventListener('click', e => {
+        const action = e.target.closest('[data-layer-action]')?.dataset.layerAction;
+        if (action === 'toggle') DB.updateLayer(id, { visible: DB.getLayer(id)?.visible === false });
+        else if (action === 'up' || action === 'down') DB.moveLayer(id, action === 'up' ? 1 : -1);
+        else if (action !== 'opacity') { this.state.activeLayer = id; c.querySelectorAll('.layer-item').forEach(x => x.classList.toggle('active', x === el)); }
+      });
+      const opacity = el.querySelector('.layer-opacity');
+      opacity?.addEventListener('input', e => HexMap.setPreview(id, { opacity: parseFloat(e.target.value) }));
+      opacity?.addEventListener('change', e => { HexMap.clearPreview(id); DB.updateLayer(id, { opacity: parseFloat(e.target.value) }); });
+      el.querySelector('.layer-row').addEventListener('contextmenu', e => {
+        if (!gm) return;
+        e.preventDefault();
+        const layer = DB.getLayer(id);
+        this.showContextMenu(e, [
+          { label: 'Rename Layer', icon: 'fa-edit', action: () => { const name = prompt('Layer name', layer.name)?.trim(); if (name) DB.updateLayer(id, { name }); } },
+          { label: layer.gmOnly ? 'Show to Players' : 'GM Only', icon: 'fa-user-secret', action: () => DB.updateLayer(id, { gmOnly: !layer.gmOnly }) },
+          { divider: true },
+          { label: 'Delete Layer', icon: 'fa-trash', danger: true, action: () => this.deleteLayer(id) }
+        ]);
+      });
+    });
+    c.querySelectorAll('.layer-feature').forEach(el => el.addEventListener('click', () => this.selectFeature(el.dataset.featureType, el.dataset.feature)));
+    this.renderRegionTarget();
+  },
+
+  renderRegionTarget() {
+    const sel = document.getElementById('region-target');
+    if (!sel) return;
+    const current = HexMap.tool.regionId;
+    sel.innerHTML = `<option value="">New region…</option>${DB.getRegions().map(rg => `<option value="${rg.id}">${this.esc(rg.name)}</option>`).join('')}`;
+    sel.value = DB.getRegion(current) ? current : '';
+    HexMap.tool.regionId = sel.value || null;
+  },
+
+  deleteLayer(id) {
+    const layer = DB.getLayer(id);
+    if (!layer) return;
+    const count = layer.kind === 'regions' ? DB.getRegions(id).length : DB.getPaths(id).length;
+    if (count && !confirm(`Delete "${layer.name}" and its ${count} ${layer.kind === 'regions' ? 'region' : 'path'}${count === 1 ? '' : 's'}?`)) return;
+    DB.deleteLayer(id);
+    if (this.state.activeLayer === id) this.state.activeLayer = null;
+    this.clearHexDetails();
+    this.showToast('Layer deleted', 'success');
+  },
+
+  createPath(points) {
+    const type = HexMap.tool.pathType === 'road' ? 'road' : 'river';
+    const path = Undo.batch(`Draw ${type}`, ['hexmap'], () => DB.createPath({ layerId: this.layerFor('paths').id, type, snap: HexMap.tool.snap, points }));
+    if (path) this.selectFeature('path', path.id);
+  },
+
+  createRegion(keys) {
+    const n = DB.getRegions().length;
+    const region = Undo.batch('Create region', ['hexmap'], () => DB.createRegion({ layerId: this.layerFor('regions').id, name: `Region ${n + 1}`, color: this.regionColors[n % this.regionColors.length], hexes: keys }));
+    if (!region) return;
+    HexMap.tool.regionId = region.id;
+    this.renderRegionTarget();
+    this.selectFeature('region', region.id);
+  },
+
+  selectFeature(type, id) {
+    HexMap.state.selectedFeature = { type, id };
+    HexMap.renderOverlay();
+    document.querySelectorAll('.layer-feature').forEach(el => el.classList.toggle('active', el.dataset.feature === id));
+    if (this.state.playerMode) return;
+    if (type === 'region') this.showRegionDetails(DB.getRegion(id));
+    else this.showPathDetails(DB.getPath(id));
+  },
+
+  showPathDetails(path) {
+    const dp = document.getElementById('hex-details');
+    if (!dp || !path) return;
+    dp.innerHTML = `
+      <div class="hex-details-form">
+        <div class="hex-details-header">
+          <div class="hex-biome-color" style="background:${path.color}"></div>
+          <div>
+            <div style="font-weight:500">${this.esc(path.name)}</div>
+            <div class="hex-coords">${path.type === 'road' ? 'Road' : 'River'} · ${path.points.length} points along hex ${path.snap === 'edge' ? 'edges' : 'centres'}</div>
+          </div>
+        </div>
+        <div class="hex-field">
+          <label>Name</label>
+          <input type="text" id="path-name" class="input" value="${this.esc(path.name)}">
+        </div>
+        <div class="hex-field">
+          <label>Type</label>
+          <select id="path-kind" class="input">
+            <option value="river" ${path.type !== 'road' ? 'selected' : ''}>River</option>
+            <option value="road" ${path.type === 'road' ? 'selected' : ''}>Road</option>
+          </select>
+        </div>
+        <div class="hex-field">
+          <label>Color</label>
+          <input type="color" id="path-color" class="color-input" value="${path.color}">
+        </div>
+        <div class="hex-field">
+          <label>Width <span id="path-width-value">${path.width}</span></label>
+          <input type="range" id="path-width" min="1" max="12" step="0.5" value="${path.width}">
+        </div>
+        <div class="hex-field">
+          <label>Style</label>
+          <select id="path-style" class="input">
+            ${['solid', 'dashed', 'dotted'].map(st => `<option value="${st}" ${path.style === st ? 'selected' : ''}>${st.charAt(0).toUpperCase() + st.slice(1)}</option>`).join('')}
+          </select>
+        </div>
+        <div class="flex gap-sm">
+          <button class="btn btn-danger btn-sm" id="btn-path-delete"><i class="fas fa-trash"></i> Delete</button>
+        </div>
+      </div>
+    `;
+    const update = (d) => DB.updatePath(path.id, d);
+    document.getElementById('path-name')?.addEventListener('input', e => {
+      clearTimeout(this.hexEditTimeout);
+      this.hexEditTimeout = setTimeout(() => update({ name: e.target.value }), 500);
+    });
+    document.getElementById('path-kind')?.addEventListener('change', e => update({ type: e.target.value }));
+    document.getElementById('path-color')?.addEventListener('change', e => update({ color: e.target.value }));
+    // Dragging only redraws the map; the width is saved, as one undo step, on release.
+    document.getElementById('path-width')?.addEventListener('input', e => {
+      document.getElementById('path-width-value').textContent = e.target.value;
+      HexMap.setPreview(path.id, { width: parseFloat(e.target.value) });
+    });
+    document.getElementById('path-width')?.addEventListener('change', e => { HexMap.clearPreview(path.id); update({ width: parseFloat(e.target.value) }); });
+    document.getElementById('path-style')?.addEventListener('change', e => update({ style: e.target.value }));
+    document.getElementById('btn-path-delete')?.addEventListener('click', () => {
+      DB.deletePath(path.id);
+      this.clearHexDetails();
+      this.showToast('Path deleted', 'success');
+    });
+  },
+
+  showRegionDetails(region) {
+    const dp = document.getElementById('hex-details');
+    if (!dp || !region) return;
+    dp.innerHTML = `
+      <div class="hex-details-form">
+        <div class="hex-details-header">
+          <div class="hex-biome-color" style="background:${region.color}"></div>
+          <div>
+            <div style="font-weight:500">${this.esc(region.name)}</div>
+            <div class="hex-coords">${region.hexes.length} hex${region.hexes.length === 1 ? '' : 'es'} · ${this.esc(DB.getLayer(region.layerId)?.name || '')}</div>
+          </div>
+        </div>
+        <div class="hex-field">
+          <label>Name</label>
+          <input type="text" id="region-name" class="input" value="${this.esc(region.name)}">
+        </div>
+        <div class="hex-field">
+          <label>Color</label>
+          <input type="color" id="region-color" class="color-input" value="${region.color}">
+        </div>
+        <div class="flex gap-sm">
+          <button class="btn btn-secondary btn-sm" id="btn-region-paint"><i class="fas fa-paintbrush"></i> Paint hexes</button>
+          <button class="btn btn-danger btn-sm" id="btn-region-delete"><i class="fas fa-trash"></i></button>
+        </div>
+      </div>
+    `;
+    const update = (d) => DB.updateRegion(region.id, d);
+    document.getElementById('region-name')?.addEventListener('input', e => {
+      clearTimeout(this.hexEditTimeout);
+      this.hexEditTimeout = setTimeout(() => update({ name: e.target.value }), 500);
+    });
+    document.getElementById('region-color')?.addEventListener('change', e => update({ color: e.target.value }));
+    document.getElementById('btn-region-paint')?.addEventListener('click', () => {
+      const sel = document.getElementById('region-target');
+      if (sel) sel.value = region.id;
+      this.setMapTool('region');
+    });
+    document.getElementById('btn-region-delete')?.addEventListener('click', () => {
+      DB.deleteRegion(region.id);
+      this.clearHexDetails();
+      this.showToast('Region deleted', 'success');
+    });
+  },
+
+  // Travel
+  // Pace and road use persist per browser; the route itself is not saved.
+  loadTravelOptions() {
+    let saved;
+    try { saved = JSON.parse(localStorage.getItem('ourotus.travel') || '{}'); } catch (e) { saved = {}; }
+    this.state.travel = { ...Travel.defaults, ...saved };
+    const pace = document.getElementById('route-pace'), roads = document.getElementById('route-roads');
+    if (pace) pace.value = this.state.travel.pace;
+    if (roads) roads.checked = this.state.travel.roads;
+  },
+
+  setTravelOption(key, value) {
+    this.state.travel = { ...this.state.travel, [key]: value };
+    localStorage.setItem('ourotus.travel', JSON.stringify(this.state.travel));
+    if (HexMap.route?.end) this.planRoute({ show: true });
+  },
+
+  // The first click picks the start, the second the destination; a third starts over.
+  onRouteClick(hex) {
+    const route = HexMap.route;
+    if (!route?.start || route.end) {
+      HexMap.setRoute({ start: hex, end: null, hexes: null });
+      return;
+    }
+    HexMap.setRoute({ start: route.start, end: hex, hexes: null });
+    this.planRoute({ show: true, announce: true });
+  },
+
+  // `show` puts the summary in the sidebar; otherwise it is only refreshed if already there.
+  planRoute({ show = false, announce = false } = {}) {
+    const route = HexMap.route;
+    if (!route?.start || !route.end) return;
+    const player = this.state.playerMode;
+    const result = Travel.route(route.start, route.end, { ...this.state.travel, gm: !player, include: (q, r) => !player || DB.isRevealed(q, r) });
+    HexMap.setRoute({ start: route.start, end: route.end, hexes: result?.hexes || null });
+    if (!result && announce) this.showToast('No passable route between these hexes', 'warning');
+    if (show || document.getElementById('btn-route-clear')) this.showRouteDetails(result);
+  },
+
+  clearRoute() {
+    if (!HexMap.route) return;
+    HexMap.setRoute(null);
+    const sel = HexMap.state.selectedHex;
+    if (sel) this.onHexSelect(sel, DB.getHex(sel.q, sel.r)); else this.clearHexDetails();
+  },
+
+  showRouteDetails(result) {
+    const dp = document.getElementById('hex-details');
+    if (!dp) return;
+    const { start, end } = HexMap.route;
+    const round = v => Math.round(v * 10) / 10;
+    const rows = result ? Object.entries(result.byBiome).sort((a, b) => b[1] - a[1]).map(([id, n]) => {
+      const biome = DB.getBiome(id);
+      return `<tr><td><span class="biome-swatch" style="background:${biome?.color || '#333'}"></span> ${this.esc(biome?.name || id)}</td><td>${n}</td></tr>`;
+    }) : [];
+    if (result?.roadSteps) rows.push(`<tr><td><i class="fas fa-road"></i> Road</td><td>${result.roadSteps}</td></tr>`);
+    dp.innerHTML = `
+      <div class="hex-details-form">
+        <div class="hex-details-header">
+          <div class="hex-biome-color" style="background:#facc15"></div>
+          <div>
+            <div style="font-weight:500">Journey</div>
+            <div class="hex-coords">(${start.q}, ${start.r}) → (${end.q}, ${end.r})</div>
+          </div>
+        </div>
+        ${result ? `
+          <div class="hex-field">
+            <label>Distance</label>
+            <p class="route-total">${result.steps} hex${result.steps === 1 ? '' : 'es'} · ${round(result.miles)} miles</p>
+          </div>
+          <div class="hex-field">
+            <label>Travel time at ${this.esc(result.pace)} pace</label>
+            <p class="route-total">${round(result.days)} day${round(result.days) === 1 ? '' : 's'}</p>
+          </div>
+          ${rows.length ? `<div class="hex-field"><label>Terrain crossed (hexes)</label><table class="route-table"><tbody>${rows.join('')}</tbody></table></div>` : ''}
+        ` : '<div class="hex-field"><p class="route-total">No passable route</p></div>'}
+        <div class="hex-field gm-tool">
+          <label>Miles per hex</label>
+          <input type="number" id="route-hex-miles" class="input" min="0.1" step="0.5" value="${Travel.milesPerHex()}">
+        </div>
+        <div class="flex gap-sm">
+          <button class="btn btn-secondary btn-sm" id="btn-route-clear"><i class="fas fa-times"></i> Clear route</button>
+        </div>
+      </div>
+    `;
+    document.getElementById('route-hex-miles')?.addEventListener('change', e => {
+      const miles = parseFloat(e.target.value);
+      if (!(miles > 0)) return;
+      DB.updateMeta({ hexMiles: miles });
+      this.planRoute();
+    });
+    document.getElementById('btn-route-clear')?.addEventListener('click', () => this.clearRoute());
+  },
+
+  openPage(id) {
+    const page = DB.getPage(id);
+    const sec = page && DB.getSection(page.sectionId);
+    if (!page) { this.showToast('Linked page not found', 'warning'); return; }
+    this.switchTab('lorebook');
+    if (sec) { this.state.activeNotebook = sec.notebookId; this.selectSection(sec.id); }
+    this.selectPage(id);
+  },
+
+  renderPlayerHexDetails(hex, hexData) {
+    const dp = document.getElementById('hex-details');
+    if (!hexData || !DB.isRevealed(hex.q, hex.r)) {
+      dp.innerHTML = '<div class="empty-state"><i class="fas fa-cloud empty-state-icon"></i><p class="empty-state-text">Unexplored</p></div>';
+      return;
+    }
+    const biome = DB.getBiome(hexData.biomeId);
+    dp.innerHTML = `
+      <div class="hex-details-form">
+        <div class="hex-details-header">
+          <div class="hex-biome-color" style="background:${biome?.color || '#333'}"></div>
+          <div>
+            <div style="font-weight:500">${this.esc(hexData.label || biome?.name || 'Unknown')}</div>
+            <div class="hex-coords">(${hex.q}, ${hex.r})</div>
+          </div>
+        </div>
+        ${biome?.description ? `<div class="hex-field"><label>${this.esc(biome.name)}</label><p style="font-size:0.8rem;color:var(--text-secondary)">${this.esc(biome.description)}</p></div>` : ''}
+        ${hexData.date ? `<div class="hex-field"><label>Date</label><p style="font-size:0.8rem;color:var(--text-secondary)">${this.esc(Calendar.formatRange(hexData.date))}</p></div>` : ''}
+        ${this.renderHexBacklinks(hex)}
+      </div>
+    `;
+  },
+
+  renderHexBacklinks(hex) {
+    const refs = Links.backlinksForHex(hex.q, hex.r).filter(p => this.isPageVisible(p));
+    if (!refs.length) return '';
+    return `<div class="hex-field"><label>Referenced by</label><div class="backlinks-list">${refs.map(p => `<a href="#" class="wiki-link" data-page="${p.id}">${this.esc(p.title)}</a>`).join('')}</div></div>`;
   },
 
   onHexBiomeChange(e) {
@@ -382,7 +1318,20 @@ const App = {
       </li>
     `).join('');
     
+    const pb = document.getElementById('paint-biome');
+    if (pb) {
+      const current = pb.value;
+      pb.innerHTML = DB.data.biomes.map(b => `<option value="${b.id}">${this.esc(b.name)}</option>`).join('');
+      if (DB.getBiome(current)) pb.value = current;
+      HexMap.tool.biomeId = pb.value || null;
+    }
+    
     c.querySelectorAll('.biome-item').forEach(el => {
+      el.addEventListener('click', () => {
+        if (pb) pb.value = el.dataset.biome;
+        HexMap.tool.biomeId = el.dataset.biome;
+        if (HexMap.tool.mode === 'select') this.setMapTool('brush');
+      });
       el.addEventListener('contextmenu', e => {
         e.preventDefault();
         const biome = DB.getBiome(el.dataset.biome);
@@ -437,12 +1386,13 @@ const App = {
     document.getElementById('section-notebook-id').value = tnb;
     document.getElementById('section-name').value = sec?.name || '';
     document.getElementById('section-color').value = sec?.color || '#6366f1';
+    document.getElementById('section-gm-only').checked = !!sec?.gmOnly;
     document.getElementById('btn-delete-section').classList.toggle('hidden', !isEdit);
     m.classList.add('active');
     document.getElementById('section-name').focus();
     
     document.getElementById('btn-save-section').onclick = () => {
-      const d = { name: document.getElementById('section-name').value, color: document.getElementById('section-color').value };
+      const d = { name: document.getElementById('section-name').value, color: document.getElementById('section-color').value, gmOnly: document.getElementById('section-gm-only').checked };
       if (isEdit) DB.updateSection(sec.id, d);
       else { const s = DB.createSection(tnb, d); this.selectSection(s.id); }
       this.renderNotebooks();
@@ -452,29 +1402,66 @@ const App = {
     document.getElementById('btn-delete-section').onclick = () => { if (confirm('Delete section?')) { this.deleteSection(sec.id); this.closeModals(); } };
   },
 
+  // Every biome field, with a live preview of a few hexes. New biomes get an id from the name
+  // that no other biome uses.
   showBiomeModal(biome = null) {
     const m = document.getElementById('biome-modal');
     if (!m) return;
     const isEdit = !!biome;
-    document.getElementById('biome-modal-title').textContent = isEdit ? 'Edit Biome' : 'New Biome';
-    document.getElementById('biome-id').value = biome?.id || '';
-    document.getElementById('biome-name').value = biome?.name || '';
-    document.getElementById('biome-color').value = biome?.color || '#808080';
-    document.getElementById('biome-description').value = biome?.description || '';
-    document.getElementById('btn-delete-biome').classList.toggle('hidden', !isEdit);
+    const el = id => document.getElementById(id);
+    el('biome-modal-title').textContent = isEdit ? 'Edit Biome' : 'New Biome';
+    el('biome-id').value = biome?.id || '';
+    el('biome-name').value = biome?.name || '';
+    el('biome-color').value = biome?.color || '#808080';
+    el('biome-description').value = biome?.description || '';
+    el('biome-elevation').value = biome?.elevation ?? '';
+    el('biome-move-cost').value = biome?.moveCost ?? 1;
+    el('biome-travel-speed').value = biome?.travelSpeed ?? 1;
+    this.renderClimateOptions(el('biome-temperature'), Generator.scales.temperature, biome?.temperature);
+    this.renderClimateOptions(el('biome-humidity'), Generator.scales.humidity, biome?.humidity);
+    this.renderTextureOptions(biome?.texture);
+    this.renderPatternPicker(biome?.pattern || 'solid');
+    this.renderRollTable(el('biome-encounters'), biome?.encounters || []);
+    this.renderRollTable(el('biome-resources'), biome?.resources || []);
+    el('btn-delete-biome').classList.toggle('hidden', !isEdit);
+    this.renderBiomePreview(biome);
     m.classList.add('active');
-    document.getElementById('biome-name').focus();
+    el('biome-name').focus();
     
-    document.getElementById('btn-save-biome').onclick = () => {
-      const d = { name: document.getElementById('biome-name').value, color: document.getElementById('biome-color').value, description: document.getElementById('biome-description').value };
+    el('biome-name').oninput = () => this.renderBiomePreview(biome);
+    el('biome-color').oninput = () => { this.renderPatternPicker(el('biome-pattern').dataset.value); this.renderBiomePreview(biome); };
+    el('biome-texture').onchange = () => this.renderBiomePreview(biome);
+    el('btn-upload-texture').onclick = () => el('biome-texture-file').click();
+    el('biome-texture-file').onchange = async (e) => {
+      const file = e.target.files[0];
+      e.target.value = '';
+      if (!file) return;
+      try {
+        const tex = DB.createTexture({ name: file.name.replace(/\.[^.]+$/, ''), data: HexMap.textureData(await MapImport.loadImage(file)) });
+        this.renderTextureOptions(tex.id);
+        this.renderBiomePreview(biome);
+      } catch (err) { this.showToast(err.message, 'error'); }
+    };
+    el('btn-delete-texture').onclick = () => {
+      const id = el('biome-texture').value;
+      if (!id) return;
+      if (!DB.deleteTexture(id)) { this.showToast('Cannot delete a texture a biome uses', 'error'); return; }
+      this.renderTextureOptions(null);
+      this.renderBiomePreview(biome);
+    };
+    el('btn-save-biome').onclick = () => {
+      const d = this.readBiomeForm();
+      if (!d.name) { this.showToast('Give the biome a name', 'warning'); el('biome-name').focus(); return; }
+      d.encounters = this.readRollTable(el('biome-encounters'));
+      d.resources = this.readRollTable(el('biome-resources'));
       if (isEdit) DB.updateBiome(biome.id, d);
-      else { d.id = d.name.toLowerCase().replace(/\s+/g, '_'); DB.createBiome(d); }
+      else DB.createBiome(d);
       this.renderBiomes();
       HexMap.render();
       this.closeModals();
       this.showToast(isEdit ? 'Biome updated' : 'Biome created', 'success');
     };
-    document.getElementById('btn-delete-biome').onclick = () => {
+    el('btn-delete-biome').onclick = () => {
       if (!DB.deleteBiome(biome.id)) { this.showToast('Cannot delete biome in use', 'error'); return; }
       this.renderBiomes();
       this.closeModals();
@@ -482,7 +1469,609 @@ const App = {
     };
   },
 
-  closeModals() { document.querySelectorAll('.modal-overlay').forEach(m => m.classList.remove('active')); },
+  // Everything but the encounter and resource tables. Cleared climate fields become undefined.
+  readBiomeForm() {
+    const el = id => document.getElementById(id);
+    const num = id => parseFloat(el(id).value);
+    const moveCost = num('biome-move-cost'), travelSpeed = num('biome-travel-speed'), elevation = num('biome-elevation');
+    return {
+      name: el('biome-name').value.trim(),
+      color: el('biome-color').value,
+      pattern: el('biome-pattern').dataset.value || 'solid',
+      texture: el('biome-texture').value || null,
+      description: el('biome-description').value,
+      temperature: el('biome-temperature').value || undefined,
+      humidity: el('biome-humidity').value || undefined,
+      elevation: Number.isFinite(elevation) ? elevation : undefined,
+      moveCost: moveCost >= 0 ? moveCost : 1,
+      travelSpeed: travelSpeed > 0 ? travelSpeed : 1
+    };
+  },
+
+  // The generator's scale, plus the biome's own value if it is not on it (e.g. "magical").
+  renderClimateOptions(select, scale, value) {
+    const names = Object.keys(scale);
+    if (value && !names.includes(value)) names.push(value);
+    select.innerHTML = '<option value="">–</option>' + names.map(n => `<option value="${this.esc(n)}">${this.esc(n.charAt(0).toUpperCase() + n.slice(1))}${n in scale ? '' : ' (ignored by generator)'}</option>`).join('');
+    select.value = value || '';
+  },
+
+  renderTextureOptions(selected) {
+    const select = document.getElementById('biome-texture');
+    select.innerHTML = '<option value="">None</option>' + DB.data.textures.map((t, i) => `<option data-index="${i}">${this.esc(t.name)}</option>`).join('');
+    select.querySelectorAll('[data-index]').forEach(o => { o.value = DB.data.textures[o.dataset.index].id; });
+    select.value = DB.getTexture(selected) ? selected : '';
+  },
+
+  renderPatternPicker(selected) {
+    const c = document.getElementById('biome-pattern');
+    const color = document.getElementById('biome-color').value;
+    c.dataset.value = selected;
+    c.innerHTML = Object.entries(HexMap.patterns).map(([id, p]) => `
+      <button type="button" class="pattern-option ${id === selected ? 'active' : ''}" data-pattern="${id}" title="${this.esc(p.label)}">
+        <canvas width="44" height="44"></canvas>
+        <span>${this.esc(p.label)}</span>
+      </button>
+    `).join('');
+    c.querySelectorAll('.pattern-option').forEach(b => {
+      const ctx = b.querySelector('canvas').getContext('2d');
+      ctx.translate(22, 22);
+      ctx.scale(0.65, 0.65);
+      HexMap.drawHex(ctx, 0, 0, { color, pattern: b.dataset.pattern }, 1);
+      b.onclick = () => {
+        this.renderPatternPicker(b.dataset.pattern);
+        this.renderBiomePreview(DB.getBiome(document.getElementById('biome-id').value));
+      };
+    });
+  },
+
+  // A hex and its six neighbours drawn with the unsaved form values.
+  renderBiomePreview(biome) {
+    const canvas = document.getElementById('biome-preview');
+    if (!canvas) return;
+    const d = { ...this.readBiomeForm(), id: 'preview' };
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.save();
+    ctx.translate(canvas.width / 2, canvas.height / 2);
+    [[0, 0], ...DB.hexDirections].forEach(([q, r]) => {
+      const pos = HexMap.hexToPixel(q, r);
+      HexMap.drawHex(ctx, pos.x, pos.y, d, HexMap.hexVariant(q, r));
+    });
+    ctx.restore();
+    if (d.texture && !HexMap.textureImage(d.texture)) HexMap.loadTexture(d.texture).then(img => { if (img) this.renderBiomePreview(biome); });
+    document.getElementById('biome-preview-id').textContent = `id: ${biome?.id || DB.uniqueBiomeId(d.name)}`;
+  },
+
+  showGeneratorModal() {
+    const m = document.getElementById('generator-modal');
+    if (!m) return;
+    const s = { ...Generator.defaults, ...(DB.data.hexmap?.settings || {}) };
+    const sea = document.getElementById('gen-sea-level');
+    const seaValue = document.getElementById('gen-sea-level-value');
+    document.getElementById('gen-seed').value = s.seed ?? Generator.defaults.seed;
+    document.getElementById('gen-width').value = s.width;
+    document.getElementById('gen-height').value = s.height;
+    document.getElementById('gen-continents').value = s.continents ?? Generator.defaults.continents;
+    sea.value = s.seaLevel ?? Generator.defaults.seaLevel;
+    seaValue.textContent = `(${Math.round(sea.value * 100)}%)`;
+    sea.oninput = () => { seaValue.textContent = `(${Math.round(sea.value * 100)}%)`; };
+    m.classList.add('active');
+
+    document.getElementById('btn-gen-random-seed').onclick = () => {
+      document.getElementById('gen-seed').value = Math.random().toString(36).slice(2, 10);
+    };
+    document.getElementById('btn-run-generator').onclick = () => {
+      if (DB.data.hexmap?.hexes?.length && !confirm('Replace the current map with a generated one?')) return;
+      const hm = Generator.generate({
+        seed: document.getElementById('gen-seed').value,
+        width: document.getElementById('gen-width').value,
+        height: document.getElementById('gen-height').value,
+        seaLevel: sea.value,
+        continents: document.getElementById('gen-continents').value
+      });
+      DB.setHexmap(hm);
+      HexMap.state.selectedHex = null;
+      HexMap.centerView();
+      this.clearHexDetails();
+      this.closeModals();
+      this.showToast(`Generated ${hm.settings.width}x${hm.settings.height} world`, 'success');
+    };
+  },
+
+  // Options persist per browser; in player view the export always shows fog of war.
+  showMapExportModal() {
+    const m = document.getElementById('map-export-modal');
+    if (!m) return;
+    let saved = {};
+    try { saved = JSON.parse(localStorage.getItem('ourotus.mapExport') || '{}'); } catch (e) { saved = {}; }
+    const o = { ...MapExport.defaults, ...saved };
+    const el = id => document.getElementById(id);
+    const fields = { format: 'export-format', scale: 'export-scale', paper: 'export-paper', orientation: 'export-orientation', hexMm: 'export-hex-mm', overlapMm: 'export-overlap', hexDistance: 'export-hex-distance' };
+    const checks = { labels: 'export-labels', markers: 'export-markers', layers: 'export-layers', grid: 'export-grid', coords: 'export-coords', fog: 'export-fog' };
+    Object.entries(fields).forEach(([k, id]) => { el(id).value = o[k]; });
+    Object.entries(checks).forEach(([k, id]) => { el(id).checked = !!o[k]; });
+    el('export-fog').disabled = this.state.playerMode;
+    if (this.state.playerMode) el('export-fog').checked = true;
+    
+    const read = () => ({
+      ...Object.fromEntries(Object.entries(fields).map(([k, id]) => [k, el(id).value])),
+      ...Object.fromEntries(Object.entries(checks).map(([k, id]) => [k, el(id).checked])),
+      scale: parseFloat(el('export-scale').value) || 1,
+      hexMm: Math.max(4, parseFloat(el('export-hex-mm').value) || MapExport.defaults.hexMm),
+      overlapMm: Math.max(0, parseFloat(el('export-overlap').value) || 0)
+    });
+    const update = () => {
+      const opts = read();
+      m.querySelectorAll('[data-export-for]').forEach(g => g.classList.toggle('hidden', !g.dataset.exportFor.split(' ').includes(opts.format)));
+      el('export-scale-value').textContent = `(${opts.scale}×)`;
+      const b = MapExport.bounds();
+      let summary = 'The map is empty';
+      if (b && opts.format === 'print') {
+        const layout = MapExport.printLayout(opts);
+        summary = `${layout.sheets.length} sheet${layout.sheets.length === 1 ? '' : 's'} (${layout.rows} × ${layout.cols})`;
+      } else if (b) {
+        const scale = opts.format === 'png' ? MapExport.fitScale(b, opts.scale) : opts.scale;
+        summary = `${Math.ceil(b.width * scale)} × ${Math.ceil(b.height * scale)} px` + (scale < opts.scale ? ' (reduced to fit browser limits)' : '');
+      }
+      el('export-summary').textContent = summary;
+    };
+    m.querySelectorAll('input, select').forEach(i => { i.oninput = update; i.onchange = update; });
+    update();
+    m.classList.add('active');
+    
+    el('btn-run-export').onclick = async () => {
+      const opts = read();
+      if (this.state.playerMode) opts.fog = true;
+      localStorage.setItem('ourotus.mapExport', JSON.stringify(opts));
+      try {
+        if (opts.format === 'svg') MapExport.exportSVG(opts);
+        else if (opts.format === 'print') MapExport.printTiles(opts);
+        else {
+          const scale = await MapExport.exportPNG(opts);
+          if (scale < opts.scale) this.showToast(`Exported at ${Math.round(scale * 100) / 100}× to fit browser limits`, 'warning');
+        }
+        this.closeModals();
+      } catch (e) { this.showToast(`Export failed: ${e.message}`, 'error'); }
+    };
+  },
+
+  showMapImportModal() {
+    const m = document.getElementById('map-import-modal');
+    if (!m) return;
+    const el = id => document.getElementById(id);
+    const d = MapImport.defaults;
+    this.state.mapImport = { file: null, source: null, mapping: {} };
+    el('map-import-file').value = '';
+    el('map-import-format').value = 'csv';
+    el('map-import-layout').value = d.layout;
+    el('map-import-columns').value = d.columns;
+    el('map-import-origin-q').value = d.originQ;
+    el('map-import-origin-r').value = d.originR;
+    el('map-import-mode').value = DB.data.hexmap?.hexes?.length ? d.mode : 'replace';
+    el('map-import-file').onchange = e => {
+      const file = e.target.files[0];
+      this.state.mapImport.file = file || null;
+      if (file) el('map-import-format').value = MapImport.detect(file);
+      this.readMapImport();
+    };
+    ['map-import-format', 'map-import-layout', 'map-import-columns'].forEach(id => { el(id).onchange = () => this.readMapImport(); });
+    ['map-import-origin-q', 'map-import-origin-r', 'map-import-mode'].forEach(id => { el(id).onchange = () => this.renderMapImport(); });
+    el('map-import-mapping').onchange = e => {
+      const t = this.state.mapImport.terrains?.[e.target.dataset.terrainIndex];
+      if (!t) return;
+      this.state.mapImport.mapping[t.name] = e.target.value;
+      this.renderMapImport();
+    };
+    el('btn-run-map-import').onclick = () => this.runMapImport();
+    this.renderMapImport();
+    m.classList.add('active');
+  },
+  mapImportOptions() {
+    const el = id => document.getElementById(id);
+    return {
+      format: el('map-import-format').value,
+      layout: el('map-import-layout').value,
+      columns: el('map-import-columns').value,
+      originQ: el('map-import-origin-q').value,
+      originR: el('map-import-origin-r').value,
+      mode: el('map-import-mode').value
+    };
+  },
+  async readMapImport() {
+    const imp = this.state.mapImport;
+    const opts = this.mapImportOptions();
+    imp.source = null;
+    imp.error = null;
+    if (imp.file) {
+      try {
+        const source = await MapImport.read(imp.file, opts.format, opts);
+        if (imp !== this.state.mapImport) return;
+        imp.source = source;
+        imp.terrains = MapImport.terrains(source);
+        imp.mapping = MapImport.mapping(source, imp.mapping);
+      } catch (err) { imp.error = err.message; }
+    }
+    this.renderMapImport();
+  },
+  renderMapImport() {
+    const imp = this.state.mapImport;
+    const mapping = document.getElementById('map-import-mapping');
+    const preview = document.getElementById('map-import-preview');
+    const btn = document.getElementById('btn-run-map-import');
+    if (!imp || !mapping || !preview) return;
+    const opts = this.mapImportOptions();
+    document.querySelectorAll('#map-import-modal [data-import-for]').forEach(g => g.classList.toggle('hidden', g.dataset.importFor !== opts.format));
+    imp.plan = null;
+    btn.disabled = true;
+    if (imp.error) { mapping.innerHTML = `<div class="import-block import-errors"><h4><i class="fas fa-circle-xmark"></i> ${this.esc(imp.error)}</h4></div>`; preview.innerHTML = ''; return; }
+    if (!imp.source) { mapping.innerHTML = '<p class="text-muted">Choose a CSV/TSV, JSON grid or image file.</p>'; preview.innerHTML = ''; return; }
+    if (!imp.source.cells.length) { mapping.innerHTML = '<p class="text-muted">No hexes found in this file.</p>'; preview.innerHTML = ''; return; }
+
+    const biomes = DB.data.biomes || [];
+    const options = id => `<option value="">Skip</option>${biomes.map(b => `<option value="${b.id}" ${b.id === id ? 'selected' : ''}>${this.esc(b.name)}</option>`).join('')}`;
+    const unmapped = imp.terrains.filter(t => !imp.mapping[t.name]).length;
+    mapping.innerHTML = `
+      <h4>Terrain${unmapped ? ` <span class="text-danger">· ${unmapped} not mapped</span>` : ''}</h4>
+      <table class="import-changes map-import-terrains"><tbody>${imp.terrains.map((t, i) => `
+        <tr class="${imp.mapping[t.name] ? '' : 'unmapped'}">
+          <td>${this.esc(imp.source.format === 'image' ? DB.getBiome(t.name)?.name || t.name : t.name)}</td>
+          <td>${t.count}</td>
+          <td><select class="input input-sm" data-terrain-index="${i}">${options(imp.mapping[t.name])}</select></td>
+        </tr>`).join('')}</tbody></table>
+      ${imp.source.warnings.length ? `<div class="import-block import-warnings mt-md"><h4><i class="fas fa-triangle-exclamation"></i> ${imp.source.warnings.length} line${imp.source.warnings.length === 1 ? '' : 's'} skipped</h4><ul>${imp.source.warnings.slice(0, 20).map(w => `<li>${this.esc(w)}</li>`).join('')}</ul></div>` : ''}`;
+
+    const plan = MapImport.plan(imp.source, imp.mapping, opts);
+    const st = plan.stats;
+    const thumb = Worlds.thumbnail({ hexmap: { hexes: plan.hexes }, biomes }, 360, 225);
+    preview.innerHTML = `
+      <div class="world-thumb">${thumb ? `<img src="${thumb}" alt="Preview of the imported map">` : '<i class="fas fa-map"></i>'}</div>
+      <table class="import-changes mt-md"><tbody>
+        <tr><td>New hexes</td><td>${st.added ? `+${st.added}` : '–'}</td></tr>
+        <tr><td>Changed hexes</td><td>${st.changed || '–'}</td></tr>
+        ${plan.mode === 'replace' ? `<tr><td>Removed hexes</td><td>${st.removed ? `−${st.removed}` : '–'}</td></tr>` : ''}
+        <tr><td>Skipped cells</td><td>${st.skipped || '–'}</td></tr>
+      </tbody></table>`;
+    imp.plan = plan;
+    btn.disabled = !st.cells || (plan.mode === 'merge' && !plan.changes.length);
+  },
+  runMapImport() {
+    const plan = this.state.mapImport?.plan;
+    if (!plan) return;
+    if (plan.mode === 'replace' && plan.stats.removed && !confirm(`Replace the map? ${plan.stats.removed} existing hex${plan.stats.removed === 1 ? '' : 'es'} will be removed.`)) return;
+    MapImport.apply(plan);
+    this.state.mapImport = null;
+    HexMap.state.selectedHex = null;
+    if (plan.mode === 'replace') HexMap.centerView();
+    this.clearHexDetails();
+    this.closeModals();
+    this.showToast(`Imported ${plan.stats.cells} hex${plan.stats.cells === 1 ? '' : 'es'}`, 'success');
+  },
+
+  clearHexDetails() {
+    const dp = document.getElementById('hex-details');
+    if (dp) dp.innerHTML = '<div class="empty-state"><i class="fas fa-hexagon empty-state-icon"></i><p class="empty-state-text">Select a hex</p></div>';
+  },
+
+  // Player mode
+  setPlayerMode(on, silent = false) {
+    if (TabSync.follower && !on) return;
+    this.state.playerMode = on;
+    if (!TabSync.follower) localStorage.setItem('ourotus.playerMode', on ? '1' : '0');
+    document.body.classList.toggle('player-mode', on);
+    const btn = document.getElementById('btn-player-mode');
+    if (btn) { btn.classList.toggle('active', on); btn.title = on ? 'Player view (click for GM view)' : 'GM view (click for player view)'; }
+    HexMap.playerMode = on;
+    HexMap.setRoute(null);
+    if (on) {
+      this.setMapTool('select');
+      this.closeModals();
+      this.setViewMode('preview');
+      const page = DB.getPage(this.state.activePage);
+      if (page && !this.isPageVisible(page)) this.state.activePage = null;
+      const sec = DB.getSection(this.state.activeSection);
+      if (sec?.gmOnly) { this.state.activeSection = null; this.state.activePage = null; }
+    }
+    this.renderNotebooks();
+    this.renderPages();
+    this.renderEditor();
+    HexMap.render();
+    this.renderLayers();
+    this.renderTimeline();
+    const sel = HexMap.state.selectedHex;
+    if (sel) this.onHexSelect(sel, DB.getHex(sel.q, sel.r)); else this.clearHexDetails();
+    if (!silent) this.showToast(on ? 'Player view: GM content hidden' : 'GM view', 'info');
+  },
+
+  isPageVisible(page) {
+    if (!this.state.playerMode || !page) return !!page;
+    return !page.gmOnly && !DB.getSection(page.sectionId)?.gmOnly;
+  },
+
+  visibleSections(nbId) {
+    const secs = DB.getSectionsForNotebook(nbId);
+    return this.state.playerMode ? secs.filter(s => !s.gmOnly) : secs;
+  },
+
+  visiblePages(secId) {
+    const pages = DB.getPagesForSection(secId);
+    return this.state.playerMode ? pages.filter(p => this.isPageVisible(p)) : pages;
+  },
+
+  togglePageGmOnly() {
+    const page = DB.getPage(this.state.activePage);
+    if (!page || this.state.playerMode) return;
+    DB.updatePage(page.id, { gmOnly: !page.gmOnly });
+    document.getElementById('btn-gm-only')?.classList.toggle('active', !page.gmOnly);
+    this.renderPages();
+  },
+
+  // Page history
+  async showPageHistory() {
+    const page = DB.getPage(this.state.activePage);
+    if (!page || this.state.playerMode) return;
+    this.commitEditor();
+    await Revisions.flush(page.id);
+    const revisions = await Revisions.list(page.id);
+    this.state.history = { pageId: page.id, revisions, selected: revisions[0]?.id || null };
+    document.getElementById('history-modal-title').textContent = `History: ${page.title}`;
+    const compare = document.getElementById('history-compare');
+    compare.onchange = () => this.renderRevisionDiff();
+    document.getElementById('btn-restore-revision').onclick = () => this.restoreRevision();
+    this.renderRevisionList();
+    document.getElementById('history-modal').classList.add('active');
+  },
+
+  renderRevisionList() {
+    const h = this.state.history;
+    const c = document.getElementById('history-list');
+    if (!h || !c) return;
+    c.innerHTML = h.revisions.length ? h.revisions.map((rev, i) => {
+      const older = h.revisions[i + 1];
+      const delta = older ? rev.content.length - older.content.length : 0;
+      return `<li class="history-item ${rev.id === h.selected ? 'active' : ''}" data-revision="${rev.id}">
+        <span class="history-time">${this.esc(new Date(rev.at).toLocaleString())}</span>
+        <span class="history-meta">${this.esc(rev.reason)} · ${rev.content.length} chars${delta ? ` (${delta > 0 ? '+' : '−'}${Math.abs(delta)})` : ''}</span>
+      </li>`;
+    }).join('') : '<li class="history-empty">No revisions yet. They are saved as you edit.</li>';
+    c.querySelectorAll('.history-item').forEach(el => el.addEventListener('click', () => {
+      h.selected = el.dataset.revision;
+      this.renderRevisionList();
+    }));
+    this.renderRevisionDiff();
+  },
+
+  // Unchanged runs are folded down to `context` lines either side of a change.
+  renderRevisionDiff(context = 3) {
+    const h = this.state.history;
+    const c = document.getElementById('history-diff');
+    if (!h || !c) return;
+    const i = h.revisions.findIndex(r => r.id === h.selected);
+    const rev = h.revisions[i];
+    document.getElementById('btn-restore-revision').disabled = !rev;
+    if (!rev) { c.innerHTML = ''; return; }
+    const previous = document.getElementById('history-compare').value === 'previous';
+    // Both ways read old to new: the older revision against this one, or this one against the page.
+    const [from, to] = previous ? [h.revisions[i + 1] || { title: '', content: '' }, rev] : [rev, DB.getPage(h.pageId) || rev];
+    c.innerHTML = this.renderPageDiff(from, to, context) || `<p class="history-empty">${previous ? 'Same as the revision before it' : 'Same as the current page'}</p>`;
+  },
+
+  // Title and content changes from page `from` to `to`, or '' when they match.
+  renderPageDiff(from, to, context = 3) {
+    const lines = Revisions.diff(from.content, to.content);
+    const near = lines.map((l, k) => l.type !== 'same' || lines.slice(Math.max(0, k - context), k + context + 1).some(x => x.type !== 'same'));
+    const out = [];
+    lines.forEach((l, k) => {
+      if (near[k]) { out.push(`<div class="diff-line diff-${l.type}">${this.esc(l.text) || ' '}</div>`); return; }
+      if (k && !near[k - 1]) return;
+      let n = 0;
+      while (k + n < lines.length && !near[k + n]) n++;
+      out.push(`<div class="diff-line diff-fold">⋯ ${n} unchanged line${n === 1 ? '' : 's'}</div>`);
+    });
+    const title = from.title !== to.title ? `<div class="diff-title"><span class="diff-del">${this.esc(from.title)}</span> → <span class="diff-add">${this.esc(to.title)}</span></div>` : '';
+    return lines.every(l => l.type === 'same') ? title : title + out.join('');
+  },
+
+  async restoreRevision() {
+    const h = this.state.history;
+    const rev = h?.revisions.find(r => r.id === h.selected);
+    if (!rev) return;
+    this.commitEditor();
+    const page = await Revisions.restore(rev);
+    if (!page) { this.showToast('That page no longer exists', 'error'); return; }
+    this.renderPages();
+    if (this.state.activePage === page.id) this.renderEditor();
+    this.showToast(`Restored "${page.title}" from ${new Date(rev.at).toLocaleString()}`, 'success');
+    h.revisions = await Revisions.list(page.id);
+    h.selected = h.revisions[0]?.id || null;
+    this.renderRevisionList();
+  },
+
+  // Settings
+  // Hands the current settings to the modules that use them; also run once before anything loads.
+  applySettings() {
+    const s = key => Settings.get(key);
+    document.documentElement.dataset.theme = s('app.theme');
+    HexMap.configure({ hexSize: s('hexmap.hexSize'), showGrid: s('hexmap.showGrid'), showCoordinates: s('hexmap.showCoordinates'), defaultZoom: s('hexmap.defaultZoom'), minZoom: s('hexmap.minZoom'), maxZoom: s('hexmap.maxZoom') });
+    DB.autoSave = s('cache.autoSave');
+    DB.autoSaveDelay = s('cache.autoSaveInterval');
+    if (!DB.status.synced) DB.scheduleAutoSave();
+    this.editorDelay = s('lorebook.autosaveDelay');
+    Sounds.configure({ enabled: s('audio.enabled'), volume: s('audio.volume'), sources: s('audio.sounds') });
+  },
+
+  onSettingsChange() {
+    this.applySettings();
+    if (document.getElementById('settings-modal')?.classList.contains('active')) this.renderSettings();
+  },
+
+  // Every control with data-setting edits that key as soon as it changes. Number boxes wait
+  // for the edit to finish, so a half-typed value is not clamped under the cursor.
+  showSettings() {
+    const m = document.getElementById('settings-modal');
+    if (!m) return;
+    m.querySelectorAll('[data-setting]').forEach(i => {
+      const save = () => Settings.set(i.dataset.setting, this.readSetting(i)).catch(e => this.showToast(`Setting not saved: ${e.message}`, 'error'));
+      i.oninput = i.type === 'number' ? null : save;
+      i.onchange = save;
+    });
+    document.getElementById('btn-reset-settings').onclick = () => Settings.reset().catch(e => this.showToast(`Settings not reset: ${e.message}`, 'error'));
+    this.renderSettings();
+    m.classList.add('active');
+  },
+
+  renderSettings() {
+    const m = document.getElementById('settings-modal');
+    m.querySelectorAll('[data-setting]').forEach(i => {
+      const value = Settings.get(i.dataset.setting);
+      if (i.type === 'checkbox') i.checked = value;
+      else i.value = typeof value === 'number' ? value / (parseFloat(i.dataset.scale) || 1) : value;
+    });
+    m.querySelectorAll('[data-setting-value]').forEach(el => {
+      const value = Settings.get(el.dataset.settingValue);
+      el.textContent = el.dataset.settingValue === 'audio.volume' ? `${Math.round(value * 100)}%` : `${value}px`;
+    });
+    document.getElementById('settings-volume').disabled = !Settings.get('audio.enabled');
+    document.getElementById('settings-autosave-interval').disabled = !Settings.get('cache.autoSave');
+    document.getElementById('btn-reset-settings').disabled = !Object.keys(Settings.fields).some(k => Settings.isChanged(k));
+  },
+
+  readSetting(input) {
+    if (input.type === 'checkbox') return input.checked;
+    if (input.tagName === 'SELECT') return input.value;
+    return parseFloat(input.value) * (parseFloat(input.dataset.scale) || 1);
+  },
+
+  // Other tabs
+  openPlayerDisplay() {
+    window.open(`${location.pathname}?follow`, 'ourotus-display');
+  },
+
+  // A follower goes wherever another tab goes, including worlds created since it loaded.
+  async followWorld(dbName) {
+    Worlds.list = await DB.getAll('worlds', Worlds.instance);
+    const world = Worlds.list.find(w => w.dbName === dbName);
+    if (world) await this.switchWorld(world.id);
+  },
+
+  // Resolves 'mine' or 'theirs' for a record saved elsewhere (`c.where`, another tab by default)
+  // while this one had unsaved changes to it. Hexes from the server come as one list.
+  showConflict(c) {
+    const m = document.getElementById('conflict-modal');
+    const body = document.getElementById('conflict-body');
+    const rec = c.mine || c.theirs;
+    const names = { notebooks: 'notebook', sections: 'section', pages: 'page', biomes: 'biome', celestial: 'celestial body', textures: 'texture' };
+    const where = c.where || 'in another tab';
+    if (c.table === 'hexes') {
+      const n = c.mine.length;
+      body.innerHTML = `<p>${n} ${n === 1 ? 'hex was' : 'hexes were'} changed ${where} while you had unsaved changes to ${n === 1 ? 'it' : 'them'} here.</p>`;
+      return this.awaitConflict(m);
+    }
+    if (c.parts) {
+      const nouns = { hexes: 'hex', markers: 'marker', layers: 'layer', paths: 'path', regions: 'region' };
+      const counts = new Map();
+      c.parts.forEach(p => { const k = nouns[p.split('/')[0]] ? p.split('/')[0] : p === 'revealed' ? p : 'settings'; counts.set(k, (counts.get(k) || 0) + 1); });
+      const fields = { revealed: 'the explored area', settings: 'the map settings' };
+      const list = [...counts].map(([k, n]) => fields[k] || `${n} ${nouns[k]}${n === 1 ? '' : k === 'hexes' ? 'es' : 's'}`);
+      const what = list.length > 1 ? `${list.slice(0, -1).join(', ')} and ${list[list.length - 1]}` : list[0];
+      body.innerHTML = `<p>${what.charAt(0).toUpperCase() + what.slice(1)} ${c.parts.length === 1 ? 'was' : 'were'} changed ${where} while you had unsaved changes to ${c.parts.length === 1 ? 'it' : 'them'} here.</p>`;
+      return this.awaitConflict(m);
+    }
+    const what = c.table === 'hexmap' ? 'The map' : c.table === 'meta' ? 'The world settings'
+      : c.id === null ? `The ${c.table}` : `The ${names[c.table] || c.table} "${rec?.title || rec?.name || c.id}"`;
+    const text = !c.theirs ? `was deleted ${where} while you had unsaved changes to it here.`
+      : !c.mine ? `was changed ${where} after you deleted it here.`
+      : `was saved ${where} while you had unsaved changes to it here.`;
+    const diff = c.table === 'pages' && c.mine && c.theirs ? this.renderPageDiff(c.theirs, c.mine) : '';
+    body.innerHTML = `
+      <p>${this.esc(what)} ${text}</p>
+      ${diff ? `<p class="conflict-legend"><span class="diff-del">theirs</span> → <span class="diff-add">yours</span></p><div class="history-diff conflict-diff">${diff}</div>` : ''}`;
+    return this.awaitConflict(m);
+  },
+
+  awaitConflict(m) {
+    m.classList.add('active');
+    return new Promise(resolve => {
+      const answer = (choice) => { m.classList.remove('active'); resolve(choice); };
+      document.getElementById('btn-conflict-mine').onclick = () => answer('mine');
+      document.getElementById('btn-conflict-theirs').onclick = () => answer('theirs');
+    });
+  },
+
+  isSearchResultVisible({ type, ref, gmOnly }) {
+    if (!this.state.playerMode) return true;
+    if (gmOnly) return false;
+    if (type === 'page') return this.isPageVisible(DB.getPage(ref));
+    if (type === 'section') return !DB.getSection(ref)?.gmOnly;
+    if (type === 'hex') return DB.isRevealed(ref.q, ref.r);
+    return true;
+  },
+
+  // Search
+  openSearch() {
+    const m = document.getElementById('search-modal');
+    const input = document.getElementById('search-input');
+    if (!m || !input) return;
+    m.classList.add('active');
+    input.select();
+    this.runSearch(input.value);
+    setTimeout(() => input.focus(), 0);
+  },
+
+  runSearch(text) {
+    const c = document.getElementById('search-results');
+    if (!c) return;
+    this.searchResults = Search.query(text, 60).filter(r => this.isSearchResultVisible(r.doc)).slice(0, 30);
+    this.searchIndex = 0;
+    if (!text.trim()) { c.innerHTML = '<li class="search-empty">Type to search pages, hexes, biomes and notebooks</li>'; return; }
+    if (!this.searchResults.length) { c.innerHTML = '<li class="search-empty">No results</li>'; return; }
+    const icons = { page: 'fa-file-alt', hex: 'fa-location-dot', biome: 'fa-leaf', notebook: 'fa-book', section: 'fa-folder' };
+    c.innerHTML = this.searchResults.map(({ doc, terms }, i) => `
+      <li class="search-result ${i === 0 ? 'active' : ''}" data-index="${i}">
+        <i class="fas ${icons[doc.type]} search-result-icon"></i>
+        <div class="search-result-body">
+          <div class="search-result-title">${Search.highlight(doc.title, terms)} <span class="search-result-context">${this.esc(doc.context)}</span></div>
+          ${doc.body ? `<div class="search-result-snippet">${Search.highlight(Search.snippet(doc, terms), terms)}</div>` : ''}
+        </div>
+      </li>
+    `).join('');
+    c.querySelectorAll('.search-result').forEach(el => {
+      el.addEventListener('click', () => this.openSearchResult(parseInt(el.dataset.index, 10)));
+      el.addEventListener('mousemove', () => this.setSearchIndex(parseInt(el.dataset.index, 10)));
+    });
+  },
+
+  setSearchIndex(i) {
+    const items = document.querySelectorAll('#search-results .search-result');
+    if (!items.length) return;
+    this.searchIndex = (i + items.length) % items.length;
+    items.forEach((el, j) => el.classList.toggle('active', j === this.searchIndex));
+    items[this.searchIndex].scrollIntoView({ block: 'nearest' });
+  },
+
+  onSearchKey(e) {
+    if (e.key === 'ArrowDown') { e.preventDefault(); this.setSearchIndex(this.searchIndex + 1); }
+    else if (e.key === 'ArrowUp') { e.preventDefault(); this.setSearchIndex(this.searchIndex - 1); }
+    else if (e.key === 'Enter') { e.preventDefault(); this.openSearchResult(this.searchIndex); }
+  },
+
+  openSearchResult(i) {
+    const result = this.searchResults?.[i];
+    if (!result) return;
+    const { type, ref } = result.doc;
+    this.closeModals();
+    if (type === 'page') this.openPage(ref);
+    else if (type === 'hex') this.goToHex(ref.q, ref.r);
+    else if (type === 'biome') { this.switchTab('map'); this.showBiomeModal(DB.getBiome(ref)); }
+    else if (type === 'section') { this.switchTab('lorebook'); this.selectSection(ref); }
+    else if (type === 'notebook') {
+      this.switchTab('lorebook');
+      if (this.state.activeNotebook !== ref) this.selectNotebook(ref);
+    }
+  },
+
+  // Modals marked data-required (the conflict prompt) stay until answered.
+  closeModals() { document.querySelectorAll('.modal-overlay:not([data-required])').forEach(m => m.classList.remove('active')); },
 
   showContextMenu(e, items) {
     document.querySelectorAll('.context-menu').forEach(m => m.remove());
@@ -505,20 +2094,49 @@ const App = {
   },
 
   // Data ops
-  async saveToCache() { await DB.saveAllToCache(); this.showToast('Saved to browser', 'success'); },
+  async saveToCache() {
+    this.commitEditor();
+    const ok = await DB.saveAllToCache();
+    await Revisions.flush();
+    if (ok) { this.showToast('Saved to browser', 'success'); Sounds.play('save'); }
+  },
   exportData() { DB.downloadAllData(); this.showToast('Export downloaded', 'success'); },
   async importData(e) {
     const f = e.target.files[0];
+    e.target.value = '';
     if (!f) return;
     try {
-      await DB.importData(f);
+      this.showImportPreview(f.name, DB.prepareImport(await DB.readJSONFile(f)));
+    } catch (err) { this.showToast('Import failed: ' + err.message, 'error'); }
+  },
+  showImportPreview(name, plan) {
+    const m = document.getElementById('import-modal');
+    const c = document.getElementById('import-preview');
+    if (!m || !c) return;
+    const list = (items, limit = 50) => `<ul>${items.slice(0, limit).map(i => `<li>${this.esc(i)}</li>`).join('')}${items.length > limit ? `<li>…and ${items.length - limit} more</li>` : ''}</ul>`;
+    const block = (cls, icon, title, items) => items.length ? `<div class="import-block ${cls}"><h4><i class="fas ${icon}"></i> ${title}</h4>${list(items)}</div>` : '';
+    const rows = plan.changes.map(ch => `<tr><td>${ch.table}</td><td>${ch.added ? `+${ch.added}` : '–'}</td><td>${ch.updated || '–'}</td><td>${ch.removed ? `−${ch.removed}` : '–'}</td></tr>`).join('');
+    c.innerHTML = `
+      <p class="import-summary"><i class="fas fa-file-import"></i> ${this.esc(name)} · version ${this.esc(plan.version || 'unknown')}${plan.applied.length ? ` → ${Schema.version}` : ''}</p>
+      ${block('import-errors', 'fa-circle-xmark', `${plan.errors.length} error${plan.errors.length === 1 ? '' : 's'} — nothing will be imported`, plan.errors)}
+      ${block('import-warnings', 'fa-triangle-exclamation', `${plan.warnings.length} warning${plan.warnings.length === 1 ? '' : 's'}`, plan.warnings)}
+      ${block('', 'fa-arrow-up-right-dots', 'Migrations', plan.applied)}
+      ${rows ? `<table class="import-changes"><thead><tr><th>Table</th><th>Added</th><th>Changed</th><th>Removed</th></tr></thead><tbody>${rows}</tbody></table>` : ''}`;
+    const btn = document.getElementById('btn-confirm-import');
+    btn.disabled = !!plan.errors.length;
+    btn.onclick = () => this.confirmImport(plan);
+    m.classList.add('active');
+  },
+  async confirmImport(plan) {
+    try {
+      await DB.applyImport(plan);
+      this.closeModals();
       this.showToast('Imported successfully', 'success');
       this.renderNotebooks();
       this.renderBiomes();
       HexMap.render();
       this.updateWorldTitle();
-      e.target.value = '';
-    } catch (err) { this.showToast('Import failed: ' + err.message, 'error'); }
+    } catch (err) { this.showToast('Import failed, previous data restored: ' + err.message, 'error'); }
   },
   confirmReset() {
     if (confirm('Reset all data?')) {
@@ -552,7 +2170,432 @@ const App = {
     this.renderEditor();
     this.showToast('Section deleted', 'success');
   },
-  onDataChange() { this.updateSyncStatus({ status: 'modified' }); },
+  onDataChange(d) {
+    if (d?.type !== 'open' && d?.type !== 'remote') this.updateSyncStatus({ status: 'modified' });
+    if (d?.type === 'delete') Sounds.play('delete');
+    else if (d?.type === 'open') Sounds.play('open');
+    if (d?.table === 'meta') this.updateWorldTitle();
+    if (d?.table === 'markers') HexMap.render();
+    // Not for an opacity saved from the focused slider, which re-rendering the list would blur.
+    const sliding = d?.table === 'layers' && d.type === 'update' && document.activeElement?.classList.contains('layer-opacity');
+    if ((['layers', 'paths', 'regions'].includes(d?.table) && !sliding) || ['import', 'reset', 'open'].includes(d?.type)) this.renderLayers();
+    if (d?.table === 'pages') this.renderBacklinks();
+    if (d?.type === 'open') { HexMap.setRoute(null); Encounters.clearLog(); }
+    else if (HexMap.route?.end && (['hexmap', 'biomes', 'layers', 'paths'].includes(d?.table) || ['import', 'reset', 'history', 'remote'].includes(d?.type))) this.planRoute();
+    if (d?.type === 'history' || d?.type === 'remote') this.refreshAll();
+    if (d?.table === 'celestial' || d?.table === 'meta' || ['import', 'reset', 'remote', 'open'].includes(d?.type)) this.updateSky();
+    if (d?.table === 'celestial' && this.state.activeTab === 'celestial') this.renderCelestialList();
+    if (d?.table === 'meta' || ['import', 'reset', 'history', 'remote', 'open'].includes(d?.type)) this.updateCampaignDate();
+    if (['pages', 'sections', 'notebooks', 'hexmap', 'markers', 'meta'].includes(d?.table) || ['import', 'reset', 'history', 'remote', 'open'].includes(d?.type)) this.renderTimeline();
+    if (d?.type === 'remote' && this.state.activeTab === 'celestial') this.renderCelestial();
+  },
+
+  // Celestial
+  currentDay() { return Calendar.today(); },
+  setCurrentDay(day) {
+    if (this.state.playerMode || !Number.isFinite(day)) return;
+    DB.updateMeta({ currentDay: Math.round(day * 96) / 96 });
+  },
+  formatTime(day) {
+    const minutes = Math.round(Celestial.mod1(day) * 24 * 60) % (24 * 60);
+    return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+  },
+  renderCelestial() {
+    this.renderCelestialList();
+    this.renderCelestialDetails();
+    this.renderSky();
+  },
+  renderCelestialList() {
+    const c = document.getElementById('celestial-list');
+    if (!c) return;
+    const groups = [['sun', 'Suns', 'fa-sun'], ['moon', 'Moons', 'fa-moon'], ['constellation', 'Constellations', 'fa-star']];
+    c.innerHTML = groups.map(([type, label, icon]) => {
+      const bodies = Celestial.bodies(type);
+      return `<li class="celestial-group">${label}</li>` + (bodies.length ? bodies.map(b => `
+        <li class="biome-item celestial-item ${this.state.activeCelestial === b.id ? 'active' : ''}" data-celestial="${b.id}">
+          <i class="fas ${icon}" style="color:${this.esc(b.color)}"></i>
+          <span class="biome-name">${this.esc(b.name)}</span>
+        </li>`).join('') : '<li class="celestial-empty">None</li>');
+    }).join('');
+    c.querySelectorAll('[data-celestial]').forEach(el => el.addEventListener('click', () => {
+      this.state.activeCelestial = el.dataset.celestial;
+      this.renderCelestialList();
+      this.renderCelestialDetails();
+    }));
+  },
+  renderCelestialDetails() {
+    const c = document.getElementById('celestial-details');
+    if (!c) return;
+    const b = DB.getCelestial(this.state.activeCelestial);
+    if (!b) { c.innerHTML = '<div class="empty-state"><i class="fas fa-moon empty-state-icon"></i><p class="empty-state-text">Select a celestial body</p></div>'; return; }
+    const field = (label, key, kind, attrs = '') => {
+      const v = b[key];
+      let input;
+      if (kind === 'textarea') input = `<textarea class="input" data-field="${key}" data-kind="text" rows="3">${this.esc(v || '')}</textarea>`;
+      else if (kind === 'color') input = `<input type="color" class="color-input" data-field="${key}" data-kind="text" value="${v || '#ffffff'}">`;
+      else if (kind === 'number') input = `<input type="number" class="input" data-field="${key}" data-kind="number" value="${v ?? 0}" ${attrs}>`;
+      else if (kind === 'list') input = `<textarea class="input input-mono" data-field="${key}" data-kind="${key}" rows="4" ${attrs}>${this.esc(this.formatCelestialList(key, v))}</textarea>`;
+      else input = `<input type="text" class="input" data-field="${key}" data-kind="text" value="${this.esc(v || '')}">`;
+      return `<div class="hex-field"><label>${label}</label>${input}</div>`;
+    };
+    const typed = {
+      sun: [
+        field('Year length (days)', 'yearLength', 'number', 'min="1"'),
+        field('Season offset (0–1 of a year)', 'seasonOffset', 'number', 'min="0" max="1" step="0.01"'),
+        field('Seasons (one per line: Name #color)', 'seasons', 'list')
+      ],
+      moon: [
+        field('Orbital period (days)', 'period', 'number', 'min="0.1" step="0.1"'),
+        field('Phase offset (days to first new moon)', 'phaseOffset', 'number', 'step="0.1"'),
+        field('Node cycle (days, 0 = no eclipses)', 'nodePeriod', 'number', 'min="0" step="0.1"'),
+        field('Node offset (0–1)', 'nodeOffset', 'number', 'min="0" max="1" step="0.01"'),
+        field('Size', 'size', 'number', 'min="0.1" max="3" step="0.1"')
+      ],
+      constellation: [
+        field('Sky longitude (°)', 'longitude', 'number', 'min="0" max="360"'),
+        field('Stars (one per line: x y, 0–1)', 'stars', 'list'),
+        field('Lines (star pairs: 0-1)', 'lines', 'list')
+      ]
+    };
+    c.innerHTML = `
+      <div class="hex-details-form">
+        ${field('Name', 'name', 'text')}
+        ${field('Color', 'color', 'color')}
+        ${(typed[b.type] || []).join('')}
+        ${field('Description', 'description', 'textarea')}
+        <button class="btn btn-danger btn-sm" id="btn-delete-celestial"><i class="fas fa-trash"></i> Delete</button>
+      </div>`;
+    c.querySelectorAll('[data-field]').forEach(el => el.addEventListener('change', () => {
+      const value = this.parseCelestialField(el.dataset.kind, el.value);
+      if (value === undefined) { this.showToast(`Could not read ${el.dataset.field}`, 'error'); return; }
+      DB.updateCelestial(b.id, { [el.dataset.field]: value });
+    }));
+    document.getElementById('btn-delete-celestial').onclick = () => {
+      if (!confirm(`Delete "${b.name}"?`)) return;
+      DB.deleteCelestial(b.id);
+      this.state.activeCelestial = null;
+      this.renderCelestialDetails();
+    };
+  },
+  formatCelestialList(kind, value) {
+    const list = value || [];
+    if (kind === 'seasons') return list.map(s => `${s.name} ${s.color || ''}`.trim()).join('\n');
+    if (kind === 'stars') return list.map(([x, y]) => `${x} ${y}`).join('\n');
+    if (kind === 'lines') return list.map(([a, b]) => `${a}-${b}`).join('\n');
+    return '';
+  },
+  // Returns undefined when the text cannot be parsed.
+  parseCelestialField(kind, text) {
+    const lines = text.split(/\n/).map(l => l.trim()).filter(Boolean);
+    if (kind === 'number') { const n = parseFloat(text); return Number.isFinite(n) ? n : undefined; }
+    if (kind === 'seasons') return lines.map(l => { const m = l.match(/^(.*?)\s*(#[0-9a-f]{3,8})?$/i); return { name: m[1], color: m[2] || '#888888' }; });
+    if (kind === 'stars') {
+      const stars = lines.map(l => l.split(/[\s,]+/).map(Number));
+      return stars.every(p => p.length === 2 && p.every(Number.isFinite)) ? stars : undefined;
+    }
+    if (kind === 'lines') {
+      const pairs = lines.flatMap(l => l.split(/[\s,]+/)).filter(Boolean).map(p => p.split('-').map(n => parseInt(n, 10)));
+      return pairs.every(p => p.length === 2 && p.every(n => n >= 0)) ? pairs : undefined;
+    }
+    return text;
+  },
+  addCelestial(type) {
+    const b = DB.createCelestial({ type });
+    this.state.activeCelestial = b.id;
+    this.renderCelestialList();
+    this.renderCelestialDetails();
+  },
+  jumpToNextEclipse() {
+    const e = Celestial.nextEclipse(this.currentDay() + 1e-6);
+    if (!e) { this.showToast('No eclipses in the next ten years', 'info'); return; }
+    this.setCurrentDay(e.day);
+    this.showToast(`${e.type === 'solar' ? 'Solar' : 'Lunar'} eclipse of ${e.moon.name} on ${Calendar.format(e.day)}`, 'info');
+  },
+  renderSky() {
+    const wrap = document.getElementById('sky-canvas-wrap');
+    const canvas = document.getElementById('sky-canvas');
+    const info = document.getElementById('sky-info');
+    if (!wrap || !canvas || this.state.activeTab !== 'celestial') return;
+    const day = this.currentDay();
+    const sky = Celestial.sky(day);
+    const rect = wrap.getBoundingClientRect();
+    canvas.width = rect.width;
+    canvas.height = rect.height;
+    Celestial.drawSky(canvas, sky);
+    
+    document.getElementById('sky-day').value = Math.floor(day);
+    document.getElementById('sky-hour').value = Celestial.mod1(day) * 24;
+    document.getElementById('sky-hour-value').textContent = this.formatTime(day);
+    
+    const upcoming = Celestial.eclipsesBetween(day, day + 3650).slice(0, 5);
+    const visible = sky.constellations.filter(c => c.altitude > 0 && sky.sunAltitude < 0);
+    info.innerHTML = `
+      <div class="sky-card">
+        <div class="sky-card-title">${this.esc(Calendar.format(day, { weekday: true, time: true }))}</div>
+        <div class="text-muted">Day ${Math.floor(day)}</div>
+        <div>${sky.season ? `<span class="biome-swatch" style="background:${this.esc(sky.season.color)}"></span> ${this.esc(sky.season.name)}` : 'No seasons defined'}</div>
+        <div class="text-muted">${sky.sunAltitude > 0 ? 'Day' : sky.sunAltitude > -0.15 ? 'Twilight' : 'Night'}</div>
+      </div>
+      ${sky.moons.map(m => `
+        <div class="sky-card">
+          <div class="sky-card-title" style="color:${this.esc(m.moon.color)}">${this.esc(m.moon.name)}</div>
+          <div>${m.name}</div>
+          <div class="text-muted">${Math.round(m.illumination * 100)}% lit${m.altitude > 0 ? ' · above horizon' : ''}</div>
+        </div>`).join('')}
+      <div class="sky-card">
+        <div class="sky-card-title">Eclipses</div>
+        ${sky.eclipses.map(e => `<div class="text-warning">${e.type === 'solar' ? 'Solar' : 'Lunar'} eclipse (${this.esc(e.moon.name)}) today</div>`).join('')}
+        ${upcoming.length ? upcoming.map(e => `<div>${this.esc(Calendar.format(e.day))}: ${e.type} · ${this.esc(e.moon.name)}</div>`).join('') : '<div class="text-muted">None upcoming</div>'}
+      </div>
+      <div class="sky-card">
+        <div class="sky-card-title">Visible constellations</div>
+        ${visible.length ? visible.map(c => `<div>${this.esc(c.constellation.name)}</div>`).join('') : '<div class="text-muted">None</div>'}
+      </div>`;
+  },
+  updateSky() {
+    if (this.state.showSky) HexMap.setSky(Celestial.mapSky(this.currentDay()));
+    this.renderSky();
+  },
+  toggleMapSky(on) {
+    this.state.showSky = on;
+    localStorage.setItem('ourotus.showSky', on ? '1' : '0');
+    document.getElementById('btn-toggle-sky')?.classList.toggle('active', on);
+    HexMap.setSky(on ? Celestial.mapSky(this.currentDay()) : null);
+  },
+
+  // Worlds
+  async showWorlds() {
+    await Worlds.refreshCurrent();
+    this.renderWorlds();
+    document.getElementById('worlds-modal')?.classList.add('active');
+  },
+  renderWorlds() {
+    const c = document.getElementById('world-list');
+    if (!c) return;
+    c.innerHTML = Worlds.sorted().map(w => {
+      const current = w.id === Worlds.current?.id;
+      return `
+        <div class="world-card ${current ? 'current' : ''}" data-world="${w.id}">
+          <div class="world-thumb">${w.thumbnail ? `<img src="${w.thumbnail}" alt="">` : '<i class="fas fa-earth-europe"></i>'}</div>
+          <div class="world-card-body">
+            <div class="world-name">${this.esc(w.name)}</div>
+            <div class="world-opened">${current ? 'Open now' : w.openedAt ? `Opened ${this.formatDate(w.openedAt)}` : 'Never opened'}</div>
+          </div>
+          <div class="world-actions gm-tool">
+            <button class="btn btn-ghost btn-icon-sm" data-world-action="rename" title="Rename"><i class="fas fa-pen"></i></button>
+            <button class="btn btn-ghost btn-icon-sm" data-world-action="duplicate" title="Duplicate"><i class="fas fa-copy"></i></button>
+            <button class="btn btn-ghost btn-icon-sm text-danger" data-world-action="delete" title="Delete" ${current ? 'disabled' : ''}><i class="fas fa-trash"></i></button>
+          </div>
+        </div>`;
+    }).join('');
+    c.querySelectorAll('[data-world]').forEach(card => card.addEventListener('click', e => {
+      const btn = e.target.closest('[data-world-action]');
+      this.worldAction(btn ? btn.dataset.worldAction : 'open', card.dataset.world);
+    }));
+  },
+  async worldAction(action, id) {
+    const world = Worlds.get(id);
+    if (!world) return;
+    try {
+      if (action === 'open') { await this.switchWorld(id); return; }
+      if (action === 'rename') {
+        const name = prompt('World name', world.name)?.trim();
+        if (!name || name === world.name) return;
+        await Worlds.rename(id, name);
+      } else if (action === 'duplicate') {
+        const copy = await Worlds.duplicate(id);
+        this.showToast(`Created "${copy.name}"`, 'success');
+      } else if (action === 'delete') {
+        if (!confirm(`Delete "${world.name}" and everything in it? This cannot be undone.`)) return;
+        await Worlds.remove(id);
+        this.showToast('World deleted', 'success');
+      }
+      this.renderWorlds();
+    } catch (e) { this.showToast(e.message, 'error'); }
+  },
+  async newWorld(kind) {
+    const name = prompt('World name', 'New World')?.trim();
+    if (!name) return;
+    try {
+      const world = kind === 'sample' ? await Worlds.createSample(name) : await Worlds.createBlank(name);
+      await this.switchWorld(world.id);
+    } catch (e) { this.showToast(`Could not create world: ${e.message}`, 'error'); }
+  },
+  async switchWorld(id) {
+    if (id === Worlds.current?.id) { this.closeModals(); return; }
+    this.commitEditor();
+    await Revisions.flush();
+    try { await Worlds.open(id); } catch (e) { this.showToast(`Could not open world: ${e.message}`, 'error'); return; }
+    Object.assign(this.state, { activeNotebook: null, activeSection: null, activePage: null, activeCelestial: null, timelineFilter: 'all' });
+    HexMap.state.selectedHex = null;
+    HexMap.state.selectedMarker = null;
+    this.closeModals();
+    this.refreshAll();
+    if (DB.data.notebooks.length > 0) this.selectNotebook(DB.getNotebooks()[0].id);
+    this.clearHexDetails();
+    HexMap.resetView();
+    if (this.state.activeTab === 'celestial') this.renderCelestial();
+    this.showToast(`Opened "${Worlds.current.name}"`, 'success');
+  },
+
+  // Calendar & Timeline
+  updateCampaignDate() {
+    const el = document.getElementById('campaign-date-text');
+    if (el) el.textContent = Calendar.format(Calendar.today(), { weekday: true });
+  },
+  // Dated pages, hexes and markers the current view may see, oldest first. The filter is
+  // 'all', 'map' (hexes and markers) or a notebook id.
+  timelineEvents() {
+    const filter = this.state.timelineFilter;
+    const player = this.state.playerMode;
+    const events = [];
+    if (filter !== 'map') {
+      DB.data.pages.filter(p => p.date && this.isPageVisible(p)).forEach(p => {
+        if (filter !== 'all' && DB.getSection(p.sectionId)?.notebookId !== filter) return;
+        events.push({ type: 'page', icon: 'fa-file-alt', ref: p.id, title: p.title, context: Search.pageDoc(p).context, date: p.date });
+      });
+    }
+    if (filter === 'all' || filter === 'map') {
+      (DB.data.hexmap?.hexes || []).filter(h => h.date && (!player || DB.isRevealed(h.q, h.r))).forEach(h => {
+        events.push({ type: 'hex', icon: 'fa-hexagon', ref: h, title: h.label || `Hex (${h.q}, ${h.r})`, context: DB.getBiome(h.biomeId)?.name || 'Hex', date: h.date });
+      });
+      HexMap.visibleMarkers().filter(m => m.date).forEach(m => {
+        events.push({ type: 'marker', icon: 'fa-map-pin', ref: m, title: m.name, context: `Marker (${m.q}, ${m.r})`, date: m.date });
+      });
+    }
+    return events.sort((a, b) => a.date.start - b.date.start || String(a.title).localeCompare(String(b.title)));
+  },
+  renderTimeline() {
+    const c = document.getElementById('timeline-content');
+    const select = document.getElementById('timeline-filter');
+    if (!c || this.state.activeTab !== 'timeline') return;
+    const options = [['all', 'All events'], ['map', 'Map'], ...DB.getNotebooks().map(nb => [nb.id, nb.name])];
+    if (!options.some(([v]) => v === this.state.timelineFilter)) this.state.timelineFilter = 'all';
+    if (select) select.innerHTML = options.map(([v, label]) => `<option value="${v}" ${v === this.state.timelineFilter ? 'selected' : ''}>${this.esc(label)}</option>`).join('');
+    const today = Calendar.today();
+    document.getElementById('timeline-today').textContent = `Today: ${Calendar.format(today, { weekday: true })}`;
+    
+    const events = this.timelineEvents();
+    if (!events.length) {
+      c.innerHTML = '<div class="empty-state"><i class="fas fa-timeline empty-state-icon"></i><p class="empty-state-title">No dated events</p><p class="empty-state-text">Give pages, hexes or markers a date to place them here</p></div>';
+      return;
+    }
+    const cal = Calendar.get();
+    const eraOf = day => Calendar.era(Calendar.fromDay(day, cal).year, cal).era;
+    let html = '', era, nowShown = false;
+    const enterEra = e => {
+      if (e && e !== era) html += `<h3 class="timeline-era">${this.esc(e.name)}</h3>`;
+      era = e;
+    };
+    const now = () => {
+      enterEra(eraOf(today));
+      html += `<div class="timeline-now"><span>Now · ${this.esc(Calendar.format(today))}</span></div>`;
+      nowShown = true;
+    };
+    events.forEach((ev, i) => {
+      if (!nowShown && ev.date.start > today) now();
+      enterEra(eraOf(ev.date.start));
+      html += `
+        <div class="timeline-event ${ev.date.start <= today && (ev.date.end ?? ev.date.start) >= Math.floor(today) ? 'current' : ''}" data-event="${i}">
+          <div class="timeline-date">${this.esc(Calendar.formatRange(ev.date))}</div>
+          <div class="timeline-body">
+            <span class="timeline-title"><i class="fas ${ev.icon}"></i> ${this.esc(ev.title)}</span>
+            <span class="timeline-context">${this.esc(ev.context)}</span>
+          </div>
+        </div>`;
+    });
+    if (!nowShown) now();
+    c.innerHTML = html;
+    c.querySelectorAll('[data-event]').forEach(el => el.addEventListener('click', () => this.openTimelineEvent(events[el.dataset.event])));
+  },
+  openTimelineEvent(ev) {
+    if (ev.type === 'page') { this.openPage(ev.ref); return; }
+    this.goToHex(ev.ref.q, ev.ref.r);
+    if (ev.type === 'marker' && !this.state.playerMode) {
+      HexMap.state.selectedMarker = ev.ref.id;
+      HexMap.render();
+      this.showMarkerDetails(ev.ref);
+    }
+  },
+  showCalendarModal() {
+    if (this.state.playerMode) return;
+    const cal = Calendar.get();
+    const set = (id, v) => { const el = document.getElementById(id); if (el) el.value = v; };
+    set('calendar-current', Calendar.format(Calendar.today()));
+    set('calendar-months', cal.months.map(m => `${m.name} ${m.days}`).join('\n'));
+    set('calendar-weekdays', (cal.weekdays || []).join('\n'));
+    set('calendar-eras', (cal.eras || []).map(e => [e.name, e.abbr || '', e.start ?? '', e.backward ? 'backward' : ''].join(' | ').replace(/[\s|]+$/, '')).join('\n'));
+    set('calendar-leap-every', cal.leap?.every || 0);
+    set('calendar-leap-skip', cal.leap?.skipEvery || 0);
+    set('calendar-leap-keep', cal.leap?.keepEvery || 0);
+    set('calendar-leap-days', cal.leap?.days || 0);
+    set('calendar-epoch', cal.epochYear);
+    const month = document.getElementById('calendar-leap-month');
+    if (month) month.innerHTML = cal.months.map((m, i) => `<option value="${i}" ${cal.leap?.month === i ? 'selected' : ''}>${this.esc(m.name)}</option>`).join('');
+    document.getElementById('calendar-modal')?.classList.add('active');
+  },
+  // The campaign date is read with the new calendar, so renaming a month and typing the
+  // new name in the same edit works.
+  saveCalendar() {
+    const val = id => document.getElementById(id)?.value || '';
+    const int = id => parseInt(val(id), 10) || 0;
+    const lines = id => val(id).split('\n').map(l => l.trim()).filter(Boolean);
+    const months = lines('calendar-months').map(l => { const m = l.match(/^(.+?)\s+(\d+)$/); return m && parseInt(m[2], 10) > 0 ? { name: m[1], days: parseInt(m[2], 10) } : null; });
+    if (!months.length || months.includes(null)) { this.showToast('Each month needs a name and a number of days', 'error'); return; }
+    const eras = lines('calendar-eras').map(l => {
+      const [name, abbr = '', start = '', dir = ''] = l.split('|').map(p => p.trim());
+      const year = start === '' ? null : parseInt(start, 10);
+      return name && !Number.isNaN(year) ? { name, abbr, start: year, ...(dir.toLowerCase() === 'backward' ? { backward: true } : {}) } : null;
+    });
+    if (eras.includes(null)) { this.showToast('Each era needs a name and a whole-number first year (or none)', 'error'); return; }
+    const prev = Calendar.get();
+    const calendar = {
+      epochYear: int('calendar-epoch'),
+      months,
+      weekdays: lines('calendar-weekdays'),
+      weekdayOffset: prev.weekdayOffset || 0,
+      eras,
+      leap: { every: int('calendar-leap-every'), skipEvery: int('calendar-leap-skip'), keepEvery: int('calendar-leap-keep'), month: Math.min(int('calendar-leap-month'), months.length - 1), days: int('calendar-leap-days') }
+    };
+    const current = val('calendar-current').trim();
+    const date = current ? Calendar.parse(current, { ...Calendar.defaults, ...calendar }) : null;
+    if (current && !date) { this.showToast(`Could not read the date "${current}"`, 'error'); return; }
+    DB.updateMeta({ calendar, ...(date ? { currentDay: date.start + Celestial.mod1(Calendar.today()) } : {}) });
+    this.closeModals();
+    this.showToast('Calendar saved', 'success');
+  },
+
+  // History
+  undo() {
+    if (this.state.playerMode) return;
+    const entry = Undo.undo();
+    if (entry) this.showToast(`Undid: ${entry.label}`, 'info');
+  },
+  redo() {
+    if (this.state.playerMode) return;
+    const entry = Undo.redo();
+    if (entry) this.showToast(`Redid: ${entry.label}`, 'info');
+  },
+  updateUndoButtons(s) {
+    const u = document.getElementById('btn-undo');
+    const r = document.getElementById('btn-redo');
+    if (u) { u.disabled = !s.undo; u.title = s.undo ? `Undo: ${s.undo} (Ctrl+Z)` : 'Nothing to undo'; }
+    if (r) { r.disabled = !s.redo; r.title = s.redo ? `Redo: ${s.redo} (Ctrl+Shift+Z)` : 'Nothing to redo'; }
+  },
+  refreshAll() {
+    if (this.state.activeNotebook && !DB.getNotebook(this.state.activeNotebook)) this.state.activeNotebook = null;
+    if (this.state.activeSection && !DB.getSection(this.state.activeSection)) this.state.activeSection = null;
+    if (this.state.activePage && !DB.getPage(this.state.activePage)) this.state.activePage = null;
+    this.renderNotebooks();
+    this.renderPages();
+    this.renderEditor();
+    this.renderBiomes();
+    this.renderLayers();
+    this.updateWorldTitle();
+    HexMap.render();
+    const sel = HexMap.state.selectedHex;
+    if (sel) this.onHexSelect(sel, DB.getHex(sel.q, sel.r));
+  },
 
   // Utils
   showToast(msg, type = 'info') {
@@ -566,6 +2609,7 @@ const App = {
     t.querySelector('.toast-close').addEventListener('click', () => t.remove());
     setTimeout(() => t.remove(), 5000);
   },
+  isTextInput(el) { return el && (el.tagName === 'TEXTAREA' || el.tagName === 'SELECT' || (el.tagName === 'INPUT' && !['range', 'color', 'checkbox', 'radio', 'file'].includes(el.type))); },
   esc(s) { if (!s) return ''; const d = document.createElement('div'); d.textContent = s; return d.innerHTML; },
   formatDate(d) { if (!d) return ''; return new Date(d).toLocaleDateString('en-US', { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' }); }
 };
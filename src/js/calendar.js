@@ -0,0 +1,178 @@
+/**
+ * Ourotus Atlas - Calendar Module v2.0
+ *
+ * Converts between day numbers (days since the world epoch, as used by the Celestial
+ * module and `meta.currentDay`) and dates in the world's calendar, stored in `meta.calendar`.
+ * Dated records carry `date: { start, end, precision }` with day numbers and a precision of
+ * 'day', 'month' or 'year'.
+ */
+
+const Calendar = {
+  defaults: {
+    epochYear: 1,
+    months: [{ name: 'January', days: 31 }, { name: 'February', days: 28 }, { name: 'March', days: 31 }, { name: 'April', days: 30 }, { name: 'May', days: 31 }, { name: 'June', days: 30 }, { name: 'July', days: 31 }, { name: 'August', days: 31 }, { name: 'September', days: 30 }, { name: 'October', days: 31 }, { name: 'November', days: 30 }, { name: 'December', days: 31 }],
+    weekdays: ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'],
+    weekdayOffset: 0,
+    eras: [],
+    leap: { every: 4, skipEvery: 100, keepEvery: 400, month: 1, days: 1 }
+  },
+
+  get() { return { ...this.defaults, ...(DB.data.meta?.calendar || {}) }; },
+  today() { return DB.data.meta?.currentDay ?? 0; },
+
+  // Leap years are every `every` years, except multiples of `skipEvery` that are not
+  // multiples of `keepEvery`. Each rule's period should divide the next one's.
+  isLeap(year, cal = this.get()) {
+    const { every, skipEvery, keepEvery } = cal.leap || {};
+    if (!(every > 0) || year % every !== 0) return false;
+    if (skipEvery > 0 && year % skipEvery === 0) return keepEvery > 0 && year % keepEvery === 0;
+    return true;
+  },
+
+  // Leap years in [1, year] (negative for years before 1), so differences count any range.
+  leapsThrough(year, cal) {
+    const { every, skipEvery, keepEvery, days } = cal.leap || {};
+    if (!(every > 0) || !days) return 0;
+    return Math.floor(year / every) - (skipEvery > 0 ? Math.floor(year / skipEvery) : 0) + (skipEvery > 0 && keepEvery > 0 ? Math.floor(year / keepEvery) : 0);
+  },
+
+  baseYearLength(cal) { return cal.months.reduce((n, m) => n + m.days, 0); },
+
+  monthLength(year, month, cal = this.get()) {
+    const leap = cal.leap || {};
+    return cal.months[month].days + (leap.month === month && this.isLeap(year, cal) ? leap.days || 0 : 0);
+  },
+
+  yearLength(year, cal = this.get()) {
+    return this.baseYearLength(cal) + (this.isLeap(year, cal) ? cal.leap.days || 0 : 0);
+  },
+
+  yearStart(year, cal = this.get()) {
+    const extra = (cal.leap?.days || 0) * (this.leapsThrough(year - 1, cal) - this.leapsThrough(cal.epochYear - 1, cal));
+    return (year - cal.epochYear) * this.baseYearLength(cal) + extra;
+  },
+
+  // Month and day are 1-based.
+  toDay({ year, month = 1, day = 1 }, cal = this.get()) {
+    let n = this.yearStart(year, cal);
+    for (let m = 0; m < month - 1; m++) n += this.monthLength(year, m, cal);
+    return n + day - 1;
+  },
+
+  fromDay(dayNumber, cal = this.get()) {
+    const whole = Math.floor(dayNumber);
+    let year = cal.epochYear + Math.floor(whole / this.baseYearLength(cal));
+    while (this.yearStart(year, cal) > whole) year--;
+    while (this.yearStart(year + 1, cal) <= whole) year++;
+    let rest = whole - this.yearStart(year, cal), month = 0;
+    while (month < cal.months.length - 1 && rest >= this.monthLength(year, month, cal)) rest -= this.monthLength(year, month++, cal);
+    const weekdays = cal.weekdays || [];
+    return {
+      year,
+      month: month + 1,
+      day: rest + 1,
+      monthName: cal.months[month].name,
+      weekday: weekdays.length ? weekdays[(((whole + (cal.weekdayOffset || 0)) % weekdays.length) + weekdays.length) % weekdays.length] : null,
+      time: dayNumber - whole
+    };
+  },
+
+  // Eras are sorted by `start` year; the first may have a null start (the beginning of time).
+  // A `backward` era counts down to the start of the next era, like "BC".
+  era(year, cal = this.get()) {
+    const eras = [...(cal.eras || [])].sort((a, b) => (a.start ?? -Infinity) - (b.start ?? -Infinity));
+    let i = eras.length - 1;
+    while (i >= 0 && (eras[i].start ?? -Infinity) > year) i--;
+    if (i < 0) return { era: null, year };
+    const era = eras[i];
+    if (era.backward) return { era, year: (eras[i + 1]?.start ?? year + 1) - year };
+    return { era, year: year - (era.start ?? 1) + 1 };
+  },
+
+  formatYear(year, cal = this.get()) {
+    const { era, year: y } = this.era(year, cal);
+    return era ? `${y} ${era.abbr || era.name}` : String(year);
+  },
+
+  format(dayNumber, { precision = 'day', time = false, weekday = false } = {}) {
+    const cal = this.get();
+    const d = this.fromDay(dayNumber, cal);
+    const year = this.formatYear(d.year, cal);
+    if (precision === 'year') return year;
+    if (precision === 'month') return `${d.monthName} ${year}`;
+    let out = `${d.day} ${d.monthName} ${year}`;
+    if (weekday && d.weekday) out = `${d.weekday}, ${out}`;
+    if (time) {
+      const minutes = Math.round(d.time * 1440) % 1440;
+      out += `, ${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+    }
+    return out;
+  },
+
+  formatRange(date) {
+    if (!date) return '';
+    const start = this.format(date.start, date);
+    if (date.end === null || date.end === undefined) return start;
+    const end = this.format(date.end, date);
+    return end === start ? start : `${start} – ${end}`;
+  },
+
+  // Accepts "14 Frostmoon 800 AS", "Frostmoon 800", "800 AS", "800-3-14", and ranges
+  // joined by "to", "–" or " - ". Returns null if any part cannot be read.
+  parse(text, cal = this.get()) {
+    const src = String(text || '').trim();
+    if (!src) return null;
+    const parts = src.split(/\s+to\s+|\s*–\s*|\s+-\s+/i);
+    if (parts.length > 2) return null;
+    const dates = parts.map(p => this.parseDate(p, cal));
+    // "790 to 795 AS": an era on the end of a range applies to its start too.
+    if (dates[1]?.era && dates[0] && !dates[0].era) dates[0] = this.parseDate(`${parts[0]} ${dates[1].era.abbr || dates[1].era.name}`, cal);
+    if (dates.some(d => !d)) return null;
+    const [a, b] = dates;
+    if (!b) return { start: a.start, end: a.precision === 'day' ? null : a.end, precision: a.precision };
+    const precision = ['year', 'month', 'day'].find(p => p === a.precision || p === b.precision);
+    return { start: Math.min(a.start, b.start), end: Math.max(a.end, b.end), precision };
+  },
+
+  // One date; `end` is the last day it covers (e.g. the last day of the month for "Frostmoon 800")
+  // and `era` the era named in the text, if any.
+  parseDate(text, cal = this.get()) {
+    const src = text.trim();
+    const numeric = src.match(/^(-?\d+)-(\d+)-(\d+)$/);
+    if (numeric) {
+      const [year, month, day] = numeric.slice(1).map(Number);
+      if (month < 1 || month > cal.months.length || day < 1 || day > this.monthLength(year, month - 1, cal)) return null;
+      const n = this.toDay({ year, month, day }, cal);
+      return { start: n, end: n, precision: 'day' };
+    }
+    const tokens = src.split(/[\s,]+/).filter(Boolean);
+    let era = null;
+    const last = tokens[tokens.length - 1]?.toLowerCase();
+    const eraMatch = (cal.eras || []).find(e => (e.abbr || '').toLowerCase() === last || e.name.toLowerCase() === last);
+    if (eraMatch) { era = eraMatch; tokens.pop(); }
+    const yearText = tokens.pop();
+    if (!/^-?\d+$/.test(yearText || '')) return null;
+    const year = this.resolveEraYear(parseInt(yearText, 10), era, cal);
+    const day = tokens.length === 2 ? parseInt(tokens.shift(), 10) : null;
+    if (tokens.length > 1 || (tokens.length === 0 && day !== null)) return null;
+    if (!tokens.length) return { start: this.yearStart(year, cal), end: this.yearStart(year + 1, cal) - 1, precision: 'year', era };
+    const month = cal.months.findIndex(m => m.name.toLowerCase() === tokens[0].toLowerCase()) + 1;
+    if (!month) return null;
+    if (day === null) {
+      const start = this.toDay({ year, month }, cal);
+      return { start, end: start + this.monthLength(year, month - 1, cal) - 1, precision: 'month', era };
+    }
+    if (!(day >= 1 && day <= this.monthLength(year, month - 1, cal))) return null;
+    const n = this.toDay({ year, month, day }, cal);
+    return { start: n, end: n, precision: 'day', era };
+  },
+
+  resolveEraYear(y, era, cal) {
+    if (!era) return y;
+    const eras = [...(cal.eras || [])].sort((a, b) => (a.start ?? -Infinity) - (b.start ?? -Infinity));
+    if (era.backward) return (eras[eras.indexOf(era) + 1]?.start ?? 1) - y;
+    return (era.start ?? 1) + y - 1;
+  }
+};
+
+window.Calendar = Calendar;
@@ -0,0 +1,201 @@
+/**
+ * Ourotus Atlas - Celestial Module v2.0
+ *
+ * Sky simulation over the `celestial` table (suns, moons, constellations). Time is a
+ * fractional day count from the world epoch; the fraction is the time of day.
+ * The first sun sets the year length and seasons.
+ */
+
+const Celestial = {
+  phaseNames: ['New Moon', 'Waxing Crescent', 'First Quarter', 'Waxing Gibbous', 'Full Moon', 'Waning Gibbous', 'Last Quarter', 'Waning Crescent'],
+  // How close to an orbital node (in days, as a fraction of the moon's period) a new or full
+  // moon must be to eclipse. Just over half a lunation gives one or two of each per node passage.
+  eclipseLimit: 0.55,
+  // Shorter orbital or node periods count as none: eclipse searches step once per lunation.
+  minPeriod: 0.1,
+
+  bodies(type) { return (DB.data.celestial || []).filter(b => b.type === type); },
+  sun() { return this.bodies('sun')[0] || null; },
+  mod1(x) { return ((x % 1) + 1) % 1; },
+
+  yearFraction(day) {
+    const sun = this.sun();
+    return sun?.yearLength > 0 ? this.mod1(day / sun.yearLength + (sun.seasonOffset || 0)) : 0;
+  },
+
+  season(day) {
+    const seasons = this.sun()?.seasons || [];
+    if (!seasons.length) return null;
+    const pos = this.yearFraction(day) * seasons.length;
+    const index = Math.floor(pos);
+    return { ...seasons[index], index, progress: pos - index };
+  },
+
+  // 0 = new, 0.5 = full.
+  moonPhase(moon, day) { return moon.period >= this.minPeriod ? this.mod1((day - (moon.phaseOffset || 0)) / moon.period) : 0; },
+  phaseName(phase) { return this.phaseNames[Math.round(phase * 8) % 8]; },
+  illumination(phase) { return (1 - Math.cos(phase * 2 * Math.PI)) / 2; },
+
+  // Days to the nearest node crossing; the moon crosses two nodes per node cycle.
+  nodeDistance(moon, day) {
+    if (!(moon.nodePeriod >= this.minPeriod)) return Infinity;
+    const f = this.mod1(day / moon.nodePeriod + (moon.nodeOffset || 0));
+    return Math.min(f, Math.abs(f - 0.5), 1 - f) * moon.nodePeriod;
+  },
+
+  // Solar eclipses fall on new moons and lunar eclipses on full moons, when the moon is near a node.
+  eclipsesBetween(from, to) {
+    const out = [];
+    this.bodies('moon').filter(m => m.period >= this.minPeriod && m.nodePeriod >= this.minPeriod).forEach(moon => {
+      const offset = moon.phaseOffset || 0;
+      for (let k = Math.floor((from - offset) / moon.period) - 1; offset + k * moon.period < to; k++) {
+        [['solar', 0], ['lunar', 0.5]].forEach(([type, at]) => {
+          const day = offset + (k + at) * moon.period;
+          if (day >= from && day < to && this.nodeDistance(moon, day) <= moon.period * this.eclipseLimit / 2) out.push({ type, day, moon });
+        });
+      }
+    });
+    return out.sort((a, b) => a.day - b.day);
+  },
+
+  eclipsesOn(day) { return this.eclipsesBetween(Math.floor(day), Math.floor(day) + 1); },
+
+  nextEclipse(day, horizon = 3650) { return this.eclipsesBetween(day, day + horizon)[0] || null; },
+
+  // Hour angle of a body at ecliptic longitude `longitude` (0-1): 0 is its lowest point,
+  // 0.5 its highest. The sun's hour angle is the time of day.
+  hourAngle(longitude, day) { return this.mod1(day - (longitude - this.yearFraction(day))); },
+  altitude(hourAngle) { return -Math.cos(hourAngle * 2 * Math.PI); },
+
+  sky(day) {
+    const yf = this.yearFraction(day);
+    const hour = this.mod1(day);
+    return {
+      day,
+      hour,
+      yearFraction: yf,
+      season: this.season(day),
+      sun: this.sun(),
+      sunAltitude: this.altitude(hour),
+      moons: this.bodies('moon').map(moon => {
+        const phase = this.moonPhase(moon, day);
+        const h = this.hourAngle(yf + phase, day);
+        return { moon, phase, name: this.phaseName(phase), illumination: this.illumination(phase), hour: h, altitude: this.altitude(h) };
+      }),
+      constellations: this.bodies('constellation').map(c => {
+        const h = this.hourAngle((c.longitude || 0) / 360, day);
+        return { constellation: c, hour: h, altitude: this.altitude(h) };
+      }),
+      eclipses: this.eclipsesOn(day)
+    };
+  },
+
+  // What HexMap needs to shade the map: time of day at the map's centre and the season colour.
+  mapSky(day) {
+    return { hour: this.mod1(day), tint: this.season(day)?.color || null };
+  },
+
+  drawSky(canvas, sky) {
+    const ctx = canvas.getContext('2d');
+    const w = canvas.width, h = canvas.height;
+    const horizon = h * 0.82, cx = w / 2, radius = Math.min(w / 2, horizon) * 0.9;
+    const light = Math.max(0, Math.min(1, sky.sunAltitude * 3 + 0.3));
+    const mix = (a, b) => a.map((v, i) => Math.round(v + (b[i] - v) * light));
+    const rgb = c => `rgb(${c.join(',')})`;
+
+    const bg = ctx.createLinearGradient(0, 0, 0, horizon);
+    bg.addColorStop(0, rgb(mix([8, 10, 30], [56, 152, 220])));
+    bg.addColorStop(1, rgb(mix([30, 27, 75], [186, 230, 253])));
+    ctx.fillStyle = bg;
+    ctx.fillRect(0, 0, w, horizon);
+    if (Math.abs(sky.sunAltitude) < 0.2) {
+      const glow = ctx.createLinearGradient(0, horizon - h * 0.25, 0, horizon);
+      glow.addColorStop(0, 'rgba(251,146,60,0)');
+      glow.addColorStop(1, `rgba(251,146,60,${(0.5 * (1 - Math.abs(sky.sunAltitude) / 0.2)).toFixed(2)})`);
+      ctx.fillStyle = glow;
+      ctx.fillRect(0, 0, w, horizon);
+    }
+
+    const pos = hourAngle => {
+      const a = (hourAngle - 0.25) * 2 * Math.PI;
+      return { x: cx - radius * Math.cos(a), y: horizon - radius * Math.sin(a) };
+    };
+    const night = 1 - light;
+
+    if (night > 0) {
+      const rand = HexMap.seededRandom(7);
+      ctx.fillStyle = '#fff';
+      for (let i = 0; i < 120; i++) {
+        ctx.globalAlpha = night * (0.3 + rand() * 0.7);
+        ctx.fillRect(rand() * w, rand() * horizon, 1.2, 1.2);
+      }
+      sky.constellations.filter(c => c.altitude > 0).forEach(({ constellation: c, hour }) => {
+        const p = pos(hour), size = 70;
+        const stars = (c.stars || []).map(([sx, sy]) => ({ x: p.x + (sx - 0.5) * size, y: p.y + (sy - 0.5) * size }));
+        ctx.globalAlpha = night * 0.6;
+        ctx.strokeStyle = c.color || '#93c5fd';
+        ctx.lineWidth = 1;
+        (c.lines || []).forEach(([a, b]) => {
+          if (!stars[a] || !stars[b]) return;
+          ctx.beginPath();
+          ctx.moveTo(stars[a].x, stars[a].y);
+          ctx.lineTo(stars[b].x, stars[b].y);
+          ctx.stroke();
+        });
+        ctx.globalAlpha = night;
+        ctx.fillStyle = '#fff';
+        stars.forEach(s => { ctx.beginPath(); ctx.arc(s.x, s.y, 1.8, 0, Math.PI * 2); ctx.fill(); });
+        ctx.fillStyle = c.color || '#93c5fd';
+        ctx.font = '10px Inter, sans-serif';
+        ctx.textAlign = 'center';
+        ctx.fillText(c.name || '', p.x, p.y + size / 2 + 12);
+      });
+      ctx.globalAlpha = 1;
+    }
+
+    const solar = sky.eclipses.some(e => e.type === 'solar');
+    if (sky.sun && sky.sunAltitude > -0.05) {
+      const p = pos(sky.hour);
+      ctx.save();
+      ctx.shadowColor = sky.sun.color || '#fbbf24';
+      ctx.shadowBlur = solar ? 6 : 24;
+      ctx.beginPath();
+      ctx.arc(p.x, p.y, 14, 0, Math.PI * 2);
+      ctx.fillStyle = sky.sun.color || '#fbbf24';
+      ctx.fill();
+      ctx.restore();
+      if (solar) { ctx.beginPath(); ctx.arc(p.x + 2, p.y, 13, 0, Math.PI * 2); ctx.fillStyle = '#111'; ctx.fill(); }
+    }
+
+    sky.moons.filter(m => m.altitude > -0.05).forEach(m => {
+      const p = pos(m.hour);
+      const lunar = sky.eclipses.some(e => e.type === 'lunar' && e.moon.id === m.moon.id);
+      this.drawMoon(ctx, p.x, p.y, 10 * (m.moon.size || 1), m.phase, lunar ? '#b45309' : (m.moon.color || '#e5e7eb'));
+    });
+
+    ctx.fillStyle = '#0d0d14';
+    ctx.fillRect(0, horizon, w, h - horizon);
+    if (sky.season?.color) {
+      ctx.globalAlpha = 0.25;
+      ctx.fillStyle = sky.season.color;
+      ctx.fillRect(0, horizon, w, h - horizon);
+      ctx.globalAlpha = 1;
+    }
+  },
+
+  drawMoon(ctx, x, y, r, phase, color) {
+    ctx.beginPath();
+    ctx.arc(x, y, r, 0, Math.PI * 2);
+    ctx.fillStyle = 'rgba(20,20,30,0.85)';
+    ctx.fill();
+    const k = Math.cos(phase * 2 * Math.PI);
+    const waxing = phase < 0.5;
+    ctx.beginPath();
+    ctx.arc(x, y, r, -Math.PI / 2, Math.PI / 2, !waxing);
+    ctx.ellipse(x, y, r * Math.abs(k), r, 0, Math.PI / 2, -Math.PI / 2, waxing ? k > 0 : k < 0);
+    ctx.fillStyle = color;
+    ctx.fill();
+  }
+};
+
+window.Celestial = Celestial;
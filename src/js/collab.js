@@ -0,0 +1,336 @@
+/**
+ * Ourotus Atlas - Collaboration Module v2.0
+ *
+ * Client for the optional server in server/. When the app is loaded from it, the server's
+ * world is kept in a local database of its own and synced record by record over a WebSocket
+ * (protocol in server/server.js; records are keyed "table/id", with one per hex). IndexedDB
+ * stays the working copy: saves land there first and the records they changed go into an
+ * outbox along with the server version they were based on. So nothing changes while the
+ * server is unreachable, and on reconnect the outbox is checked against the server's world
+ * and sent. Writes refused because someone else got there first are settled by `onConflict`.
+ */
+
+const Collab = {
+  server: null,
+  dbName: null,
+  socket: null,
+  status: 'off',
+  versions: {},
+  outbox: new Set(),
+  inflight: new Map(),
+  shadow: new Map(),
+  queue: Promise.resolve(),
+  retryDelay: 1000,
+  maxRetryDelay: 30000,
+  pushDelay: 500,
+  retryTimer: null,
+  pushTimer: null,
+  saveTimer: null,
+  listeners: { status: [] },
+  // Hooks set by the app: flush edits before comparing, and ask which version wins.
+  beforeApply: null,
+  onConflict: null,
+
+  // The server's /api/info when the app was loaded from one, else null.
+  async detect() {
+    if (!/^https?:$/.test(location.protocol)) return null;
+    try {
+      const res = await fetch('api/info', { cache: 'no-store' });
+      const info = res.ok ? await res.json() : null;
+      return info?.server === 'ourotus-atlas' ? info : null;
+    } catch (e) { return null; }
+  },
+
+  // Local database name for a server world.
+  dbNameFor(info) { return `OurotusAtlas@${location.host}/${info.world}`; },
+
+  init(info) {
+    this.server = info;
+    this.dbName = this.dbNameFor(info);
+    DB.on('change', d => this.onDataChange(d));
+    DB.on('sync', d => { if (d?.written && this.status !== 'off') this.track(d.written); });
+    if (DB.name === this.dbName) this.start();
+  },
+
+  onDataChange(d) {
+    if (d?.type === 'open') { if (DB.name === this.dbName) this.start(); else this.stop(); return; }
+    if (this.status === 'off' || d?.source === 'collab') return;
+    // Another tab's save (see TabSync) is already on the server; only note the new values.
+    if (d?.type === 'remote') { this.remember(d.tables); return; }
+    if (this.status === 'online' && !DB.readOnly) {
+      clearTimeout(this.pushTimer);
+      this.pushTimer = setTimeout(() => DB.saveAllToCache(), this.pushDelay);
+    }
+  },
+
+  async start() {
+    this.stop();
+    const saved = (await DB.getAll('collab'))[0];
+    this.versions = saved?.versions || {};
+    this.outbox = new Set(saved?.outbox || []);
+    this.shadow = new Map(this.keys().map(k => [k, this.json(this.read(k))]));
+    this.connect();
+  },
+
+  stop() {
+    clearTimeout(this.retryTimer);
+    clearTimeout(this.pushTimer);
+    const ws = this.socket;
+    this.socket = null;
+    ws?.close();
+    this.inflight.clear();
+    this.setStatus('off');
+  },
+
+  connect() {
+    const url = new URL('sync', location.href);
+    url.protocol = location.protocol === 'https:' ? 'wss:' : 'ws:';
+    this.setStatus('connecting');
+    const ws = new WebSocket(url);
+    this.socket = ws;
+    ws.onopen = () => { this.retryDelay = 1000; this.send({ type: 'hello' }); };
+    ws.onmessage = e => {
+      let msg;
+      try { msg = JSON.parse(e.data); } catch (err) { return; }
+      this.queue = this.queue.then(() => this.receive(msg)).catch(err => console.error('Collab error:', err));
+    };
+    ws.onclose = () => {
+      if (this.socket !== ws) return;
+      this.socket = null;
+      this.inflight.clear();
+      this.setStatus('offline');
+      this.retryTimer = setTimeout(() => this.connect(), this.retryDelay);
+      this.retryDelay = Math.min(this.retryDelay * 2, this.maxRetryDelay);
+    };
+  },
+
+  send(msg) { if (this.socket?.readyState === WebSocket.OPEN) this.socket.send(JSON.stringify(msg)); },
+
+  async receive(msg) {
+    if (msg.type === 'welcome') await this.reconcile(msg.records);
+    else if (msg.type === 'ack') this.acked(msg);
+    else if (msg.type === 'conflict') { this.inflight.delete(msg.key); await this.resolve([msg]); }
+    else if (msg.type === 'update' && !this.outbox.has(msg.key)) {
+      // Unsaved edits are saved (and so queued) first; queued records wait for their own reply.
+      this.beforeApply?.();
+      await DB.saveAllToCache();
+      if (!this.outbox.has(msg.key)) await this.apply([msg]);
+    } else if (msg.type === 'error') console.warn('Server refused', msg.key, msg.message);
+  },
+
+  // A client that has never synced takes the server's world, or seeds an empty server with its
+  // own. Otherwise records changed only on the server are applied, records changed only here
+  // are sent, and records changed on both sides are conflicts.
+  async reconcile(records) {
+    this.beforeApply?.();
+    await DB.saveAllToCache();
+    if (!Object.keys(this.versions).length) {
+      if (records.some(r => r.value !== null)) await this.adopt(records);
+      else this.keys().forEach(k => this.outbox.add(k));
+    } else {
+      const onServer = new Set(records.map(r => r.key));
+      const updates = [], conflicts = [];
+      records.forEach(r => {
+        if (r.version === (this.versions[r.key] || 0)) return;
+        (this.outbox.has(r.key) ? conflicts : updates).push(r);
+      });
+      // Records the server has never had (e.g. its world file was replaced) are offered again.
+      Object.keys(this.versions).forEach(k => {
+        if (onServer.has(k)) return;
+        delete this.versions[k];
+        if (this.read(k)) this.outbox.add(k);
+      });
+      if (updates.length) await this.apply(updates);
+      await this.resolve(conflicts);
+    }
+    this.setStatus('online');
+    this.save();
+    this.flush();
+  },
+
+  acked({ key, version }) {
+    this.versions[key] = version;
+    const sent = this.inflight.get(key);
+    this.inflight.delete(key);
+    if (sent === this.json(this.read(key))) this.outbox.delete(key);
+    this.save();
+    this.flush();
+  },
+
+  // Conflicts are asked about one record at a time, except hexes, which go as one question.
+  async resolve(conflicts) {
+    const hexes = [];
+    for (const c of conflicts) {
+      const mine = this.read(c.key);
+      if (this.json(mine) === this.json(c.value)) { this.versions[c.key] = c.version; this.outbox.delete(c.key); continue; }
+      if (c.key.startsWith('hexes/')) { hexes.push(c); continue; }
+      const [table, id] = this.split(c.key);
+      await this.settle([c], await this.ask({ table, id, mine, theirs: c.value, where: 'on the server' }));
+    }
+    if (hexes.length) {
+      await this.settle(hexes, await this.ask({ table: 'hexes', id: null, mine: hexes.map(c => this.read(c.key)), theirs: hexes.map(c => c.value), where: 'on the server' }));
+    }
+    this.save();
+    this.flush();
+  },
+
+  ask(c) { return this.onConflict ? this.onConflict(c) : Promise.resolve('theirs'); },
+
+  // Keeping ours rebases it on the server's version so the next put goes through; taking
+  // theirs keeps a revision of our page text first.
+  async settle(conflicts, choice) {
+    if (choice !== 'theirs') { conflicts.forEach(c => { this.versions[c.key] = c.version; }); return; }
+    for (const c of conflicts) {
+      this.outbox.delete(c.key);
+      if (c.key.startsWith('pages/') && this.read(c.key)) await Revisions.snapshot(this.read(c.key), 'conflict');
+    }
+    await this.apply(conflicts);
+  },
+
+  // Records that differ from what was last seen after a save go into the outbox.
+  track(written) {
+    const keys = new Set();
+    written.forEach((ids, t) => {
+      if (ids !== true && t !== 'hexmap' && !DB.recordKeys[t]) { ids.forEach(id => keys.add(`${t}/${id}`)); return; }
+      this.keys([t]).forEach(k => keys.add(k));
+      this.shadow.forEach((v, k) => { if (this.tableOf(k) === t) keys.add(k); });
+    });
+    let changed = false;
+    keys.forEach(k => {
+      const json = this.json(this.read(k));
+      if (json === (this.shadow.get(k) ?? 'null')) return;
+      this.shadow.set(k, json);
+      this.outbox.add(k);
+      changed = true;
+    });
+    if (changed) { this.save(); this.flush(); }
+  },
+
+  remember(tables) {
+    const keys = new Set(this.keys(tables));
+    this.shadow.forEach((v, k) => { if (tables.includes(this.tableOf(k))) keys.add(k); });
+    keys.forEach(k => { if (!this.outbox.has(k)) this.shadow.set(k, this.json(this.read(k))); });
+  },
+
+  flush() {
+    if (this.status !== 'online' || DB.readOnly) return;
+    this.outbox.forEach(key => {
+      if (this.inflight.has(key)) return;
+      const value = this.read(key);
+      this.inflight.set(key, this.json(value));
+      this.send({ type: 'put', key, base: this.versions[key] || 0, value });
+    });
+  },
+
+  // Server records into DB.data and IndexedDB, without marking anything for saving again.
+  async apply(records) {
+    const changes = new Map();
+    const hexes = new Map();
+    records.forEach(({ key, version, value }) => {
+      this.versions[key] = version;
+      const [table, id] = this.split(key);
+      if (table === 'hexes') hexes.set(id, value);
+      else this.write(key, value);
+      const t = this.tableOf(key);
+      if (t === 'hexmap' || DB.recordKeys[t]) changes.set(t, true);
+      else if (changes.get(t) !== true) changes.set(t, (changes.get(t) || new Set()).add(id));
+    });
+    if (hexes.size) {
+      const hm = DB.ensureHexmap();
+      // A new array, so DB's hex index is rebuilt.
+      hm.hexes = [...hm.hexes.filter(h => !hexes.has(`${h.q},${h.r}`)), ...[...hexes.values()].filter(Boolean)];
+    }
+    records.forEach(({ key }) => this.shadow.set(key, this.json(this.read(key))));
+    await DB.writeChanges(DB.data, changes);
+    this.save();
+    DB.emit('change', { type: 'remote', tables: [...changes.keys()], source: 'collab' });
+  },
+
+  // Replaces the local world with the server's.
+  async adopt(records) {
+    const data = DB.emptyData();
+    const hexes = [];
+    records.forEach(({ key, value }) => {
+      if (value === null) return;
+      const [table] = this.split(key);
+      if (table === 'hexes') hexes.push(value);
+      else if (DB.recordKeys[table]) data[table] = value;
+      else data[table]?.push(value);
+    });
+    if (hexes.length || data.hexmap) data.hexmap = { markers: [], ...(data.hexmap || { settings: { width: 20, height: 15 } }), hexes };
+    DB.data = data;
+    await DB.writeTables(data);
+    this.versions = Object.fromEntries(records.map(r => [r.key, r.version]));
+    this.outbox.clear();
+    this.shadow = new Map(this.keys().map(k => [k, this.json(this.read(k))]));
+    DB.emit('change', { type: 'remote', tables: [...DB.tables], source: 'collab' });
+  },
+
+  // Records by key: "hexes/q,r" is one hex, "hexmap/world_hexmap" the hexmap without its hexes.
+  split(key) {
+    const i = key.indexOf('/');
+    return [key.slice(0, i), key.slice(i + 1)];
+  },
+
+  tableOf(key) {
+    const [table] = this.split(key);
+    return table === 'hexes' ? 'hexmap' : table;
+  },
+
+  keys(tables = DB.tables) {
+    const out = [];
+    tables.forEach(t => {
+      const v = DB.data[t];
+      if (!v) return;
+      if (t === 'hexmap') (v.hexes || []).forEach(h => out.push(`hexes/${h.q},${h.r}`));
+      if (DB.recordKeys[t]) out.push(`${t}/${DB.recordKeys[t]}`);
+      else v.forEach(x => out.push(`${t}/${x.id}`));
+    });
+    return out;
+  },
+
+  read(key) {
+    const [table, id] = this.split(key);
+    if (table === 'hexes') { const [q, r] = id.split(',').map(Number); return DB.getHex(q, r) || null; }
+    const v = DB.data[table];
+    if (table === 'hexmap') { if (!v) return null; const { hexes, ...rest } = v; return { ...rest, id }; }
+    if (DB.recordKeys[table]) return v ? { ...v, id } : null;
+    return v?.find(x => x.id === id) || null;
+  },
+
+  write(key, value) {
+    const [table, id] = this.split(key);
+    if (table === 'hexmap') { DB.data.hexmap = value ? { ...value, hexes: DB.data.hexmap?.hexes || [] } : null; return; }
+    if (DB.recordKeys[table]) { DB.data[table] = value; return; }
+    const list = DB.data[table];
+    if (!list) return;
+    const i = list.findIndex(x => x.id === id);
+    if (!value) { if (i !== -1) list.splice(i, 1); }
+    else if (i === -1) list.push(value);
+    else list[i] = value;
+  },
+
+  json(value) { return JSON.stringify(value ?? null); },
+
+  // Versions and the outbox live in the world's own database, so they survive a reload offline.
+  save() {
+    const db = DB.instance;
+    clearTimeout(this.saveTimer);
+    this.saveTimer = setTimeout(() => {
+      if (db !== DB.instance) return;
+      DB.put('collab', { id: 'state', versions: this.versions, outbox: [...this.outbox] }, db).catch(e => console.error('Collab state not saved', e));
+    }, 300);
+  },
+
+  setStatus(status) {
+    if (this.status === status) return;
+    this.status = status;
+    this.emit('status', status);
+  },
+
+  on(event, cb) { if (this.listeners[event]) this.listeners[event].push(cb); },
+  off(event, cb) { if (this.listeners[event]) this.listeners[event] = this.listeners[event].filter(c => c !== cb); },
+  emit(event, data) { if (this.listeners[event]) this.listeners[event].forEach(cb => cb(data)); }
+};
+
+window.Collab = Collab;
@@ -4,9 +4,9 @@
 
 const DB = {
   name: 'OurotusAtlasDB',
-  version: 2,
+  version: 5,
   instance: null,
-  tables: ['meta', 'biomes', 'hexmap', 'notebooks', 'sections', 'pages', 'celestial'],
+  tables: ['meta', 'biomes', 'hexmap', 'notebooks', 'sections', 'pages', 'celestial', 'textures'],
   
   data: {
     meta: null,
@@ -15,139 +15,278 @@ const DB = {
     notebooks: [],
     sections: [],
     pages: [],
-    celestial: []
+    celestial: [],
+    textures: []
   },
   
   status: {
     synced: true,
     lastCached: null,
-    pendingChanges: new Set()
+    // table -> Set of record ids changed since the last save, or true for the whole table
+    pendingChanges: new Map()
   },
   
   listeners: { change: [], sync: [], error: [] },
   autoSaveTimeout: null,
+  // Changes are saved this long after the last one, unless autoSave is off (see Settings).
+  autoSave: true,
+  autoSaveDelay: 3000,
+  // Set for a follower tab (see TabSync), which shows another tab's saves and never writes.
+  readOnly: false,
 
-  async init() {
+  // IndexedDB layout changes keyed by the version that introduced them, run in order inside the
+  // versionchange transaction. Stores for `tables` are always created if missing, so a step is
+  // only needed when existing stores or records change shape (versions 1 to 3 only added stores).
+  // Stores outside `tables` are created here too.
+  upgrades: {
+    4: (db) => {
+      if (!db.objectStoreNames.contains('revisions')) db.createObjectStore('revisions', { keyPath: 'id' }).createIndex('pageId', 'pageId');
+    },
+    5: (db) => {
+      if (!db.objectStoreNames.contains('collab')) db.createObjectStore('collab', { keyPath: 'id' });
+    }
+  },
+
+  // Opens (or switches to) the world stored in the IndexedDB database `name`. Emits an
+  // 'open' change so every view rebuilds from the new data.
+  async init(name = this.name) {
+    this.close();
+    this.name = name;
+    this.data = this.emptyData();
+    let ok = true;
     try {
-      await this.openDB();
+      this.instance = await this.openDB();
+      this.instance.onversionchange = () => {
+        this.close();
+        this.emit('error', new Error('This world was upgraded or deleted in another tab; reload to keep working'));
+      };
       await this.loadFromCache();
-      if (!this.data.meta) await this.loadDefaults();
+      if (this.isEmpty()) await this.loadDefaults();
+      await this.upgradeData();
       this.emit('sync', { status: 'synced' });
-      return true;
     } catch (error) {
       console.error('DB init error:', error);
       await this.loadDefaults();
-      return false;
+      ok = false;
     }
+    this.emit('change', { type: 'open' });
+    return ok;
+  },
+
+  close() {
+    clearTimeout(this.autoSaveTimeout);
+    this.instance?.close();
+    this.instance = null;
   },
 
-  openDB() {
+  emptyData() {
+    return { meta: null, biomes: [], hexmap: null, notebooks: [], sections: [], pages: [], celestial: [], textures: [] };
+  },
+
+  openDB(name = this.name) {
     return new Promise((resolve, reject) => {
-      const request = indexedDB.open(this.name, this.version);
+      const request = indexedDB.open(name, this.version);
       request.onerror = () => reject(request.error);
-      request.onsuccess = () => { this.instance = request.result; resolve(this.instance); };
+      request.onsuccess = () => resolve(request.result);
       request.onupgradeneeded = (e) => {
         const db = e.target.result;
         this.tables.forEach(t => {
           if (!db.objectStoreNames.contains(t)) db.createObjectStore(t, { keyPath: 'id' });
         });
+        for (let v = e.oldVersion + 1; v <= e.newVersion; v++) this.upgrades[v]?.(db, e.target.transaction);
       };
     });
   },
 
   async loadFromCache() {
-    for (const table of this.tables) {
-      const data = await this.getAll(table);
-      this.data[table] = (table === 'meta' || table === 'hexmap') ? (data[0] || null) : data;
-    }
+    this.data = await this.readTables();
     this.status.synced = true;
     this.status.pendingChanges.clear();
   },
 
+  async readTables(db = this.instance) {
+    const data = this.emptyData();
+    for (const table of this.tables) {
+      const rows = await this.getAll(table, db);
+      data[table] = (table === 'meta' || table === 'hexmap') ? (rows[0] || null) : rows;
+    }
+    return data;
+  },
+
+  isEmpty() {
+    return this.tables.every(t => Array.isArray(this.data[t]) ? !this.data[t].length : !this.data[t]);
+  },
+
+  // Worlds cached by older builds carry an older (or no) meta.schemaVersion; migrate them in place.
+  async upgradeData() {
+    const from = this.data.meta?.schemaVersion || Schema.baseVersion;
+    if (Schema.compareVersions(from, Schema.version) >= 0) return;
+    const { data, warnings } = Schema.migrate(this.data, from);
+    warnings.forEach(w => console.warn('Migration:', w));
+    this.data = data;
+    await this.saveAllToCache(true);
+  },
+
   async loadDefaults() {
+    Object.assign(this.data, await this.fetchDefaults());
+    await this.saveAllToCache(true);
+  },
+
+  // The sample world shipped in data/; tables without a file are left out.
+  async fetchDefaults() {
+    const data = {};
     for (const file of this.tables) {
       try {
         const res = await fetch(`data/${file}.json`);
         if (res.ok) {
           const json = await res.json();
-          this.data[file] = (file === 'meta' || file === 'hexmap') ? json : (Array.isArray(json) ? json : [json]);
+          data[file] = (file === 'meta' || file === 'hexmap') ? json : (Array.isArray(json) ? json : [json]);
         }
       } catch (e) { console.warn(`Failed to load ${file}.json`, e); }
     }
-    await this.saveAllToCache();
+    return data;
   },
 
-  getAll(storeName) {
+  getAll(storeName, db = this.instance) {
     return new Promise((resolve) => {
-      if (!this.instance) { resolve([]); return; }
-      const tx = this.instance.transaction(storeName, 'readonly');
+      if (!db) { resolve([]); return; }
+      const tx = db.transaction(storeName, 'readonly');
       const req = tx.objectStore(storeName).getAll();
       req.onsuccess = () => resolve(req.result);
       req.onerror = () => resolve([]);
     });
   },
 
-  put(storeName, data) {
+  put(storeName, data, db = this.instance) {
     return new Promise((resolve, reject) => {
-      if (!this.instance) { reject(new Error('DB not init')); return; }
-      const tx = this.instance.transaction(storeName, 'readwrite');
+      if (!db) { reject(new Error('DB not init')); return; }
+      const tx = db.transaction(storeName, 'readwrite');
       const req = tx.objectStore(storeName).put(data);
       req.onsuccess = () => resolve(req.result);
       req.onerror = () => reject(req.error);
     });
   },
 
-  delete(storeName, id) {
+  delete(storeName, id, db = this.instance) {
     return new Promise((resolve, reject) => {
-      if (!this.instance) { reject(new Error('DB not init')); return; }
-      const tx = this.instance.transaction(storeName, 'readwrite');
+      if (!db) { reject(new Error('DB not init')); return; }
+      const tx = db.transaction(storeName, 'readwrite');
       const req = tx.objectStore(storeName).delete(id);
       req.onsuccess = () => resolve();
       req.onerror = () => reject(req.error);
     });
   },
 
-  clear(storeName) {
+  clear(storeName, db = this.instance) {
     return new Promise((resolve, reject) => {
-      if (!this.instance) { reject(new Error('DB not init')); return; }
-      const tx = this.instance.transaction(storeName, 'readwrite');
+      if (!db) { reject(new Error('DB not init')); return; }
+      const tx = db.transaction(storeName, 'readwrite');
       const req = tx.objectStore(storeName).clear();
       req.onsuccess = () => resolve();
       req.onerror = () => reject(req.error);
     });
   },
 
-  async saveAllToCache() {
+  // Writes the records changed since the last save in one transaction, so either all of them
+  // are stored or none are; on failure they stay pending for the next save. `full` rewrites
+  // every table, for data replaced wholesale (defaults, migrations, imports). The 'sync' event
+  // that follows a save carries the changes `written`.
+  async saveAllToCache(full = false) {
+    if (this.readOnly) return false;
+    if (full) this.tables.forEach(t => this.addPending(t));
+    const changes = this.status.pendingChanges;
+    this.status.pendingChanges = new Map();
     try {
-      if (this.data.meta) await this.put('meta', { ...this.data.meta, id: 'world_meta' });
-      if (this.data.hexmap) await this.put('hexmap', { ...this.data.hexmap, id: 'world_hexmap' });
-      for (const table of ['biomes', 'notebooks', 'sections', 'pages', 'celestial']) {
-        await this.clear(table);
-        for (const item of this.data[table]) await this.put(table, item);
-      }
-      this.status.synced = true;
+      await this.writeChanges(this.data, changes);
+      this.status.synced = !this.status.pendingChanges.size;
       this.status.lastCached = new Date();
-      this.status.pendingChanges.clear();
-      this.emit('sync', { status: 'synced', timestamp: this.status.lastCached });
+      const status = this.status.synced ? { status: 'synced', timestamp: this.status.lastCached } : { status: 'modified', pending: [...this.status.pendingChanges.keys()] };
+      this.emit('sync', { ...status, written: changes });
       return true;
-    } catch (e) { console.error('Cache save error:', e); this.emit('error', e); return false; }
+    } catch (e) {
+      console.error('Cache save error:', e);
+      changes.forEach((ids, t) => this.addPending(t, ids === true ? null : ids));
+      this.status.synced = false;
+      this.emit('sync', { status: 'error', error: e });
+      this.emit('error', e);
+      return false;
+    }
   },
 
-  markModified(table) {
+  // Single-record tables and the key their record is stored under.
+  recordKeys: { meta: 'world_meta', hexmap: 'world_hexmap' },
+
+  writeTables(data, db = this.instance) {
+    return this.writeChanges(data, new Map(this.tables.map(t => [t, true])), db);
+  },
+
+  // `changes` maps tables to the ids to write (or true for the whole table); ids no longer in
+  // `data` are deleted. Resolves once the transaction commits.
+  writeChanges(data, changes, db = this.instance) {
+    return new Promise((resolve, reject) => {
+      if (!db) { reject(new Error('DB not init')); return; }
+      if (!changes.size) { resolve(); return; }
+      const tx = db.transaction([...changes.keys()], 'readwrite');
+      tx.oncomplete = () => resolve();
+      tx.onabort = () => reject(tx.error || new Error('Save was aborted'));
+      try {
+        changes.forEach((ids, table) => {
+          const store = tx.objectStore(table);
+          const key = this.recordKeys[table];
+          if (key) {
+            if (data[table]) store.put({ ...data[table], id: key }); else store.delete(key);
+            return;
+          }
+          const rows = data[table] || [];
+          if (ids === true) {
+            store.clear();
+            rows.forEach(item => store.put(item));
+            return;
+          }
+          const byId = new Map(rows.map(x => [x.id, x]));
+          ids.forEach(id => byId.has(id) ? store.put(byId.get(id)) : store.delete(id));
+        });
+      } catch (e) { tx.abort(); reject(e); }
+    });
+  },
+
+  deleteDatabase(name) {
+    return new Promise((resolve, reject) => {
+      const req = indexedDB.deleteDatabase(name);
+      req.onsuccess = () => resolve();
+      req.onerror = () => reject(req.error);
+      req.onblocked = () => reject(new Error('The world is open in another tab'));
+    });
+  },
+
+  // `ids` names the records of an array table that were added, changed or removed; without
+  // them the whole table is rewritten on the next save.
+  markModified(table, ids) {
     this.status.synced = false;
-    this.status.pendingChanges.add(table);
-    this.emit('sync', { status: 'modified', pending: [...this.status.pendingChanges] });
+    this.addPending(table, ids);
+    this.emit('sync', { status: 'modified', pending: [...this.status.pendingChanges.keys()] });
     this.scheduleAutoSave();
   },
 
+  addPending(table, ids) {
+    const pending = this.status.pendingChanges;
+    const cur = pending.get(table);
+    if (!ids || !(Array.isArray(this.data[table]) || table === 'hexmap')) pending.set(table, true);
+    else if (cur !== true) {
+      const set = cur || new Set();
+      ids.forEach(id => set.add(id));
+      pending.set(table, set);
+    }
+  },
+
   scheduleAutoSave() {
     if (this.autoSaveTimeout) clearTimeout(this.autoSaveTimeout);
-    this.autoSaveTimeout = setTimeout(() => this.saveAllToCache(), 3000);
+    if (this.autoSave) this.autoSaveTimeout = setTimeout(() => this.saveAllToCache(), this.autoSaveDelay);
   },
 
   async downloadAllData() {
     const exportData = {
-      version: '2.0',
+      version: Schema.version,
       exportDate: new Date().toISOString(),
       data: { ...this.data }
     };
@@ -160,38 +299,55 @@ const DB = {
     URL.revokeObjectURL(url);
   },
 
-  async importData(file) {
+  readJSONFile(file) {
     return new Promise((resolve, reject) => {
       const reader = new FileReader();
-      reader.onload = async (e) => {
-        try {
-          const json = JSON.parse(e.target.result);
-          if (json.data) {
-            Object.keys(json.data).forEach(k => { if (this.data[k] !== undefined) this.data[k] = json.data[k]; });
-          }
-          await this.saveAllToCache();
-          this.emit('change', { type: 'import' });
-          resolve(true);
-        } catch (err) { reject(err); }
+      reader.onload = (e) => {
+        try { resolve(JSON.parse(e.target.result)); } catch (err) { reject(new Error(`Not valid JSON: ${err.message}`)); }
       };
       reader.onerror = () => reject(reader.error);
       reader.readAsText(file);
     });
   },
 
+  prepareImport(json) { return Schema.prepareImport(json, this.data); },
+
+  // Applies a plan from prepareImport. If the tables cannot be written IndexedDB is left as it
+  // was and the previous data is restored in memory.
+  async applyImport(plan) {
+    if (!plan?.data || plan.errors.length) throw new Error(plan?.errors[0] || 'Nothing to import');
+    const backup = structuredClone(this.data);
+    const pending = new Map(this.status.pendingChanges);
+    try {
+      Object.entries(plan.data).forEach(([k, v]) => { if (this.data[k] !== undefined) this.data[k] = v; });
+      if (!await this.saveAllToCache(true)) throw new Error('Could not write to browser storage');
+    } catch (err) {
+      this.data = backup;
+      this.status.pendingChanges = pending;
+      throw err;
+    }
+    this.emit('change', { type: 'import' });
+    return true;
+  },
+
+  async importData(file) {
+    return this.applyImport(this.prepareImport(await this.readJSONFile(file)));
+  },
+
   async resetToDefaults() {
-    for (const t of this.tables) await this.clear(t);
-    this.data = { meta: null, biomes: [], hexmap: null, notebooks: [], sections: [], pages: [], celestial: [] };
+    this.data = this.emptyData();
     await this.loadDefaults();
+    await this.upgradeData();
     this.emit('change', { type: 'reset' });
   },
 
   // CRUD - Notebooks
+  getNotebooks() { return [...this.data.notebooks].sort((a, b) => a.sortOrder - b.sortOrder); },
   getNotebook(id) { return this.data.notebooks.find(n => n.id === id); },
   createNotebook(d) {
     const nb = { id: `nb_${Date.now()}`, name: d.name || 'New Notebook', color: d.color || '#6366f1', icon: d.icon || 'fas fa-book', sortOrder: this.data.notebooks.length, createdAt: new Date().toISOString(), updatedAt: new Date().toISOString() };
     this.data.notebooks.push(nb);
-    this.markModified('notebooks');
+    this.markModified('notebooks', [nb.id]);
     this.emit('change', { type: 'create', table: 'notebooks', item: nb });
     return nb;
   },
@@ -199,19 +355,22 @@ const DB = {
     const i = this.data.notebooks.findIndex(n => n.id === id);
     if (i === -1) return null;
     this.data.notebooks[i] = { ...this.data.notebooks[i], ...d, updatedAt: new Date().toISOString() };
-    this.markModified('notebooks');
+    this.markModified('notebooks', [id]);
+    this.emit('change', { type: 'update', table: 'notebooks', item: this.data.notebooks[i] });
     return this.data.notebooks[i];
   },
   deleteNotebook(id) {
     const i = this.data.notebooks.findIndex(n => n.id === id);
     if (i === -1) return false;
     const secIds = this.data.sections.filter(s => s.notebookId === id).map(s => s.id);
+    const pageIds = this.data.pages.filter(p => secIds.includes(p.sectionId)).map(p => p.id);
     this.data.pages = this.data.pages.filter(p => !secIds.includes(p.sectionId));
     this.data.sections = this.data.sections.filter(s => s.notebookId !== id);
-    this.data.notebooks.splice(i, 1);
-    this.markModified('notebooks');
-    this.markModified('sections');
-    this.markModified('pages');
+    const [nb] = this.data.notebooks.splice(i, 1);
+    this.markModified('notebooks', [id]);
+    this.markModified('sections', secIds);
+    this.markModified('pages', pageIds);
+    this.emit('change', { type: 'delete', table: 'notebooks', item: nb });
     return true;
   },
 
@@ -221,23 +380,27 @@ const DB = {
   createSection(nbId, d) {
     const sec = { id: `sec_${Date.now()}`, notebookId: nbId, name: d.name || 'New Section', color: d.color || '#6366f1', sortOrder: this.data.sections.filter(s => s.notebookId === nbId).length, createdAt: new Date().toISOString(), updatedAt: new Date().toISOString() };
     this.data.sections.push(sec);
-    this.markModified('sections');
+    this.markModified('sections', [sec.id]);
+    this.emit('change', { type: 'create', table: 'sections', item: sec });
     return sec;
   },
   updateSection(id, d) {
     const i = this.data.sections.findIndex(s => s.id === id);
     if (i === -1) return null;
     this.data.sections[i] = { ...this.data.sections[i], ...d, updatedAt: new Date().toISOString() };
-    this.markModified('sections');
+    this.markModified('sections', [id]);
+    this.emit('change', { type: 'update', table: 'sections', item: this.data.sections[i] });
     return this.data.sections[i];
   },
   deleteSection(id) {
     const i = this.data.sections.findIndex(s => s.id === id);
     if (i === -1) return false;
+    const pageIds = this.data.pages.filter(p => p.sectionId === id).map(p => p.id);
     this.data.pages = this.data.pages.filter(p => p.sectionId !== id);
-    this.data.sections.splice(i, 1);
-    this.markModified('sections');
-    this.markModified('pages');
+    const [sec] = this.data.sections.splice(i, 1);
+    this.markModified('sections', [id]);
+    this.markModified('pages', pageIds);
+    this.emit('change', { type: 'delete', table: 'sections', item: sec });
     return true;
   },
 
@@ -247,59 +410,460 @@ const DB = {
   createPage(secId, d) {
     const pg = { id: `pg_${Date.now()}`, sectionId: secId, title: d.title || 'New Page', content: d.content || '', sortOrder: this.data.pages.filter(p => p.sectionId === secId).length, createdAt: new Date().toISOString(), updatedAt: new Date().toISOString() };
     this.data.pages.push(pg);
-    this.markModified('pages');
+    this.markModified('pages', [pg.id]);
+    this.emit('change', { type: 'create', table: 'pages', item: pg });
     return pg;
   },
   updatePage(id, d) {
     const i = this.data.pages.findIndex(p => p.id === id);
     if (i === -1) return null;
-    this.data.pages[i] = { ...this.data.pages[i], ...d, updatedAt: new Date().toISOString() };
-    this.markModified('pages');
+    const prev = this.data.pages[i];
+    this.data.pages[i] = { ...prev, ...d, updatedAt: new Date().toISOString() };
+    this.markModified('pages', [id]);
+    this.emit('change', { type: 'update', table: 'pages', item: this.data.pages[i], prev });
     return this.data.pages[i];
   },
   deletePage(id) {
     const i = this.data.pages.findIndex(p => p.id === id);
     if (i === -1) return false;
-    this.data.pages.splice(i, 1);
-    this.markModified('pages');
+    const [pg] = this.data.pages.splice(i, 1);
+    this.markModified('pages', [id]);
+    this.emit('change', { type: 'delete', table: 'pages', item: pg });
     return true;
   },
 
+  // Ordering. Each move puts the record at `index` among its new siblings (clamped) and renumbers
+  // sortOrder from 0 in the lists it left and joined. Changed records are replaced, not mutated;
+  // null means nothing moved.
+  moveNotebook(id, index) { return this.moveRecord('notebooks', id, null, null, index); },
+  moveSection(id, notebookId, index) { return this.getNotebook(notebookId) ? this.moveRecord('sections', id, 'notebookId', notebookId, index) : null; },
+  movePage(id, sectionId, index) { return this.getSection(sectionId) ? this.moveRecord('pages', id, 'sectionId', sectionId, index) : null; },
+  moveRecord(table, id, parentKey, parentId, index) {
+    const list = this.data[table];
+    const prev = list.find(x => x.id === id);
+    if (!prev) return null;
+    const inParent = (x, pid) => !parentKey || x[parentKey] === pid;
+    const byOrder = (a, b) => a.sortOrder - b.sortOrder;
+    const moved = parentKey ? { ...prev, [parentKey]: parentId } : { ...prev };
+    const siblings = list.filter(x => x.id !== id && inParent(x, parentId)).sort(byOrder);
+    siblings.splice(Math.max(0, Math.min(index, siblings.length)), 0, moved);
+    const reparented = parentKey && prev[parentKey] !== parentId;
+    const changed = [];
+    const renumber = (x, i) => {
+      const k = list.findIndex(y => y.id === x.id);
+      if (list[k].sortOrder === i && !(x === moved && reparented)) return;
+      list[k] = { ...x, sortOrder: i };
+      changed.push(x.id);
+    };
+    siblings.forEach(renumber);
+    if (reparented) list.filter(x => inParent(x, prev[parentKey])).sort(byOrder).forEach(renumber);
+    if (!changed.length) return null;
+    const item = list.find(x => x.id === id);
+    this.markModified(table, changed);
+    this.emit('change', { type: 'update', table, item, prev });
+    return item;
+  },
+
   // CRUD - Biomes
   getBiome(id) { return this.data.biomes.find(b => b.id === id); },
+  // Climate, elevation and texture fields are copied as given. A taken `id` gets a suffix.
   createBiome(d) {
-    const b = { id: d.id || `biome_${Date.now()}`, name: d.name || 'New Biome', color: d.color || '#808080', pattern: d.pattern || 'solid', description: d.description || '', encounters: [], resources: [] };
+    const id = d.id && !this.getBiome(d.id) ? d.id : this.uniqueBiomeId(d.id || d.name);
+    const b = { pattern: 'solid', description: '', moveCost: 1, travelSpeed: 1, ...d, id, name: d.name || 'New Biome', color: d.color || '#808080', encounters: d.encounters || [], resources: d.resources || [] };
     this.data.biomes.push(b);
-    this.markModified('biomes');
+    this.markModified('biomes', [b.id]);
+    this.emit('change', { type: 'create', table: 'biomes', item: b });
     return b;
   },
   updateBiome(id, d) {
     const i = this.data.biomes.findIndex(b => b.id === id);
     if (i === -1) return null;
     this.data.biomes[i] = { ...this.data.biomes[i], ...d };
-    this.markModified('biomes');
+    this.markModified('biomes', [id]);
+    this.emit('change', { type: 'update', table: 'biomes', item: this.data.biomes[i] });
     return this.data.biomes[i];
   },
   deleteBiome(id) {
-    if (this.data.hexmap?.hexes?.some(h => h.biomeId === id)) return false;
+    if (this.hexIndex().byBiome.get(id)?.size) return false;
     const i = this.data.biomes.findIndex(b => b.id === id);
     if (i === -1) return false;
-    this.data.biomes.splice(i, 1);
-    this.markModified('biomes');
+    const [b] = this.data.biomes.splice(i, 1);
+    this.markModified('biomes', [id]);
+    this.emit('change', { type: 'delete', table: 'biomes', item: b });
+    return true;
+  },
+  // A slug of `name` no biome uses yet: "Dark Forest" -> "dark_forest", then "dark_forest_2".
+  uniqueBiomeId(name) {
+    const base = String(name || '').normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '') || 'biome';
+    let id = base;
+    for (let n = 2; this.getBiome(id); n++) id = `${base}_${n}`;
+    return id;
+  },
+
+  // CRUD - Textures (uploaded biome fills, stored as data URLs so they travel with exports)
+  getTexture(id) { return this.data.textures.find(t => t.id === id); },
+  createTexture(d) {
+    const t = { id: `tx_${Date.now()}`, name: d.name || 'Texture', data: d.data };
+    this.data.textures.push(t);
+    this.markModified('textures', [t.id]);
+    this.emit('change', { type: 'create', table: 'textures', item: t });
+    return t;
+  },
+  deleteTexture(id) {
+    if (this.data.biomes.some(b => b.texture === id)) return false;
+    const i = this.data.textures.findIndex(t => t.id === id);
+    if (i === -1) return false;
+    const [t] = this.data.textures.splice(i, 1);
+    this.markModified('textures', [id]);
+    this.emit('change', { type: 'delete', table: 'textures', item: t });
     return true;
   },
 
+  // CRUD - Celestial bodies (suns, moons, constellations)
+  getCelestial(id) { return this.data.celestial.find(c => c.id === id); },
+  createCelestial(d) {
+    const defaults = {
+      sun: { color: '#fbbf24', yearLength: 360, seasonOffset: 0, seasons: [{ name: 'Spring', color: '#86efac' }, { name: 'Summer', color: '#fcd34d' }, { name: 'Autumn', color: '#fb923c' }, { name: 'Winter', color: '#bfdbfe' }] },
+      moon: { color: '#e5e7eb', period: 28, phaseOffset: 0, nodePeriod: 0, nodeOffset: 0, size: 1 },
+      constellation: { color: '#93c5fd', longitude: 0, stars: [], lines: [] }
+    };
+    const type = defaults[d.type] ? d.type : 'moon';
+    const c = { id: `cel_${Date.now()}`, type, name: d.name || `New ${type[0].toUpperCase()}${type.slice(1)}`, description: '', ...defaults[type], ...d, type };
+    this.data.celestial.push(c);
+    this.markModified('celestial', [c.id]);
+    this.emit('change', { type: 'create', table: 'celestial', item: c });
+    return c;
+  },
+  updateCelestial(id, d) {
+    const i = this.data.celestial.findIndex(c => c.id === id);
+    if (i === -1) return null;
+    this.data.celestial[i] = { ...this.data.celestial[i], ...d };
+    this.markModified('celestial', [id]);
+    this.emit('change', { type: 'update', table: 'celestial', item: this.data.celestial[i] });
+    return this.data.celestial[i];
+  },
+  deleteCelestial(id) {
+    const i = this.data.celestial.findIndex(c => c.id === id);
+    if (i === -1) return false;
+    const [c] = this.data.celestial.splice(i, 1);
+    this.markModified('celestial', [id]);
+    this.emit('change', { type: 'delete', table: 'celestial', item: c });
+    return true;
+  },
+
+  // World settings (name, current day, ...)
+  updateMeta(d) {
+    this.data.meta = { id: 'world_meta', ...(this.data.meta || {}), ...d };
+    this.markModified('meta');
+    this.emit('change', { type: 'update', table: 'meta', item: this.data.meta });
+    return this.data.meta;
+  },
+
   // Hexmap
-  getHex(q, r) { return this.data.hexmap?.hexes?.find(h => h.q === q && h.r === r); },
+  // The hexmap is saved as one record, but its edits are marked by part so another tab's save
+  // can be merged into it: "hexes/q,r" for a hex, "markers/<id>" (likewise layers, paths and
+  // regions) for a list item, the list's name for its order, and any other field by name.
+  hexmapLists: ['markers', 'layers', 'paths', 'regions'],
+  hexmapParts(hm) {
+    const parts = new Map();
+    Object.entries(hm || {}).forEach(([k, v]) => {
+      if (k === 'hexes') (v || []).forEach(h => parts.set(`hexes/${this.hexKey(h.q, h.r)}`, h));
+      else if (this.hexmapLists.includes(k) && Array.isArray(v)) {
+        parts.set(k, v.map(x => x.id));
+        v.forEach(x => parts.set(`${k}/${x.id}`, x));
+      } else if (k !== 'id') parts.set(k, v);
+    });
+    return parts;
+  },
+  setHexmap(hm) {
+    this.data.hexmap = hm;
+    this.markModified('hexmap');
+    this.emit('change', { type: 'replace', table: 'hexmap', item: hm });
+    return hm;
+  },
+  getHex(q, r) { return this.hexIndex().byKey.get(this.hexKey(q, r)); },
+  getHexesIn(coords) { return coords.map(c => this.getHex(c.q, c.r)).filter(Boolean); },
+  getHexesByBiome(biomeId) { return [...(this.hexIndex().byBiome.get(biomeId)?.values() || [])]; },
   updateHex(q, r, d) {
     if (!this.data.hexmap) return null;
-    let hex = this.data.hexmap.hexes.find(h => h.q === q && h.r === r);
-    if (!hex) { hex = { q, r, biomeId: 'plains', label: '', notes: '' }; this.data.hexmap.hexes.push(hex); }
+    const hex = this.upsertHex(q, r, d);
+    this.markModified('hexmap', [`hexes/${this.hexKey(q, r)}`]);
+    this.emit('change', { type: 'update', table: 'hexmap', item: hex });
+    return hex;
+  },
+  // Applies many hex edits (e.g. one paint stroke) as a single modification and change event.
+  updateHexes(changes) {
+    if (!changes.length) return [];
+    this.ensureHexmap();
+    const hexes = changes.map(({ q, r, ...d }) => this.upsertHex(q, r, d));
+    this.markModified('hexmap', hexes.map(h => `hexes/${this.hexKey(h.q, h.r)}`));
+    this.emit('change', { type: 'batch', table: 'hexmap', items: hexes });
+    return hexes;
+  },
+  // Fog of war: `hexmap.revealed` holds "q,r" keys of hexes the players have explored.
+  getRevealedSet() {
+    const list = this.data.hexmap?.revealed || [];
+    if (this._revealed?.source !== list) this._revealed = { source: list, set: new Set(list) };
+    return this._revealed.set;
+  },
+  isRevealed(q, r) { return this.getRevealedSet().has(`${q},${r}`); },
+  setRevealed(hexes, revealed = true) {
+    const hm = this.ensureHexmap();
+    const set = new Set(hm.revealed || []);
+    const changed = hexes.filter(({ q, r }) => {
+      const k = `${q},${r}`;
+      if (set.has(k) === revealed) return false;
+      if (revealed) set.add(k); else set.delete(k);
+      return true;
+    });
+    if (!changed.length) return null;
+    hm.revealed = [...set];
+    this.markModified('hexmap', ['revealed']);
+    this.emit('change', { type: 'reveal', table: 'hexmap', items: changed, revealed });
+    return changed;
+  },
+  ensureHexmap() {
+    if (!this.data.hexmap) this.data.hexmap = { settings: { width: 20, height: 15 }, hexes: [], markers: [] };
+    if (!this.data.hexmap.hexes) this.data.hexmap.hexes = [];
+    if (!this.data.hexmap.markers) this.data.hexmap.markers = [];
+    return this.data.hexmap;
+  },
+  upsertHex(q, r, d) {
+    const idx = this.hexIndex();
+    const key = this.hexKey(q, r);
+    let hex = idx.byKey.get(key);
+    if (!hex) {
+      hex = { q, r, biomeId: 'plains', label: '', notes: '' };
+      this.data.hexmap.hexes.push(hex);
+      idx.byKey.set(key, hex);
+      idx.size++;
+    } else this.unindexBiome(idx, hex);
     Object.assign(hex, d);
-    this.markModified('hexmap');
+    this.indexBiome(idx, hex);
     return hex;
   },
 
+  // Hexes are stored as the `hexmap.hexes` array (the persisted and exported shape). Lookups go
+  // through an index keyed by "q,r" plus one by biome, rebuilt whenever that array is replaced.
+  // Hexes must therefore only be added or edited through upsertHex.
+  hexIndex() {
+    const hexes = this.data.hexmap?.hexes || [];
+    const idx = this._hexIndex;
+    if (idx?.source === hexes && idx.size === hexes.length) return idx;
+    this._hexIndex = { source: hexes, size: hexes.length, byKey: new Map(), byBiome: new Map() };
+    hexes.forEach(h => {
+      this._hexIndex.byKey.set(this.hexKey(h.q, h.r), h);
+      this.indexBiome(this._hexIndex, h);
+    });
+    return this._hexIndex;
+  },
+  indexBiome(idx, hex) {
+    if (!idx.byBiome.has(hex.biomeId)) idx.byBiome.set(hex.biomeId, new Map());
+    idx.byBiome.get(hex.biomeId).set(this.hexKey(hex.q, hex.r), hex);
+  },
+  unindexBiome(idx, hex) {
+    const set = idx.byBiome.get(hex.biomeId);
+    if (!set) return;
+    set.delete(this.hexKey(hex.q, hex.r));
+    if (!set.size) idx.byBiome.delete(hex.biomeId);
+  },
+
+  // Axial hex geometry, shared by the map tools and the renderer. These return coordinates
+  // whether or not a hex exists there; pass them to getHexesIn for the stored hexes.
+  hexDirections: [[1, 0], [1, -1], [0, -1], [-1, 0], [-1, 1], [0, 1]],
+  hexKey(q, r) { return `${q},${r}`; },
+  hexDistance(a, b) { return (Math.abs(a.q - b.q) + Math.abs(a.r - b.r) + Math.abs(a.q + a.r - b.q - b.r)) / 2; },
+  roundHex(q, r) {
+    const s = -q - r;
+    let rq = Math.round(q), rr = Math.round(r), rs = Math.round(s);
+    const qD = Math.abs(rq - q), rD = Math.abs(rr - r), sD = Math.abs(rs - s);
+    if (qD > rD && qD > sD) rq = -rr - rs;
+    else if (rD > sD) rr = -rq - rs;
+    return { q: rq, r: rr };
+  },
+  hexNeighbors(q, r) { return this.hexDirections.map(([dq, dr]) => ({ q: q + dq, r: r + dr })); },
+  hexRing(center, radius) {
+    if (radius <= 0) return [{ q: center.q, r: center.r }];
+    const out = [];
+    let q = center.q + this.hexDirections[4][0] * radius, r = center.r + this.hexDirections[4][1] * radius;
+    this.hexDirections.forEach(([dq, dr]) => {
+      for (let i = 0; i < radius; i++) { out.push({ q, r }); q += dq; r += dr; }
+    });
+    return out;
+  },
+  hexRange(center, radius) {
+    const out = [];
+    for (let dq = -radius; dq <= radius; dq++) {
+      for (let dr = Math.max(-radius, -dq - radius); dr <= Math.min(radius, -dq + radius); dr++) out.push({ q: center.q + dq, r: center.r + dr });
+    }
+    return out;
+  },
+  hexLine(a, b) {
+    const n = this.hexDistance(a, b);
+    const out = [];
+    for (let i = 0; i <= n; i++) {
+      const t = n === 0 ? 0 : i / n;
+      out.push(this.roundHex(a.q + (b.q - a.q) * t + 1e-6, a.r + (b.r - a.r) * t + 1e-6));
+    }
+    return out;
+  },
+
+  // CRUD - Markers
+  getMarkers() { return this.data.hexmap?.markers || []; },
+  getMarker(id) { return this.getMarkers().find(m => m.id === id); },
+  getMarkersAt(q, r) { return this.getMarkers().filter(m => m.q === q && m.r === r); },
+  createMarker(d) {
+    const hm = this.ensureHexmap();
+    const mk = { id: `mk_${Date.now()}`, q: d.q, r: d.r, name: d.name || 'New Marker', icon: d.icon || 'pin', color: d.color || '#f59e0b', visible: d.visible !== false, pageId: d.pageId || null, createdAt: new Date().toISOString(), updatedAt: new Date().toISOString() };
+    hm.markers.push(mk);
+    this.markModified('hexmap', ['markers', `markers/${mk.id}`]);
+    this.emit('change', { type: 'create', table: 'markers', item: mk });
+    return mk;
+  },
+  updateMarker(id, d) {
+    const markers = this.getMarkers();
+    const i = markers.findIndex(m => m.id === id);
+    if (i === -1) return null;
+    markers[i] = { ...markers[i], ...d, updatedAt: new Date().toISOString() };
+    this.markModified('hexmap', [`markers/${id}`]);
+    this.emit('change', { type: 'update', table: 'markers', item: markers[i] });
+    return markers[i];
+  },
+  deleteMarker(id) {
+    const markers = this.getMarkers();
+    const i = markers.findIndex(m => m.id === id);
+    if (i === -1) return false;
+    const [mk] = markers.splice(i, 1);
+    this.markModified('hexmap', ['markers', `markers/${id}`]);
+    this.emit('change', { type: 'delete', table: 'markers', item: mk });
+    return true;
+  },
+
+  // CRUD - Overlay layers. Layers are drawn over the hexes in list order (last on top). A 'paths'
+  // layer owns rivers and roads in `hexmap.paths`; a 'regions' layer owns named sets of hexes
+  // ("q,r" keys, like `revealed`) in `hexmap.regions`.
+  pathDefaults: {
+    river: { color: '#3b82f6', width: 4, style: 'solid' },
+    road: { color: '#b45309', width: 3, style: 'dashed' }
+  },
+  hexmapList(key) {
+    const hm = this.ensureHexmap();
+    if (!Array.isArray(hm[key])) hm[key] = [];
+    return hm[key];
+  },
+  getLayers() { return this.data.hexmap?.layers || []; },
+  getLayer(id) { return this.getLayers().find(l => l.id === id); },
+  createLayer(d) {
+    const kind = d.kind === 'regions' ? 'regions' : 'paths';
+    const ly = { id: `ly_${Date.now()}`, name: d.name || (kind === 'regions' ? 'Regions' : 'Rivers & Roads'), kind, visible: d.visible !== false, opacity: d.opacity ?? 1, gmOnly: !!d.gmOnly };
+    this.hexmapList('layers').push(ly);
+    this.markModified('hexmap', ['layers', `layers/${ly.id}`]);
+    this.emit('change', { type: 'create', table: 'layers', item: ly });
+    return ly;
+  },
+  updateLayer(id, d) {
+    const layers = this.getLayers();
+    const i = layers.findIndex(l => l.id === id);
+    if (i === -1) return null;
+    layers[i] = { ...layers[i], ...d, id, kind: layers[i].kind };
+    this.markModified('hexmap', [`layers/${id}`]);
+    this.emit('change', { type: 'update', table: 'layers', item: layers[i] });
+    return layers[i];
+  },
+  // Deletes the layer with its paths or regions.
+  deleteLayer(id) {
+    const layers = this.getLayers();
+    const i = layers.findIndex(l => l.id === id);
+    if (i === -1) return false;
+    const [ly] = layers.splice(i, 1);
+    const hm = this.data.hexmap;
+    const parts = ['layers', `layers/${id}`];
+    ['paths', 'regions'].forEach(list => {
+      if (!hm[list]) return;
+      const gone = hm[list].filter(x => x.layerId === id);
+      if (gone.length) parts.push(list, ...gone.map(x => `${list}/${x.id}`));
+      hm[list] = hm[list].filter(x => x.layerId !== id);
+    });
+    this.markModified('hexmap', parts);
+    this.emit('change', { type: 'delete', table: 'layers', item: ly });
+    return true;
+  },
+  // Moves a layer `delta` places in the draw order (positive is towards the top).
+  moveLayer(id, delta) {
+    const layers = this.getLayers();
+    const i = layers.findIndex(l => l.id === id);
+    const j = Math.max(0, Math.min(layers.length - 1, i + delta));
+    if (i === -1 || i === j) return false;
+    const [ly] = layers.splice(i, 1);
+    layers.splice(j, 0, ly);
+    this.markModified('hexmap', ['layers']);
+    this.emit('change', { type: 'update', table: 'layers', item: ly });
+    return true;
+  },
+
+  // Path points are hex centres ({ q, r }) or, for paths along hex edges, cell corners
+  // ({ q, r, corner }) numbered as in HexMap.cellCorners.
+  getPaths(layerId) { const paths = this.data.hexmap?.paths || []; return layerId ? paths.filter(p => p.layerId === layerId) : paths; },
+  getPath(id) { return this.getPaths().find(p => p.id === id); },
+  createPath(d) {
+    if (this.getLayer(d.layerId)?.kind !== 'paths') return null;
+    const type = d.type === 'road' ? 'road' : 'river';
+    const points = (d.points || []).map(p => (Number.isInteger(p.corner) ? { q: p.q, r: p.r, corner: p.corner } : { q: p.q, r: p.r }));
+    const pt = { id: `pt_${Date.now()}`, layerId: d.layerId, name: d.name || (type === 'road' ? 'New Road' : 'New River'), type, snap: d.snap === 'edge' ? 'edge' : 'center', ...this.pathDefaults[type], ...(d.color ? { color: d.color } : {}), ...(d.width ? { width: d.width } : {}), ...(d.style ? { style: d.style } : {}), points };
+    this.hexmapList('paths').push(pt);
+    this.markModified('hexmap', ['paths', `paths/${pt.id}`]);
+    this.emit('change', { type: 'create', table: 'paths', item: pt });
+    return pt;
+  },
+  updatePath(id, d) {
+    const paths = this.getPaths();
+    const i = paths.findIndex(p => p.id === id);
+    if (i === -1) return null;
+    paths[i] = { ...paths[i], ...d, id };
+    this.markModified('hexmap', [`paths/${id}`]);
+    this.emit('change', { type: 'update', table: 'paths', item: paths[i] });
+    return paths[i];
+  },
+  deletePath(id) {
+    const paths = this.getPaths();
+    const i = paths.findIndex(p => p.id === id);
+    if (i === -1) return false;
+    const [pt] = paths.splice(i, 1);
+    this.markModified('hexmap', ['paths', `paths/${id}`]);
+    this.emit('change', { type: 'delete', table: 'paths', item: pt });
+    return true;
+  },
+
+  getRegions(layerId) { const regions = this.data.hexmap?.regions || []; return layerId ? regions.filter(r => r.layerId === layerId) : regions; },
+  getRegion(id) { return this.getRegions().find(r => r.id === id); },
+  getRegionsAt(q, r) { const k = this.hexKey(q, r); return this.getRegions().filter(rg => rg.hexes.includes(k)); },
+  createRegion(d) {
+    if (this.getLayer(d.layerId)?.kind !== 'regions') return null;
+    const rg = { id: `rg_${Date.now()}`, layerId: d.layerId, name: d.name || 'New Region', color: d.color || '#e11d48', hexes: [...new Set(d.hexes || [])] };
+    this.hexmapList('regions').push(rg);
+    this.markModified('hexmap', ['regions', `regions/${rg.id}`]);
+    this.emit('change', { type: 'create', table: 'regions', item: rg });
+    return rg;
+  },
+  updateRegion(id, d) {
+    const regions = this.getRegions();
+    const i = regions.findIndex(r => r.id === id);
+    if (i === -1) return null;
+    regions[i] = { ...regions[i], ...d, id, ...(d.hexes ? { hexes: [...new Set(d.hexes)] } : {}) };
+    this.markModified('hexmap', [`regions/${id}`]);
+    this.emit('change', { type: 'update', table: 'regions', item: regions[i] });
+    return regions[i];
+  },
+  deleteRegion(id) {
+    const regions = this.getRegions();
+    const i = regions.findIndex(r => r.id === id);
+    if (i === -1) return false;
+    const [rg] = regions.splice(i, 1);
+    this.markModified('hexmap', ['regions', `regions/${id}`]);
+    this.emit('change', { type: 'delete', table: 'regions', item: rg });
+    return true;
+  },
+
   // Events
   on(event, cb) { if (this.listeners[event]) this.listeners[event].push(cb); },
   off(event, cb) { if (this.listeners[event]) this.listeners[event] = this.listeners[event].filter(c => c !== cb); },
@@ -0,0 +1,122 @@
+/**
+ * Ourotus Atlas - Encounters Module v2.0
+ *
+ * Rolls on a biome's `encounters` and `resources` tables, or on a hex's own tables when it
+ * has them. Entries are plain strings or `{ text, weight, mods }`, where `mods` multiplies the
+ * weight while a condition holds (e.g. `{ night: 2, winter: 0 }`): day or night, or a season
+ * of the first sun (see Celestial), named in lower case with dashes. Dice in the text such as
+ * "2d4 wolves" are rolled into the result. Results are kept in a log for the browser session.
+ */
+
+const Encounters = {
+  kinds: { encounters: 'Encounter', resources: 'Forage' },
+  logKey: 'ourotus.rollLog',
+  logLimit: 100,
+  log: [],
+
+  entry(e) {
+    if (typeof e === 'string') return { text: e, weight: 1, mods: {} };
+    return { text: String(e?.text || ''), weight: e?.weight >= 0 ? e.weight : 1, mods: { ...(e?.mods || {}) } };
+  },
+
+  // Plain strings where nothing but the text is set, so simple tables stay simple.
+  compact(e) {
+    const n = this.entry(e);
+    if (n.weight === 1 && !Object.keys(n.mods).length) return n.text;
+    const out = { text: n.text, weight: n.weight };
+    if (Object.keys(n.mods).length) out.mods = n.mods;
+    return out;
+  },
+
+  // The hex's own table wins over its biome's when it has any entries.
+  table(kind, hex) {
+    if (hex?.[kind]?.length) return hex[kind].map(e => this.entry(e));
+    return (DB.getBiome(hex?.biomeId)?.[kind] || []).map(e => this.entry(e));
+  },
+
+  seasonKey(name) { return String(name).trim().toLowerCase().replace(/\s+/g, '-'); },
+
+  conditions() {
+    return ['day', 'night', ...(Celestial.sun()?.seasons || []).map(s => this.seasonKey(s.name))];
+  },
+
+  // Day runs 06:00-18:00.
+  conditionsAt(day = Calendar.today()) {
+    const hour = Celestial.mod1(day);
+    const season = Celestial.season(day);
+    return [hour >= 0.25 && hour < 0.75 ? 'day' : 'night', ...(season ? [this.seasonKey(season.name)] : [])];
+  },
+
+  weight(entry, conditions) {
+    return conditions.reduce((w, c) => w * (entry.mods[c] ?? 1), entry.weight);
+  },
+
+  pick(entries, conditions, rand = Math.random) {
+    const weighted = entries.map(e => ({ e, w: this.weight(e, conditions) })).filter(x => x.w > 0 && x.e.text);
+    const total = weighted.reduce((n, x) => n + x.w, 0);
+    if (!total) return null;
+    let t = rand() * total;
+    return (weighted.find(x => (t -= x.w) < 0) || weighted[weighted.length - 1]).e;
+  },
+
+  // "2d6+1" style expressions; the count is capped so a typo cannot hang the page.
+  dicePattern: /\b(\d*)d(\d+)(?:\s*([+-])\s*(\d+))?\b/gi,
+
+  rollDice(count, sides, rand = Math.random) {
+    return Array.from({ length: Math.min(count, 100) }, () => 1 + Math.floor(rand() * sides));
+  },
+
+  expand(text, rand = Math.random) {
+    const dice = [];
+    const out = text.replace(this.dicePattern, (expr, n, sides, sign, mod) => {
+      if (!(+sides > 0)) return expr;
+      const rolls = this.rollDice(n === '' ? 1 : +n, +sides, rand);
+      const total = rolls.reduce((a, b) => a + b, 0) + (sign === '-' ? -1 : 1) * (+mod || 0);
+      dice.push({ expr, rolls, total });
+      return String(total);
+    });
+    return { text: out, dice };
+  },
+
+  // Null when the table is empty or every entry is ruled out by the conditions.
+  roll(kind, q, r, { day = Calendar.today(), rand = Math.random } = {}) {
+    const hex = DB.getHex(q, r);
+    const conditions = this.conditionsAt(day);
+    const entry = this.pick(this.table(kind, hex), conditions, rand);
+    if (!entry) return null;
+    const { text, dice } = this.expand(entry.text, rand);
+    const result = { kind, q, r, biomeId: hex?.biomeId || null, entry: entry.text, text, dice, day, conditions, at: new Date().toISOString() };
+    this.log.unshift(result);
+    this.log.length = Math.min(this.log.length, this.logLimit);
+    this.saveLog();
+    return result;
+  },
+
+  // "night:2 winter:0" <-> { night: 2, winter: 0 }; unknown conditions are dropped.
+  parseMods(text) {
+    const mods = {};
+    const known = this.conditions();
+    String(text || '').toLowerCase().split(/[\s,]+/).forEach(part => {
+      const m = part.match(/^([a-z-]+?)[:x×*]?(\d*\.?\d+)$/);
+      if (m && known.includes(m[1])) mods[m[1]] = parseFloat(m[2]);
+    });
+    return mods;
+  },
+
+  formatMods(mods) { return Object.entries(mods || {}).map(([c, w]) => `${c}:${w}`).join(' '); },
+
+  loadLog() {
+    try { this.log = JSON.parse(sessionStorage.getItem(this.logKey) || '[]'); } catch (e) { this.log = []; }
+  },
+
+  saveLog() {
+    try { sessionStorage.setItem(this.logKey, JSON.stringify(this.log)); } catch (e) { console.warn('Roll log not saved', e); }
+  },
+
+  clearLog() {
+    this.log = [];
+    this.saveLog();
+  }
+};
+
+window.Encounters = Encounters;
@@ -0,0 +1,124 @@
+/**
+ * Ourotus Atlas - World Generator Module v2.0
+ */
+
+const Generator = {
+  defaults: { seed: 'aetheria', width: 40, height: 30, seaLevel: 0.45, continents: 3 },
+
+  // Biome climate strings mapped onto 0..1 so they can be compared with noise values.
+  // Biomes whose values are not listed here (e.g. magical/arcane) are never placed.
+  scales: {
+    temperature: { frozen: 0, cold: 0.25, temperate: 0.5, warm: 0.7, hot: 0.85, extreme: 1 },
+    humidity: { arid: 0, dry: 0.25, moderate: 0.5, wet: 0.75, saturated: 1 }
+  },
+
+  hashSeed(seed) {
+    const s = String(seed);
+    let h = 2166136261;
+    for (let i = 0; i < s.length; i++) { h ^= s.charCodeAt(i); h = Math.imul(h, 16777619); }
+    return h >>> 0;
+  },
+
+  rng(seed) {
+    let a = seed >>> 0;
+    return () => {
+      a = (a + 0x6D2B79F5) >>> 0;
+      let t = a;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  },
+
+  createNoise(seed) {
+    const lattice = (x, y) => {
+      let h = Math.imul(x, 374761393) ^ Math.imul(y, 668265263) ^ seed;
+      h = Math.imul(h ^ (h >>> 13), 1274126177);
+      return ((h ^ (h >>> 16)) >>> 0) / 4294967296;
+    };
+    const smooth = t => t * t * (3 - 2 * t);
+    const value = (x, y) => {
+      const x0 = Math.floor(x), y0 = Math.floor(y);
+      const sx = smooth(x - x0), sy = smooth(y - y0);
+      const a = lattice(x0, y0), b = lattice(x0 + 1, y0), c = lattice(x0, y0 + 1), d = lattice(x0 + 1, y0 + 1);
+      return (a + (b - a) * sx) + ((c + (d - c) * sx) - (a + (b - a) * sx)) * sy;
+    };
+    return (x, y, octaves = 4) => {
+      let sum = 0, amp = 1, freq = 1, norm = 0;
+      for (let i = 0; i < octaves; i++) { sum += value(x * freq, y * freq) * amp; norm += amp; amp *= 0.5; freq *= 2; }
+      return sum / norm;
+    };
+  },
+
+  normalize(opts = {}) {
+    const o = { ...this.defaults, ...opts };
+    return {
+      seed: String(o.seed === '' || o.seed == null ? this.defaults.seed : o.seed),
+      width: Math.max(4, Math.min(400, parseInt(o.width, 10) || this.defaults.width)),
+      height: Math.max(4, Math.min(400, parseInt(o.height, 10) || this.defaults.height)),
+      seaLevel: Math.max(0, Math.min(1, parseFloat(o.seaLevel) || 0)),
+      continents: Math.max(1, Math.min(12, parseInt(o.continents, 10) || 1))
+    };
+  },
+
+  generate(opts) {
+    const settings = this.normalize(opts);
+    const { width, height, seaLevel, continents } = settings;
+    const base = this.hashSeed(settings.seed);
+    const rand = this.rng(base);
+    const elevNoise = this.createNoise(base ^ 0x1f123bb5);
+    const tempNoise = this.createNoise(base ^ 0x2c1b3c6d);
+    const moistNoise = this.createNoise(base ^ 0x297a2d39);
+    const variety = this.createNoise(base ^ 0x5bd1e995);
+
+    const centers = [];
+    for (let i = 0; i < continents; i++) {
+      centers.push({ x: width * (0.15 + rand() * 0.7), y: height * (0.15 + rand() * 0.7), radius: Math.min(width, height) * (0.25 + rand() * 0.2) });
+    }
+
+    const candidates = this.getCandidates();
+    const hexes = [];
+    for (let col = 0; col < width; col++) {
+      for (let row = 0; row < height; row++) {
+        const x = col, y = row + (col & 1) / 2;
+        let mass = 0;
+        centers.forEach(c => {
+          const d = Math.hypot(x - c.x, y - c.y) / c.radius;
+          mass = Math.max(mass, 1 - d * d);
+        });
+        const elevation = Math.max(0, Math.min(1, mass * 0.7 + (elevNoise(x / 8, y / 8, 5) - 0.5) * 0.6 + 0.15));
+        const latitude = Math.abs(y / (height - 1) - 0.5) * 2;
+        const land = Math.max(0, (elevation - seaLevel) / (1 - seaLevel || 1));
+        const temperature = Math.max(0, Math.min(1, (1 - latitude) * 0.75 + tempNoise(x / 10, y / 10) * 0.35 - land * 0.3));
+        const moisture = Math.max(0, Math.min(1, moistNoise(x / 6, y / 6) * 0.8 + (1 - land) * 0.2));
+        const biome = this.pickBiome(candidates, elevation, temperature, moisture, seaLevel, i => variety(x / 5 + i * 31.7, y / 5));
+        hexes.push({ q: col, r: row - Math.floor(col / 2), biomeId: biome?.id || 'plains', label: '', notes: '' });
+      }
+    }
+
+    return { settings, hexes, markers: [] };
+  },
+
+  getCandidates() {
+    return (DB.data.biomes || [])
+      .filter(b => typeof b.elevation === 'number' && b.temperature in this.scales.temperature && b.humidity in this.scales.humidity)
+      .map(b => ({ id: b.id, elevation: b.elevation, temperature: this.scales.temperature[b.temperature], humidity: this.scales.humidity[b.humidity] }));
+  },
+
+  // Water cells only take biomes below elevation 0 and land cells only the rest, then the
+  // closest match on the remaining climate axes wins. `variety` is a low-frequency noise per
+  // candidate so biomes with identical climate (plains/forest) still form separate patches.
+  pickBiome(candidates, elevation, temperature, moisture, seaLevel, variety = () => 0) {
+    const water = elevation < seaLevel;
+    const elev = water ? -2 + Math.pow(elevation / (seaLevel || 1), 3) * 2 : Math.pow((elevation - seaLevel) / (1 - seaLevel || 1), 0.8) * 5;
+    const pool = candidates.filter(c => (c.elevation < 0) === water);
+    let best = null, bestScore = Infinity;
+    (pool.length ? pool : candidates).forEach((c, i) => {
+      const score = Math.abs(c.elevation - elev) / 2 + Math.abs(c.temperature - temperature) * 1.5 + Math.abs(c.humidity - moisture) + variety(i) * 0.3;
+      if (score < bestScore) { best = c; bestScore = score; }
+    });
+    return best;
+  }
+};
+
+window.Generator = Generator;
@@ -5,13 +5,50 @@
 const HexMap = {
   canvas: null,
   ctx: null,
+  overlay: null,
+  overlayCtx: null,
   container: null,
+  frame: null,
+  dirty: { base: false, overlay: false },
+  biomeCache: null,
+  tiles: new Map(),
+  textures: new Map(),
+  textureSize: 256,
+  patternVariants: 4,
+  fallbackBiome: { id: null, color: '#333' },
   
-  view: { offsetX: 0, offsetY: 0, zoom: 1, minZoom: 0.3, maxZoom: 3 },
+  view: { offsetX: 0, offsetY: 0, zoom: 1, defaultZoom: 1, minZoom: 0.3, maxZoom: 3 },
   hex: { size: 30, width: 0, height: 0 },
-  state: { isDragging: false, dragStart: {x:0,y:0}, viewStart: {x:0,y:0}, selectedHex: null, hoveredHex: null },
+  showGrid: true,
+  showCoordinates: false,
+  // Hex size the biome patterns are drawn for; they are scaled to the actual size.
+  patternSize: 30,
+  state: { isDragging: false, dragMoved: false, dragStart: {x:0,y:0}, viewStart: {x:0,y:0}, selectedHex: null, hoveredHex: null, selectedMarker: null, markerDrag: null, selectedFeature: null, hoveredPoint: null },
+  tool: { mode: 'select', biomeId: null, radius: 0, markerIcon: 'pin', pathType: 'river', snap: 'center', regionId: null },
+  stroke: null,
+  draft: null,
+  // Layer and path fields a slider is being dragged through, by id; drawn in place of the
+  // stored values until the slider is released and the edit is saved.
+  preview: {},
+  route: null,
+  playerMode: false,
+  sky: null,
+  markerIcons: {
+    pin: '📍', castle: '🏰', city: '🏙️', village: '🏘️', tower: '🗼', temple: '⛩️', ruins: '🏛️', cave: '🕳️',
+    port: '⚓', camp: '⛺', battle: '⚔️', treasure: '💰', dragon: '🐉', tree: '🌳', skull: '💀', star: '⭐'
+  },
   
   onHexSelect: null,
+  onPaint: null,
+  onMarkerClick: null,
+  onMarkerPlace: null,
+  onMarkerContext: null,
+  onPathCreate: null,
+  onRegionCreate: null,
+  onRouteClick: null,
+  
+  // Neighbour across each edge of a cell; edge i runs from cellCorners()[i] to [i + 1].
+  edgeNeighbors: [[1, 0], [0, 1], [-1, 1], [-1, 0], [0, -1], [1, -1]],
 
   init(containerId) {
     this.container = document.getElementById(containerId);
@@ -22,19 +59,53 @@ const HexMap = {
     this.container.appendChild(this.canvas);
     this.ctx = this.canvas.getContext('2d');
     
-    this.hex.width = this.hex.size * 2;
-    this.hex.height = Math.sqrt(3) * this.hex.size;
+    this.overlay = document.createElement('canvas');
+    this.overlay.className = 'hexmap-canvas hexmap-overlay';
+    this.container.appendChild(this.overlay);
+    this.overlayCtx = this.overlay.getContext('2d');
+    
+    this.setHexSize(this.hex.size);
+    this.view.zoom = this.view.defaultZoom;
     
     this.setupEvents();
     this.resize();
     window.addEventListener('resize', () => this.resize());
+    DB.on('change', d => this.onDataChange(d));
     this.centerView();
   },
 
+  // Display options from Settings; any left out keep their current value. A new hex size
+  // keeps the same spot of the map in the middle of the view.
+  configure({ hexSize = this.hex.size, showGrid = this.showGrid, showCoordinates = this.showCoordinates, defaultZoom = this.view.defaultZoom, minZoom = this.view.minZoom, maxZoom = this.view.maxZoom } = {}) {
+    const v = this.view;
+    v.minZoom = Math.min(minZoom, maxZoom);
+    v.maxZoom = Math.max(minZoom, maxZoom);
+    v.defaultZoom = Math.max(v.minZoom, Math.min(v.maxZoom, defaultZoom));
+    const resized = hexSize !== this.hex.size, regrid = showGrid !== this.showGrid;
+    this.showGrid = showGrid;
+    this.showCoordinates = showCoordinates;
+    if (!this.canvas) { this.setHexSize(hexSize); v.zoom = v.defaultZoom; return; }
+    const cx = this.canvas.width / 2, cy = this.canvas.height / 2;
+    const mx = (cx - v.offsetX) / v.zoom, my = (cy - v.offsetY) / v.zoom;
+    const k = hexSize / this.hex.size;
+    this.setHexSize(hexSize);
+    const zoom = Math.max(v.minZoom, Math.min(v.maxZoom, v.zoom));
+    v.offsetX = cx - mx * k * zoom;
+    v.offsetY = cy - my * k * zoom;
+    v.zoom = zoom;
+    if (resized || regrid) this.invalidate(); else this.render();
+  },
+
+  setHexSize(size) {
+    this.hex.size = size;
+    this.hex.width = size * 2;
+    this.hex.height = Math.sqrt(3) * size;
+  },
+
   resize() {
     const rect = this.container.getBoundingClientRect();
-    this.canvas.width = rect.width;
-    this.canvas.height = rect.height;
+    this.canvas.width = this.overlay.width = rect.width;
+    this.canvas.height = this.overlay.height = rect.height;
     this.render();
   },
 
@@ -47,13 +118,27 @@ const HexMap = {
     this.render();
   },
 
+  centerOn(q, r) {
+    const pos = this.hexToPixel(q, r);
+    this.view.offsetX = this.canvas.width / 2 - pos.x * this.view.zoom;
+    this.view.offsetY = this.canvas.height / 2 - pos.y * this.view.zoom;
+    this.render();
+  },
+
   setupEvents() {
     this.canvas.addEventListener('mousedown', e => this.onMouseDown(e));
     this.canvas.addEventListener('mousemove', e => this.onMouseMove(e));
     this.canvas.addEventListener('mouseup', () => this.onMouseUp());
-    this.canvas.addEventListener('mouseleave', () => this.onMouseUp());
+    this.canvas.addEventListener('mouseleave', () => this.onMouseLeave());
     this.canvas.addEventListener('wheel', e => this.onWheel(e));
     this.canvas.addEventListener('click', e => this.onClick(e));
+    this.canvas.addEventListener('dblclick', () => { if (this.tool.mode === 'path') this.finishPath(); });
+    this.canvas.addEventListener('contextmenu', e => {
+      const marker = this.markerAt(e);
+      if (!marker || !this.onMarkerContext) return;
+      e.preventDefault();
+      this.onMarkerContext(e, marker);
+    });
   },
 
   pixelToHex(px, py) {
@@ -61,16 +146,7 @@ const HexMap = {
     const y = (py - this.view.offsetY) / this.view.zoom;
     const q = (2/3 * x) / this.hex.size;
     const r = (-1/3 * x + Math.sqrt(3)/3 * y) / this.hex.size;
-    return this.roundHex(q, r);
-  },
-
-  roundHex(q, r) {
-    const s = -q - r;
-    let rq = Math.round(q), rr = Math.round(r), rs = Math.round(s);
-    const qD = Math.abs(rq - q), rD = Math.abs(rr - r), sD = Math.abs(rs - s);
-    if (qD > rD && qD > sD) rq = -rr - rs;
-    else if (rD > sD) rr = -rq - rs;
-    return { q: rq, r: rr };
+    return DB.roundHex(q, r);
   },
 
   hexToPixel(q, r) {
@@ -86,8 +162,166 @@ const HexMap = {
     return c;
   },
 
+  setTool(mode, opts = {}) {
+    if (mode !== this.tool.mode) this.draft = null;
+    this.tool = { ...this.tool, ...opts, mode };
+    this.stroke = null;
+    this.canvas.style.cursor = mode === 'select' ? 'grab' : 'crosshair';
+    this.render();
+  },
+
+  eventHex(e) {
+    const rect = this.canvas.getBoundingClientRect();
+    return this.pixelToHex(e.clientX - rect.left, e.clientY - rect.top);
+  },
+
+  // Paint strokes collect hexes in `stroke.hexes` and only hit the DB on mouseup,
+  // so a whole drag becomes one batched change.
+  beginStroke(hex, e) {
+    const { mode } = this.tool;
+    this.stroke = { start: hex, last: hex, hexes: new Map(), erase: (mode === 'reveal' || mode === 'region') && (e?.shiftKey || e?.altKey) };
+    if (mode === 'fill') this.addToStroke(this.floodRegion(hex));
+    else if (mode === 'line') this.addToStroke(DB.hexLine(hex, hex), true);
+    else this.addToStroke([hex], true);
+    this.renderOverlay();
+  },
+
+  addToStroke(hexes, stamp = false) {
+    const list = stamp && this.tool.radius > 0 ? hexes.flatMap(h => DB.hexRange(h, this.tool.radius)) : hexes;
+    list.forEach(h => this.stroke.hexes.set(DB.hexKey(h.q, h.r), h));
+  },
+
+  endStroke() {
+    const stroke = this.stroke;
+    this.stroke = null;
+    if (stroke && this.tool.mode === 'reveal') {
+      DB.setRevealed([...stroke.hexes.values()], !stroke.erase);
+      this.render();
+      return;
+    }
+    if (stroke && this.tool.mode === 'region') { this.paintRegion([...stroke.hexes.values()], stroke.erase); return; }
+    if (!stroke || !this.tool.biomeId) { this.render(); return; }
+    // Only hexes already on the map are painted; a stroke running off its edge does not grow it.
+    const changes = [...stroke.hexes.values()]
+      .filter(h => { const hex = DB.getHex(h.q, h.r); return hex && hex.biomeId !== this.tool.biomeId; })
+      .map(h => ({ q: h.q, r: h.r, biomeId: this.tool.biomeId }));
+    if (changes.length) DB.updateHexes(changes);
+    this.render();
+    if (changes.length && this.onPaint) this.onPaint(changes);
+  },
+
+  // Adds hexes to the region being painted (or removes them), or asks for a new region.
+  paintRegion(hexes, erase) {
+    const keys = hexes.map(h => DB.hexKey(h.q, h.r));
+    const region = DB.getRegion(this.tool.regionId);
+    if (region) {
+      const set = new Set(region.hexes);
+      if (keys.some(k => set.has(k) === erase)) {
+        keys.forEach(k => { if (erase) set.delete(k); else set.add(k); });
+        DB.updateRegion(region.id, { hexes: [...set] });
+      }
+    } else if (!erase && keys.length && this.onRegionCreate) this.onRegionCreate(keys);
+    this.render();
+  },
+
+  // Path drawing: clicks add points, double-click or Enter finishes, Escape cancels.
+  pathPointAt(e) {
+    const rect = this.canvas.getBoundingClientRect();
+    const sx = e.clientX - rect.left, sy = e.clientY - rect.top;
+    const hex = this.pixelToHex(sx, sy);
+    if (this.tool.snap !== 'edge') return hex;
+    const x = (sx - this.view.offsetX) / this.view.zoom, y = (sy - this.view.offsetY) / this.view.zoom;
+    const pos = this.hexToPixel(hex.q, hex.r);
+    const corners = this.cellCorners(pos.x, pos.y);
+    let corner = 0;
+    corners.forEach((c, i) => { if (Math.hypot(c.x - x, c.y - y) < Math.hypot(corners[corner].x - x, corners[corner].y - y)) corner = i; });
+    return { ...hex, corner };
+  },
+
+  samePoint(a, b) {
+    if (!a || !b) return false;
+    const pa = this.pointPosition(a), pb = this.pointPosition(b);
+    return Math.hypot(pa.x - pb.x, pa.y - pb.y) < 0.5;
+  },
+
+  addPathPoint(point) {
+    if (!this.draft) this.draft = { points: [] };
+    if (!this.samePoint(this.draft.points[this.draft.points.length - 1], point)) this.draft.points.push(point);
+    this.renderOverlay();
+  },
+
+  undoPathPoint() {
+    if (!this.draft?.points.length) return false;
+    this.draft.points.pop();
+    this.renderOverlay();
+    return true;
+  },
+
+  finishPath() {
+    const points = this.draft?.points || [];
+    this.draft = null;
+    if (points.length >= 2 && this.onPathCreate) this.onPathCreate(points);
+    this.render();
+  },
+
+  cancelPath() {
+    if (!this.draft) return false;
+    this.draft = null;
+    this.renderOverlay();
+    return true;
+  },
+
+  floodRegion(start) {
+    const origin = DB.getHex(start.q, start.r);
+    if (!origin) return [];
+    const seen = new Set([DB.hexKey(start.q, start.r)]);
+    const queue = [start];
+    for (let i = 0; i < queue.length; i++) {
+      const h = queue[i];
+      DB.hexNeighbors(h.q, h.r).forEach(n => {
+        const k = DB.hexKey(n.q, n.r);
+        if (seen.has(k)) return;
+        seen.add(k);
+        if (DB.getHex(n.q, n.r)?.biomeId === origin.biomeId) queue.push(n);
+      });
+    }
+    return queue;
+  },
+
+  markerPosition(m) {
+    const pos = this.hexToPixel(m.q, m.r);
+    return { x: pos.x, y: pos.y - 10 };
+  },
+
+  visibleMarkers() {
+    const markers = DB.getMarkers();
+    return this.playerMode ? markers.filter(m => m.visible !== false && DB.isRevealed(m.q, m.r)) : markers;
+  },
+
+  markerAt(e) {
+    const rect = this.canvas.getBoundingClientRect();
+    const x = (e.clientX - rect.left - this.view.offsetX) / this.view.zoom;
+    const y = (e.clientY - rect.top - this.view.offsetY) / this.view.zoom;
+    const markers = this.visibleMarkers();
+    for (let i = markers.length - 1; i >= 0; i--) {
+      const p = this.markerPosition(markers[i]);
+      if (Math.hypot(p.x - x, p.y - y) <= 11) return markers[i];
+    }
+    return null;
+  },
+
   onMouseDown(e) {
+    if (e.button === 0 && ['marker', 'path', 'route'].includes(this.tool.mode)) return;
+    if (e.button === 0 && this.tool.mode !== 'select') { this.beginStroke(this.eventHex(e), e); return; }
+    // Players only look at the map: a press on a marker pans like anywhere else.
+    const marker = e.button === 0 && !this.playerMode ? this.markerAt(e) : null;
+    if (marker) {
+      this.state.markerDrag = { id: marker.id, from: { q: marker.q, r: marker.r }, to: { q: marker.q, r: marker.r } };
+      this.canvas.style.cursor = 'move';
+      return;
+    }
     this.state.isDragging = true;
+    this.state.dragMoved = false;
     this.state.dragStart = { x: e.clientX, y: e.clientY };
     this.state.viewStart = { x: this.view.offsetX, y: this.view.offsetY };
     this.canvas.style.cursor = 'grabbing';
@@ -97,30 +331,79 @@ const HexMap = {
     const rect = this.canvas.getBoundingClientRect();
     const x = e.clientX - rect.left, y = e.clientY - rect.top;
     
-    if (this.state.isDragging) {
+    if (this.state.markerDrag) {
+      const hex = this.pixelToHex(x, y);
+      const drag = this.state.markerDrag;
+      if (drag.to.q !== hex.q || drag.to.r !== hex.r) { drag.to = hex; this.state.hoveredHex = hex; this.render(); }
+    } else if (this.stroke) {
+      const hex = this.pixelToHex(x, y);
+      this.state.hoveredHex = hex;
+      if (['brush', 'reveal', 'region'].includes(this.tool.mode)) { this.addToStroke(DB.hexLine(this.stroke.last, hex), true); this.stroke.last = hex; }
+      else if (this.tool.mode === 'line') { this.stroke.hexes.clear(); this.addToStroke(DB.hexLine(this.stroke.start, hex), true); }
+      this.renderOverlay();
+    } else if (this.state.isDragging) {
+      if (Math.abs(e.clientX - this.state.dragStart.x) + Math.abs(e.clientY - this.state.dragStart.y) > 3) this.state.dragMoved = true;
       this.view.offsetX = this.state.viewStart.x + e.clientX - this.state.dragStart.x;
       this.view.offsetY = this.state.viewStart.y + e.clientY - this.state.dragStart.y;
       this.render();
+    } else if (this.tool.mode === 'path') {
+      const point = this.pathPointAt(e);
+      if (!this.samePoint(point, this.state.hoveredPoint)) { this.state.hoveredPoint = point; this.renderOverlay(); }
     } else {
       const hex = this.pixelToHex(x, y);
       if (!this.state.hoveredHex || this.state.hoveredHex.q !== hex.q || this.state.hoveredHex.r !== hex.r) {
         this.state.hoveredHex = hex;
-        this.render();
+        this.renderOverlay();
       }
     }
   },
 
   onMouseUp() {
+    if (this.stroke) { this.endStroke(); return; }
+    const drag = this.state.markerDrag;
+    if (drag) {
+      this.state.markerDrag = null;
+      this.canvas.style.cursor = 'grab';
+      if (drag.to.q !== drag.from.q || drag.to.r !== drag.from.r) {
+        DB.updateMarker(drag.id, { q: drag.to.q, r: drag.to.r });
+        this.state.dragMoved = true;
+      } else this.state.dragMoved = false;
+      this.render();
+      return;
+    }
     this.state.isDragging = false;
+    this.canvas.style.cursor = this.tool.mode === 'select' ? 'grab' : 'crosshair';
+  },
+
+  // A marker dragged off the canvas goes back where it was; strokes and panning end as on release.
+  onMouseLeave() {
+    if (!this.state.markerDrag) { this.onMouseUp(); return; }
+    this.state.markerDrag = null;
+    this.state.dragMoved = false;
     this.canvas.style.cursor = 'grab';
+    this.render();
   },
 
   onClick(e) {
-    if (this.state.isDragging) return;
-    const rect = this.canvas.getBoundingClientRect();
-    const hex = this.pixelToHex(e.clientX - rect.left, e.clientY - rect.top);
+    if (this.state.dragMoved) { this.state.dragMoved = false; return; }
+    const hex = this.eventHex(e);
+    if (this.tool.mode === 'marker') { if (this.onMarkerPlace) this.onMarkerPlace(hex, this.tool.markerIcon); return; }
+    if (this.tool.mode === 'path') { this.addPathPoint(this.pathPointAt(e)); return; }
+    if (this.tool.mode === 'route') { if (this.onRouteClick) this.onRouteClick(hex); return; }
+    if (this.tool.mode !== 'select') return;
+    const marker = this.markerAt(e);
+    if (marker) {
+      this.state.selectedMarker = marker.id;
+      this.render();
+      if (this.onMarkerClick) this.onMarkerClick(marker);
+      return;
+    }
+    const hadMarker = this.state.selectedMarker;
     this.state.selectedHex = hex;
-    this.render();
+    this.state.selectedMarker = null;
+    this.state.selectedFeature = null;
+    if (hadMarker) this.render();
+    else this.renderOverlay();
     if (this.onHexSelect) this.onHexSelect(hex, DB.getHex(hex.q, hex.r));
   },
 
@@ -137,8 +420,81 @@ const HexMap = {
     this.render();
   },
 
+  // Repaints are coalesced into one animation frame. The overlay (hover, selection,
+  // stroke preview) can be redrawn on its own without touching the hex layer.
   render() {
-    if (!this.ctx) return;
+    this.dirty.base = true;
+    this.renderOverlay();
+  },
+
+  renderOverlay() {
+    this.dirty.overlay = true;
+    if (!this.ctx || this.frame) return;
+    this.frame = requestAnimationFrame(() => this.flush());
+  },
+
+  flush() {
+    this.frame = null;
+    if (this.dirty.base) this.drawBase();
+    if (this.dirty.overlay) this.drawOverlay();
+    this.dirty.base = this.dirty.overlay = false;
+  },
+
+  setPreview(id, d) {
+    this.preview[id] = { ...this.preview[id], ...d };
+    this.render();
+  },
+  clearPreview(id) { delete this.preview[id]; },
+  previewed(item) { return this.preview[item.id] ? { ...item, ...this.preview[item.id] } : item; },
+
+  onDataChange(d) {
+    if (!d) return;
+    if (d.type === 'open') this.textures.clear();
+    if (d.table === 'biomes' || d.table === 'textures' || ['import', 'reset', 'history', 'remote', 'open'].includes(d.type)) this.invalidate();
+    else if (['hexmap', 'markers', 'layers', 'paths', 'regions'].includes(d.table)) this.render();
+  },
+
+  // Drops the biome lookup and the prerendered tiles; called whenever biomes may have changed.
+  invalidate() {
+    this.biomeCache = null;
+    this.tiles.clear();
+    this.render();
+  },
+
+  biomeFor(id) {
+    if (!this.biomeCache) this.biomeCache = new Map((DB.data.biomes || []).map(b => [b.id, b]));
+    return this.biomeCache.get(id) || this.fallbackBiome;
+  },
+
+  // Axial bounds of the viewport in map space, padded by a row so edge hexes are not clipped.
+  visibleRange() {
+    const { offsetX, offsetY, zoom } = this.view;
+    const colW = this.hex.size * 1.5, rowH = this.hex.height;
+    const x0 = -offsetX / zoom, y0 = -offsetY / zoom;
+    const x1 = x0 + this.canvas.width / zoom, y1 = y0 + this.canvas.height / zoom;
+    return { qMin: Math.floor(x0 / colW) - 1, qMax: Math.ceil(x1 / colW) + 1, y0: y0 - rowH, y1: y1 + rowH, rowH };
+  },
+
+  inRange(range, q, r) {
+    if (q < range.qMin || q > range.qMax) return false;
+    const y = range.rowH * (r + q / 2);
+    return y >= range.y0 && y <= range.y1;
+  },
+
+  // Walks the visible axial range through the DB hex index instead of scanning every hex.
+  visibleHexes(range) {
+    const out = [];
+    for (let q = range.qMin; q <= range.qMax; q++) {
+      const rMin = Math.floor(range.y0 / range.rowH - q / 2), rMax = Math.ceil(range.y1 / range.rowH - q / 2);
+      for (let r = rMin; r <= rMax; r++) {
+        const hex = DB.getHex(q, r);
+        if (hex) out.push(hex);
+      }
+    }
+    return out;
+  },
+
+  drawBase() {
     const ctx = this.ctx, w = this.canvas.width, h = this.canvas.height;
     
     ctx.fillStyle = '#0a0a0f';
@@ -154,42 +510,366 @@ const HexMap = {
     ctx.translate(this.view.offsetX, this.view.offsetY);
     ctx.scale(this.view.zoom, this.view.zoom);
     
-    const hexes = DB.data.hexmap?.hexes || [];
-    const biomes = DB.data.biomes || [];
+    const range = this.visibleRange();
+    const hexes = this.visibleHexes(range);
+    
+    const fogAlpha = this.playerMode ? 1 : this.tool.mode === 'reveal' ? 0.55 : 0;
+    const fogged = hex => fogAlpha > 0 && !DB.isRevealed(hex.q, hex.r);
     
     hexes.forEach(hex => {
-      const biome = biomes.find(b => b.id === hex.biomeId) || { color: '#333' };
       const pos = this.hexToPixel(hex.q, hex.r);
-      this.drawHex(ctx, pos.x, pos.y, biome, hex);
+      if (this.playerMode && fogged(hex)) { this.stampTile(ctx, pos.x, pos.y, this.fogTile()); return; }
+      this.stampTile(ctx, pos.x, pos.y, this.biomeTile(this.biomeFor(hex.biomeId), this.hexVariant(hex.q, hex.r)));
+      if (fogged(hex)) {
+        ctx.globalAlpha = fogAlpha;
+        this.stampTile(ctx, pos.x, pos.y, this.fogTile());
+        ctx.globalAlpha = 1;
+      }
     });
     
-    if (this.state.hoveredHex) {
-      const pos = this.hexToPixel(this.state.hoveredHex.q, this.state.hoveredHex.r);
-      this.drawHexHighlight(ctx, pos.x, pos.y, 'rgba(255,255,255,0.2)');
-    }
-    
-    if (this.state.selectedHex) {
-      const pos = this.hexToPixel(this.state.selectedHex.q, this.state.selectedHex.r);
-      this.drawHexHighlight(ctx, pos.x, pos.y, 'rgba(99,102,241,0.5)');
-    }
+    this.drawLayers(ctx, (q, r) => !this.playerMode || DB.isRevealed(q, r), !this.playerMode);
+    if (this.sky) this.drawSky(ctx);
     
     hexes.forEach(hex => {
-      if (hex.label) {
+      if (hex.label && !(this.playerMode && fogged(hex))) {
         const pos = this.hexToPixel(hex.q, hex.r);
         this.drawHexLabel(ctx, pos.x, pos.y, hex.label);
       }
     });
+    // Only once the hexes are big enough on screen to fit the text.
+    if (this.showCoordinates && this.hex.size * this.view.zoom >= 18) {
+      ctx.font = '8px Inter, sans-serif';
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+      ctx.fillStyle = 'rgba(255,255,255,0.55)';
+      hexes.forEach(hex => {
+        const pos = this.hexToPixel(hex.q, hex.r);
+        ctx.fillText(`${hex.q},${hex.r}`, pos.x, pos.y + this.hex.size * 0.75);
+      });
+    }
+    
+    const drag = this.state.markerDrag;
+    this.visibleMarkers().forEach(m => {
+      const at = drag?.id === m.id ? drag.to : m;
+      if (!this.inRange(range, at.q, at.r)) return;
+      const pos = this.markerPosition({ q: at.q, r: at.r });
+      this.drawMarker(ctx, pos.x, pos.y, m, this.state.selectedMarker === m.id);
+    });
     
-    const markers = DB.data.hexmap?.markers || [];
-    markers.forEach(m => {
-      const pos = this.hexToPixel(m.q, m.r);
-      this.drawMarker(ctx, pos.x, pos.y, m);
+    ctx.restore();
+  },
+
+  setSky(sky) {
+    this.sky = sky;
+    this.render();
+  },
+
+  // Season tint plus day/night shading across the map's width, which spans one full turn
+  // of longitude; `sky.hour` is the time of day at the map's centre.
+  drawSky(ctx) {
+    const s = DB.data.hexmap?.settings || { width: 20, height: 15 };
+    const x0 = -this.hex.size, x1 = (s.width - 1) * this.hex.size * 1.5 + this.hex.size;
+    const y0 = -this.hex.height / 2, y1 = s.height * this.hex.height;
+    if (this.sky.tint) {
+      ctx.globalAlpha = 0.12;
+      ctx.fillStyle = this.sky.tint;
+      ctx.fillRect(x0, y0, x1 - x0, y1 - y0);
+      ctx.globalAlpha = 1;
+    }
+    const shade = ctx.createLinearGradient(x0, 0, x1, 0);
+    for (let i = 0; i <= 24; i++) {
+      const f = i / 24;
+      const altitude = -Math.cos((this.sky.hour + f - 0.5) * 2 * Math.PI);
+      shade.addColorStop(f, `rgba(8,10,30,${(Math.min(1, Math.max(0, (0.15 - altitude) / 0.3)) * 0.55).toFixed(3)})`);
+    }
+    ctx.fillStyle = shade;
+    ctx.fillRect(x0, y0, x1 - x0, y1 - y0);
+  },
+
+  // Corners of a hex's cell in the axial lattice. Unlike the drawn hex these are shared exactly
+  // with the neighbouring cells, so edge paths and region borders join up.
+  cellCorners(cx, cy) {
+    const c = [];
+    for (let i = 0; i < 6; i++) {
+      const a = Math.PI / 3 * i;
+      c.push({ x: cx + this.hex.size * Math.cos(a), y: cy + this.hex.size * Math.sin(a) });
+    }
+    return c;
+  },
+
+  pointPosition(p) {
+    const pos = this.hexToPixel(p.q, p.r);
+    return Number.isInteger(p.corner) ? this.cellCorners(pos.x, pos.y)[p.corner % 6] : pos;
+  },
+
+  // SVG path data (also used through Path2D) through `pts`; smooth paths curve through midpoints.
+  pathData(pts, smooth = false) {
+    if (pts.length < 2) return '';
+    const n = v => Math.round(v * 100) / 100;
+    const at = p => `${n(p.x)} ${n(p.y)}`;
+    if (!smooth || pts.length < 3) return `M${at(pts[0])}` + pts.slice(1).map(p => `L${at(p)}`).join('');
+    let d = `M${at(pts[0])}`;
+    for (let i = 1; i < pts.length - 1; i++) d += `Q${at(pts[i])} ${at({ x: (pts[i].x + pts[i + 1].x) / 2, y: (pts[i].y + pts[i + 1].y) / 2 })}`;
+    return d + `L${at(pts[pts.length - 1])}`;
+  },
+
+  // Stretches of a path whose points pass `include`, as pixel positions.
+  pathRuns(path, include = () => true) {
+    const runs = [[]];
+    path.points.forEach(p => {
+      if (include(p.q, p.r)) runs[runs.length - 1].push(this.pointPosition(p));
+      else if (runs[runs.length - 1].length) runs.push([]);
+    });
+    return runs.filter(r => r.length >= 2);
+  },
+
+  pathDash(path) {
+    const w = path.width || 3;
+    return path.style === 'dashed' ? [w * 3, w * 2] : path.style === 'dotted' ? [0.1, w * 2] : [];
+  },
+
+  // Fill (every cell) and border (cell edges not shared with another hex of the region) as SVG
+  // path data, plus the centre for the name. Null if no hex passes `include`.
+  regionShape(region, include = () => true) {
+    const set = new Set(region.hexes);
+    const n = v => Math.round(v * 100) / 100;
+    let fill = '', border = '', sx = 0, sy = 0, count = 0;
+    region.hexes.forEach(k => {
+      const [q, r] = k.split(',').map(Number);
+      if (!include(q, r)) return;
+      const pos = this.hexToPixel(q, r);
+      const c = this.cellCorners(pos.x, pos.y);
+      fill += `M${c.map(p => `${n(p.x)} ${n(p.y)}`).join('L')}Z`;
+      this.edgeNeighbors.forEach(([dq, dr], i) => {
+        if (set.has(DB.hexKey(q + dq, r + dr))) return;
+        const a = c[i], b = c[(i + 1) % 6];
+        border += `M${n(a.x)} ${n(a.y)}L${n(b.x)} ${n(b.y)}`;
+      });
+      sx += pos.x; sy += pos.y; count++;
+    });
+    return count ? { fill, border, center: { x: sx / count, y: sy / count } } : null;
+  },
+
+  // Overlay layers in draw order. `include(q, r)` leaves out what players have not explored;
+  // GM-only layers are skipped unless `gm`.
+  drawLayers(ctx, include = () => true, gm = true) {
+    DB.getLayers().map(l => this.previewed(l)).forEach(layer => {
+      if (layer.visible === false || (layer.gmOnly && !gm)) return;
+      ctx.save();
+      ctx.globalAlpha = layer.opacity ?? 1;
+      if (layer.kind === 'regions') DB.getRegions(layer.id).forEach(rg => this.drawRegion(ctx, rg, include));
+      else DB.getPaths(layer.id).forEach(pt => this.drawPath(ctx, this.previewed(pt), include));
+      ctx.restore();
+    });
+  },
+
+  drawRegion(ctx, region, include) {
+    const shape = this.regionShape(region, include);
+    if (!shape) return;
+    const alpha = ctx.globalAlpha;
+    ctx.globalAlpha = alpha * 0.25;
+    ctx.fillStyle = region.color;
+    ctx.fill(new Path2D(shape.fill));
+    ctx.globalAlpha = alpha;
+    ctx.strokeStyle = region.color;
+    ctx.lineWidth = 3;
+    ctx.lineCap = ctx.lineJoin = 'round';
+    ctx.stroke(new Path2D(shape.border));
+    if (region.name) {
+      ctx.font = 'italic 600 13px Inter, sans-serif';
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+      ctx.lineWidth = 3;
+      ctx.strokeStyle = 'rgba(0,0,0,0.7)';
+      ctx.strokeText(region.name.toUpperCase(), shape.center.x, shape.center.y);
+      ctx.fillStyle = '#fff';
+      ctx.fillText(region.name.toUpperCase(), shape.center.x, shape.center.y);
+    }
+  },
+
+  // Rivers curve through hex centres; roads get a dark casing so they read over any biome.
+  drawPath(ctx, path, include) {
+    const smooth = path.type !== 'road' && path.snap !== 'edge';
+    this.pathRuns(path, include).forEach(run => {
+      const p = new Path2D(this.pathData(run, smooth));
+      ctx.lineCap = ctx.lineJoin = 'round';
+      if (path.type === 'road') {
+        ctx.setLineDash([]);
+        ctx.strokeStyle = 'rgba(0,0,0,0.45)';
+        ctx.lineWidth = (path.width || 3) + 2;
+        ctx.stroke(p);
+      }
+      ctx.setLineDash(this.pathDash(path));
+      ctx.strokeStyle = path.color || '#3b82f6';
+      ctx.lineWidth = path.width || 3;
+      ctx.stroke(p);
+      ctx.setLineDash([]);
     });
+  },
+
+  drawOverlay() {
+    const ctx = this.overlayCtx;
+    ctx.clearRect(0, 0, this.overlay.width, this.overlay.height);
+    ctx.save();
+    ctx.translate(this.view.offsetX, this.view.offsetY);
+    ctx.scale(this.view.zoom, this.view.zoom);
+    
+    if (this.stroke && this.tool.mode === 'reveal') {
+      this.stroke.hexes.forEach(h => { const pos = this.hexToPixel(h.q, h.r); this.drawHexHighlight(ctx, pos.x, pos.y, this.stroke.erase ? 'rgba(0,0,0,0.5)' : 'rgba(255,255,255,0.25)'); });
+    } else if (this.stroke && this.tool.mode === 'region') {
+      ctx.globalAlpha = 0.5;
+      this.stroke.hexes.forEach(h => { const pos = this.hexToPixel(h.q, h.r); this.drawHexHighlight(ctx, pos.x, pos.y, this.stroke.erase ? 'rgba(0,0,0,0.6)' : DB.getRegion(this.tool.regionId)?.color || '#e11d48'); });
+      ctx.globalAlpha = 1;
+    } else if (this.stroke) {
+      const paint = this.biomeFor(this.tool.biomeId);
+      ctx.globalAlpha = 0.75;
+      this.stroke.hexes.forEach(h => { const pos = this.hexToPixel(h.q, h.r); this.stampTile(ctx, pos.x, pos.y, this.biomeTile(paint, this.hexVariant(h.q, h.r))); });
+      ctx.globalAlpha = 1;
+    }
     
+    if (this.tool.mode === 'path') this.drawDraft(ctx);
+    else if (this.state.hoveredHex) {
+      const hovered = ['brush', 'line', 'reveal', 'region'].includes(this.tool.mode) ? DB.hexRange(this.state.hoveredHex, this.tool.radius) : [this.state.hoveredHex];
+      hovered.forEach(h => {
+        const pos = this.hexToPixel(h.q, h.r);
+        this.drawHexHighlight(ctx, pos.x, pos.y, 'rgba(255,255,255,0.2)');
+      });
+    }
+    
+    if (this.state.selectedHex) {
+      const pos = this.hexToPixel(this.state.selectedHex.q, this.state.selectedHex.r);
+      this.drawHexHighlight(ctx, pos.x, pos.y, 'rgba(99,102,241,0.5)');
+    }
+    
+    this.drawFeatureHighlight(ctx);
+    this.drawRoute(ctx);
+    ctx.restore();
+  },
+
+  // `route` is { start, end, hexes } from the travel planner; the end and hexes are unset
+  // while only the start has been picked.
+  setRoute(route) {
+    this.route = route;
+    this.renderOverlay();
+  },
+
+  drawRoute(ctx) {
+    const route = this.route;
+    if (!route?.start) return;
+    ctx.save();
+    ctx.lineCap = ctx.lineJoin = 'round';
+    if (route.hexes?.length > 1) {
+      const line = new Path2D(this.pathData(route.hexes.map(h => this.hexToPixel(h.q, h.r))));
+      ctx.strokeStyle = 'rgba(0,0,0,0.6)';
+      ctx.lineWidth = 6;
+      ctx.stroke(line);
+      ctx.strokeStyle = '#facc15';
+      ctx.lineWidth = 3;
+      ctx.setLineDash([8, 6]);
+      ctx.stroke(line);
+      ctx.setLineDash([]);
+    }
+    [[route.start, '#22c55e'], [route.end, '#ef4444']].forEach(([h, color]) => {
+      if (!h) return;
+      const pos = this.hexToPixel(h.q, h.r);
+      ctx.beginPath();
+      ctx.arc(pos.x, pos.y, 6, 0, Math.PI * 2);
+      ctx.fillStyle = color;
+      ctx.fill();
+      ctx.lineWidth = 2;
+      ctx.strokeStyle = '#fff';
+      ctx.stroke();
+    });
     ctx.restore();
   },
 
-  drawHex(ctx, cx, cy, biome) {
+  // The path being drawn, with a rubber-band segment to the point under the cursor.
+  drawDraft(ctx) {
+    const points = [...(this.draft?.points || [])];
+    if (this.state.hoveredPoint) points.push(this.state.hoveredPoint);
+    if (!points.length) return;
+    const preview = { ...DB.pathDefaults[this.tool.pathType === 'road' ? 'road' : 'river'], type: this.tool.pathType, snap: this.tool.snap, points };
+    ctx.save();
+    ctx.globalAlpha = 0.8;
+    this.drawPath(ctx, preview);
+    ctx.fillStyle = '#fff';
+    points.forEach(p => { const pos = this.pointPosition(p); ctx.beginPath(); ctx.arc(pos.x, pos.y, 3, 0, Math.PI * 2); ctx.fill(); });
+    ctx.restore();
+  },
+
+  drawFeatureHighlight(ctx) {
+    const f = this.state.selectedFeature;
+    if (!f) return;
+    ctx.save();
+    ctx.strokeStyle = 'rgba(255,255,255,0.8)';
+    ctx.lineCap = ctx.lineJoin = 'round';
+    ctx.setLineDash([6, 4]);
+    if (f.type === 'region') {
+      const shape = DB.getRegion(f.id) && this.regionShape(DB.getRegion(f.id));
+      if (shape) { ctx.lineWidth = 1.5; ctx.stroke(new Path2D(shape.border)); }
+    } else {
+      const path = DB.getPath(f.id) && this.previewed(DB.getPath(f.id));
+      if (path) {
+        ctx.lineWidth = (path.width || 3) + 4;
+        ctx.globalAlpha = 0.5;
+        this.pathRuns(path).forEach(run => ctx.stroke(new Path2D(this.pathData(run, path.type !== 'road' && path.snap !== 'edge'))));
+      }
+    }
+    ctx.restore();
+  },
+
+  // Tiles are rendered at the next power of two above the current zoom so they stay sharp
+  // without re-rendering on every wheel tick.
+  tileScale() {
+    return Math.min(4, Math.pow(2, Math.ceil(Math.log2(Math.max(0.5, this.view.zoom)))));
+  },
+
+  getTile(key, paint) {
+    const scale = this.tileScale();
+    const id = `${key}@${scale}`;
+    let tile = this.tiles.get(id);
+    if (!tile) {
+      const half = this.hex.size + 2;
+      tile = document.createElement('canvas');
+      tile.width = tile.height = Math.ceil(half * 2 * scale);
+      const tctx = tile.getContext('2d');
+      tctx.scale(scale, scale);
+      paint(tctx, half, half);
+      this.tiles.set(id, tile);
+    }
+    return tile;
+  },
+
+  stampTile(ctx, cx, cy, tile) {
+    const half = this.hex.size + 2;
+    ctx.drawImage(tile, cx - half, cy - half, half * 2, half * 2);
+  },
+
+  biomeTile(biome, variant) {
+    return this.getTile(`biome:${biome.id}:${variant}`, (ctx, cx, cy) => this.drawHex(ctx, cx, cy, biome, variant));
+  },
+
+  fogTile() {
+    return this.getTile('fog', (ctx, cx, cy) => this.drawFog(ctx, cx, cy, 1));
+  },
+
+  // Each hex picks one of a few pattern variants from its coordinates, so the map looks
+  // varied but identical on every repaint.
+  hexVariant(q, r) {
+    return ((Math.imul(q, 73856093) ^ Math.imul(r, 19349663)) >>> 0) % this.patternVariants;
+  },
+
+  seededRandom(seed) {
+    let a = seed >>> 0;
+    return () => {
+      a = (a + 0x6D2B79F5) >>> 0;
+      let t = Math.imul(a ^ (a >>> 15), a | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  },
+
+  drawHex(ctx, cx, cy, biome, variant = 0) {
     const corners = this.getHexCorners(cx, cy);
     ctx.beginPath();
     ctx.moveTo(corners[0].x, corners[0].y);
@@ -197,7 +877,9 @@ const HexMap = {
     ctx.closePath();
     ctx.fillStyle = biome.color;
     ctx.fill();
-    this.drawBiomePattern(ctx, cx, cy, biome.pattern);
+    this.drawTexture(ctx, cx, cy, biome);
+    this.drawBiomePattern(ctx, cx, cy, biome.pattern, this.seededRandom(variant + 1));
+    if (!this.showGrid) return;
     ctx.strokeStyle = 'rgba(0,0,0,0.5)';
     ctx.lineWidth = 2;
     ctx.stroke();
@@ -206,11 +888,60 @@ const HexMap = {
     ctx.stroke();
   },
 
-  drawBiomePattern(ctx, cx, cy, pattern) {
+  // Uploaded textures are decoded once per id; tiles are rebuilt when one finishes loading.
+  loadTexture(id) {
+    let entry = this.textures.get(id);
+    if (!entry) {
+      const tex = DB.getTexture(id);
+      if (!tex) return Promise.resolve(null);
+      const img = new Image();
+      entry = { img, loaded: false };
+      entry.ready = new Promise(resolve => {
+        img.onload = () => { entry.loaded = true; resolve(img); };
+        img.onerror = () => resolve(null);
+      });
+      img.src = tex.data;
+      this.textures.set(id, entry);
+    }
+    return entry.ready;
+  },
+
+  textureImage(id) {
+    if (!id) return null;
+    const entry = this.textures.get(id);
+    if (entry) return entry.loaded ? entry.img : null;
+    this.loadTexture(id).then(img => { if (img) { this.invalidate(); this.render(); } });
+    return null;
+  },
+
+  // Shrinks an uploaded image to at most `textureSize` pixels a side, as a PNG data URL.
+  textureData(img) {
+    const k = Math.min(1, this.textureSize / Math.max(img.width, img.height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(img.width * k));
+    canvas.height = Math.max(1, Math.round(img.height * k));
+    canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+    return canvas.toDataURL('image/png');
+  },
+
+  // Covers the current hex path with the biome's texture, if it has one and it has loaded.
+  drawTexture(ctx, cx, cy, biome) {
+    const img = this.textureImage(biome.texture);
+    if (!img) return;
+    const k = this.hex.size * 2 / Math.min(img.width, img.height);
     ctx.save();
-    ctx.globalAlpha = 0.3;
-    switch (pattern) {
-      case 'waves':
+    ctx.clip();
+    ctx.drawImage(img, cx - img.width * k / 2, cy - img.height * k / 2, img.width * k, img.height * k);
+    ctx.restore();
+  },
+
+  // Biome fill patterns by id, drawn over the biome colour at 30% opacity. `draw(ctx, cx, cy, rand)`
+  // gets the hex centre and a seeded random source; add more with registerPattern.
+  patterns: {
+    solid: { label: 'Solid', draw: null },
+    waves: {
+      label: 'Waves',
+      draw(ctx, cx, cy) {
         for (let i = -2; i <= 2; i++) {
           ctx.beginPath();
           ctx.moveTo(cx - 20, cy + i * 8);
@@ -220,11 +951,25 @@ const HexMap = {
           ctx.lineWidth = 1;
           ctx.stroke();
         }
-        break;
-      case 'trees':
+      }
+    },
+    dots: {
+      label: 'Dots',
+      draw(ctx, cx, cy, rand) {
+        ctx.fillStyle = 'rgba(255,255,255,0.5)';
+        for (let i = 0; i < 7; i++) {
+          ctx.beginPath();
+          ctx.arc(cx + (rand() - 0.5) * 34, cy + (rand() - 0.5) * 30, 1.5, 0, Math.PI * 2);
+          ctx.fill();
+        }
+      }
+    },
+    trees: {
+      label: 'Trees',
+      draw(ctx, cx, cy, rand) {
         for (let i = 0; i < 3; i++) {
-          const tx = cx + (Math.random() - 0.5) * 30;
-          const ty = cy + (Math.random() - 0.5) * 30;
+          const tx = cx + (rand() - 0.5) * 30;
+          const ty = cy + (rand() - 0.5) * 30;
           ctx.beginPath();
           ctx.moveTo(tx, ty - 6);
           ctx.lineTo(tx - 4, ty + 4);
@@ -233,8 +978,11 @@ const HexMap = {
           ctx.fillStyle = 'rgba(0,50,0,0.5)';
           ctx.fill();
         }
-        break;
-      case 'peaks':
+      }
+    },
+    peaks: {
+      label: 'Peaks',
+      draw(ctx, cx, cy) {
         ctx.beginPath();
         ctx.moveTo(cx - 10, cy + 8);
         ctx.lineTo(cx - 5, cy - 8);
@@ -244,27 +992,36 @@ const HexMap = {
         ctx.strokeStyle = 'rgba(255,255,255,0.5)';
         ctx.lineWidth = 2;
         ctx.stroke();
-        break;
-      case 'dunes':
+      }
+    },
+    dunes: {
+      label: 'Dunes',
+      draw(ctx, cx, cy) {
         for (let i = -1; i <= 1; i++) {
           ctx.beginPath();
           ctx.ellipse(cx + i * 12, cy, 10, 4, 0, 0, Math.PI);
           ctx.strokeStyle = 'rgba(200,150,50,0.5)';
           ctx.stroke();
         }
-        break;
-      case 'snow':
+      }
+    },
+    snow: {
+      label: 'Snow',
+      draw(ctx, cx, cy, rand) {
         for (let i = 0; i < 5; i++) {
           ctx.beginPath();
-          ctx.arc(cx + (Math.random() - 0.5) * 30, cy + (Math.random() - 0.5) * 30, 2, 0, Math.PI * 2);
+          ctx.arc(cx + (rand() - 0.5) * 30, cy + (rand() - 0.5) * 30, 2, 0, Math.PI * 2);
           ctx.fillStyle = 'rgba(255,255,255,0.6)';
           ctx.fill();
         }
-        break;
-      case 'marsh':
+      }
+    },
+    marsh: {
+      label: 'Marsh',
+      draw(ctx, cx, cy, rand) {
         for (let i = 0; i < 4; i++) {
-          const mx = cx + (Math.random() - 0.5) * 25;
-          const my = cy + (Math.random() - 0.5) * 25;
+          const mx = cx + (rand() - 0.5) * 25;
+          const my = cy + (rand() - 0.5) * 25;
           ctx.beginPath();
           ctx.moveTo(mx, my + 5);
           ctx.lineTo(mx, my - 5);
@@ -272,17 +1029,23 @@ const HexMap = {
           ctx.lineWidth = 2;
           ctx.stroke();
         }
-        break;
-      case 'lava':
+      }
+    },
+    lava: {
+      label: 'Lava',
+      draw(ctx, cx, cy) {
         ctx.beginPath();
         ctx.arc(cx, cy, 8, 0, Math.PI * 2);
         ctx.fillStyle = 'rgba(255,100,0,0.5)';
         ctx.fill();
-        break;
-      case 'crystals':
+      }
+    },
+    crystals: {
+      label: 'Crystals',
+      draw(ctx, cx, cy, rand) {
         for (let i = 0; i < 3; i++) {
-          const cx2 = cx + (Math.random() - 0.5) * 20;
-          const cy2 = cy + (Math.random() - 0.5) * 20;
+          const cx2 = cx + (rand() - 0.5) * 20;
+          const cy2 = cy + (rand() - 0.5) * 20;
           ctx.beginPath();
           ctx.moveTo(cx2, cy2 - 6);
           ctx.lineTo(cx2 - 3, cy2 + 3);
@@ -291,7 +1054,44 @@ const HexMap = {
           ctx.fillStyle = 'rgba(200,150,255,0.5)';
           ctx.fill();
         }
-        break;
+      }
+    }
+  },
+
+  registerPattern(id, label, draw) {
+    this.patterns[id] = { label, draw };
+    this.invalidate();
+  },
+
+  drawBiomePattern(ctx, cx, cy, pattern, rand = this.seededRandom(1)) {
+    const draw = this.patterns[pattern]?.draw;
+    if (!draw) return;
+    const k = this.hex.size / this.patternSize;
+    ctx.save();
+    ctx.globalAlpha = 0.3;
+    if (k !== 1) { ctx.translate(cx, cy); ctx.scale(k, k); ctx.translate(-cx, -cy); }
+    draw.call(this, ctx, cx, cy, rand);
+    ctx.restore();
+  },
+
+  drawFog(ctx, cx, cy, alpha) {
+    const corners = this.getHexCorners(cx, cy);
+    ctx.save();
+    ctx.globalAlpha = alpha;
+    ctx.beginPath();
+    ctx.moveTo(corners[0].x, corners[0].y);
+    for (let i = 1; i < 6; i++) ctx.lineTo(corners[i].x, corners[i].y);
+    ctx.closePath();
+    ctx.fillStyle = '#14141c';
+    ctx.fill();
+    ctx.clip();
+    ctx.strokeStyle = 'rgba(255,255,255,0.05)';
+    ctx.lineWidth = 1;
+    for (let d = -this.hex.size * 2; d <= this.hex.size * 2; d += 6) {
+      ctx.beginPath();
+      ctx.moveTo(cx + d - this.hex.size, cy - this.hex.size);
+      ctx.lineTo(cx + d + this.hex.size, cy + this.hex.size);
+      ctx.stroke();
     }
     ctx.restore();
   },
@@ -320,17 +1120,34 @@ const HexMap = {
     ctx.fillText(label, cx, cy);
   },
 
-  drawMarker(ctx, cx, cy, marker) {
-    const icons = { castle: '🏰', tree: '🌳', skull: '💀', star: '⭐' };
-    ctx.font = '16px serif';
+  drawMarker(ctx, cx, cy, marker, selected = false, named = this.view.zoom >= 0.8) {
+    ctx.save();
+    if (marker.visible === false) ctx.globalAlpha = 0.45;
+    ctx.beginPath();
+    ctx.arc(cx, cy, 11, 0, Math.PI * 2);
+    ctx.fillStyle = marker.color || 'rgba(0,0,0,0.6)';
+    ctx.fill();
+    ctx.strokeStyle = selected ? '#fff' : 'rgba(0,0,0,0.6)';
+    ctx.lineWidth = selected ? 2 : 1;
+    ctx.stroke();
+    ctx.font = '13px serif';
     ctx.textAlign = 'center';
     ctx.textBaseline = 'middle';
-    ctx.fillText(icons[marker.icon] || '📍', cx, cy - 10);
+    ctx.fillText(this.markerIcons[marker.icon] || this.markerIcons.pin, cx, cy + 1);
+    if (marker.name && named) {
+      ctx.font = '600 9px Inter, sans-serif';
+      ctx.lineWidth = 3;
+      ctx.strokeStyle = 'rgba(0,0,0,0.8)';
+      ctx.strokeText(marker.name, cx, cy + 19);
+      ctx.fillStyle = '#fff';
+      ctx.fillText(marker.name, cx, cy + 19);
+    }
+    ctx.restore();
   },
 
   zoomIn() { this.view.zoom = Math.min(this.view.maxZoom, this.view.zoom * 1.2); this.render(); },
   zoomOut() { this.view.zoom = Math.max(this.view.minZoom, this.view.zoom / 1.2); this.render(); },
-  resetView() { this.view.zoom = 1; this.centerView(); }
+  resetView() { this.view.zoom = this.view.defaultZoom; this.centerView(); }
 };
 
 window.HexMap = HexMap;
\ No newline at end of file
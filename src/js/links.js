@@ -0,0 +1,138 @@
+/**
+ * Ourotus Atlas - Wiki Links Module v2.0
+ *
+ * Parses `[[Page Title]]`, `[[Page Title|label]]` and `[[hex:q,r]]` links in page content
+ * and keeps a reverse index (target -> linking page ids) for "Referenced by" lists.
+ */
+
+const Links = {
+  pattern: /\[\[([^[\]|]+?)(?:\|([^[\]]+?))?\]\]/g,
+  hexPattern: /^hex:\s*(-?\d+)\s*,\s*(-?\d+)$/i,
+  // `:::secret` ... `:::` blocks are GM notes. One that is never closed runs to the end of the
+  // page, so a forgotten closing line hides too much rather than showing players the secret.
+  secretPattern: /^:::secret[^\n]*(?:\n|$)([\s\S]*?)(?:^:::[ \t]*$|(?![\s\S]))/gm,
+  index: new Map(),
+  outgoing: new Map(),
+  titles: new Map(),
+  pageFilter: null,
+  // Whether the hex at q,r may be named; links to other hexes show only their coordinates.
+  hexFilter: null,
+
+  init() {
+    this.rebuild();
+    DB.on('change', d => this.onChange(d));
+  },
+
+  onChange(d) {
+    if (d?.table === 'pages' && d.item) {
+      if (d.type === 'delete') this.removePage(d.item.id);
+      else this.indexPage(d.item);
+      if (d.type !== 'update' || d.prev?.title !== d.item.title) this.rebuildTitles();
+    } else if (['import', 'reset', 'history', 'remote', 'open'].includes(d?.type) || (d?.type === 'delete' && (d.table === 'sections' || d.table === 'notebooks'))) {
+      this.rebuild();
+    }
+  },
+
+  // Replaces each secret block in `content` with what `fn(body)` returns.
+  replaceSecrets(content, fn) {
+    return String(content || '').replace(this.secretPattern, (m, body) => fn(body));
+  },
+
+  parse(content) {
+    const links = [];
+    this.stripCode(content || '').replace(this.pattern, (raw, target, label) => {
+      links.push(this.toLink(target.trim(), label?.trim()));
+      return raw;
+    });
+    return links;
+  },
+
+  toLink(target, label) {
+    const hex = target.match(this.hexPattern);
+    if (hex) {
+      const q = parseInt(hex[1], 10), r = parseInt(hex[2], 10);
+      return { type: 'hex', key: `hex:${q},${r}`, q, r, label };
+    }
+    return { type: 'page', key: `page:${target.toLowerCase()}`, title: target, label };
+  },
+
+  // Code spans and fenced blocks are blanked out so `[[...]]` inside them is not treated as a link.
+  stripCode(content) {
+    return content.replace(/```[\s\S]*?```|`[^`\n]*`/g, m => ' '.repeat(m.length));
+  },
+
+  rebuild() {
+    this.index.clear();
+    this.outgoing.clear();
+    DB.data.pages.forEach(p => this.indexPage(p));
+    this.rebuildTitles();
+  },
+
+  rebuildTitles() {
+    this.titles.clear();
+    DB.data.pages.forEach(p => { if (p.title) this.titles.set(p.title.trim().toLowerCase(), p.id); });
+  },
+
+  indexPage(page) {
+    this.removePage(page.id);
+    const keys = [...new Set(this.parse(page.content).map(l => l.key))];
+    this.outgoing.set(page.id, keys);
+    keys.forEach(k => {
+      if (!this.index.has(k)) this.index.set(k, new Set());
+      this.index.get(k).add(page.id);
+    });
+  },
+
+  removePage(id) {
+    (this.outgoing.get(id) || []).forEach(k => {
+      const set = this.index.get(k);
+      if (!set) return;
+      set.delete(id);
+      if (!set.size) this.index.delete(k);
+    });
+    this.outgoing.delete(id);
+  },
+
+  findPageByTitle(title) { return DB.getPage(this.titles.get(title.trim().toLowerCase())); },
+
+  backlinksForPage(page) {
+    if (!page) return [];
+    const ids = this.index.get(`page:${page.title.trim().toLowerCase()}`) || [];
+    return [...ids].filter(id => id !== page.id).map(id => DB.getPage(id)).filter(Boolean);
+  },
+
+  backlinksForHex(q, r) {
+    return [...(this.index.get(`hex:${q},${r}`) || [])].map(id => DB.getPage(id)).filter(Boolean);
+  },
+
+  // Replaces links with anchors ahead of Markdown rendering; marked passes inline HTML through.
+  render(content) {
+    const src = content || '';
+    const masked = this.stripCode(src);
+    let out = '', last = 0;
+    masked.replace(this.pattern, (raw, target, label, offset) => {
+      out += src.slice(last, offset) + this.renderLink(this.toLink(target.trim(), label?.trim()));
+      last = offset + raw.length;
+      return raw;
+    });
+    return out + src.slice(last);
+  },
+
+  renderLink(link) {
+    if (link.type === 'hex') {
+      const hex = DB.getHex(link.q, link.r);
+      const named = !this.hexFilter || this.hexFilter(link.q, link.r);
+      const text = link.label || (named && hex?.label) || `Hex (${link.q}, ${link.r})`;
+      return `<a href="#" class="wiki-link hex-link${hex ? '' : ' broken'}" data-hex="${link.q},${link.r}" title="${hex ? 'Show on map' : 'Hex not on map'}">${this.esc(text)}</a>`;
+    }
+    const page = this.findPageByTitle(link.title);
+    const text = link.label || link.title;
+    if (page && this.pageFilter && !this.pageFilter(page)) return this.esc(link.label || link.title);
+    if (!page) return `<a href="#" class="wiki-link broken" data-missing="${this.esc(link.title)}" title="Page not found">${this.esc(text)}</a>`;
+    return `<a href="#" class="wiki-link" data-page="${page.id}">${this.esc(text)}</a>`;
+  },
+
+  esc(s) { return String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;'); }
+};
+
+window.Links = Links;
@@ -0,0 +1,321 @@
+/**
+ * Ourotus Atlas - Map Export Module v2.0
+ *
+ * Renders the whole hexmap outside the live view: a PNG at a chosen scale, an SVG built from
+ * the same hexToPixel/getHexCorners geometry, and a print layout of overlapping page tiles.
+ * Drawing is synchronous and vector (no cached tiles), so any scale stays sharp.
+ */
+
+const MapExport = {
+  defaults: { format: 'png', scale: 2, labels: true, markers: true, layers: true, grid: true, fog: false, coords: false, paper: 'a4', orientation: 'landscape', hexMm: 12, overlapMm: 10, hexDistance: '' },
+  papers: { a4: [210, 297], a3: [297, 420], letter: [215.9, 279.4] },
+  // Browsers refuse (or silently blank) canvases much past these.
+  maxSide: 16384,
+  maxArea: 16384 * 8192,
+  printDpi: 150,
+  background: '#0a0a0f',
+
+  hexes() { return DB.data.hexmap?.hexes || []; },
+
+  isFogged(hex, opts) { return opts.fog && !DB.isRevealed(hex.q, hex.r); },
+
+  // Layer filter for HexMap.drawLayers/regionShape/pathRuns: with fog on, only explored hexes.
+  layerFilter(opts) { return (q, r) => !opts.fog || DB.isRevealed(q, r); },
+
+  // With fog on, the export shows what players see: hidden markers and unexplored hexes are left out.
+  markers(opts) {
+    return DB.getMarkers().filter(m => !opts.fog || (m.visible !== false && DB.isRevealed(m.q, m.r)));
+  },
+
+  // Map-space rectangle around every hex, with room for labels and markers at the edges.
+  bounds(margin = HexMap.hex.size) {
+    const hexes = this.hexes();
+    if (!hexes.length) return null;
+    let x0 = Infinity, y0 = Infinity, x1 = -Infinity, y1 = -Infinity;
+    hexes.forEach(h => {
+      const p = HexMap.hexToPixel(h.q, h.r);
+      x0 = Math.min(x0, p.x); x1 = Math.max(x1, p.x); y0 = Math.min(y0, p.y); y1 = Math.max(y1, p.y);
+    });
+    const pad = HexMap.hex.size + margin;
+    return { x: x0 - pad, y: y0 - pad, width: x1 - x0 + pad * 2, height: y1 - y0 + pad * 2 };
+  },
+
+  // Draws the part of the map inside `rect` (map space). The caller sets up the transform.
+  draw(ctx, opts, rect) {
+    const size = HexMap.hex.size;
+    const inside = (x, y) => x >= rect.x - size * 2 && x <= rect.x + rect.width + size * 2 && y >= rect.y - size * 2 && y <= rect.y + rect.height + size * 2;
+    const hexes = this.hexes().map(h => ({ hex: h, pos: HexMap.hexToPixel(h.q, h.r) })).filter(({ pos }) => inside(pos.x, pos.y));
+    ctx.fillStyle = opts.background || this.background;
+    ctx.fillRect(rect.x, rect.y, rect.width, rect.height);
+
+    hexes.forEach(({ hex, pos }) => {
+      if (this.isFogged(hex, opts)) { HexMap.drawFog(ctx, pos.x, pos.y, 1); return; }
+      const biome = HexMap.biomeFor(hex.biomeId);
+      this.hexPath(ctx, pos.x, pos.y);
+      ctx.fillStyle = biome.color;
+      ctx.fill();
+      HexMap.drawTexture(ctx, pos.x, pos.y, biome);
+      HexMap.drawBiomePattern(ctx, pos.x, pos.y, biome.pattern, HexMap.seededRandom(HexMap.hexVariant(hex.q, hex.r) + 1));
+    });
+    if (opts.grid) {
+      ctx.lineWidth = 1.5;
+      ctx.strokeStyle = 'rgba(0,0,0,0.5)';
+      hexes.forEach(({ pos }) => { this.hexPath(ctx, pos.x, pos.y); ctx.stroke(); });
+    }
+    if (opts.layers) HexMap.drawLayers(ctx, this.layerFilter(opts), !opts.fog);
+    if (opts.coords) {
+      ctx.font = '7px Inter, sans-serif';
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'alphabetic';
+      ctx.fillStyle = 'rgba(255,255,255,0.6)';
+      hexes.forEach(({ hex, pos }) => ctx.fillText(`${hex.q},${hex.r}`, pos.x, pos.y + size * 0.75));
+    }
+    if (opts.labels) {
+      hexes.forEach(({ hex, pos }) => { if (hex.label && !this.isFogged(hex, opts)) HexMap.drawHexLabel(ctx, pos.x, pos.y, hex.label); });
+    }
+    if (opts.markers) {
+      this.markers(opts).forEach(m => {
+        const pos = HexMap.markerPosition(m);
+        if (inside(pos.x, pos.y)) HexMap.drawMarker(ctx, pos.x, pos.y, m, false, true);
+      });
+    }
+  },
+
+  hexPath(ctx, cx, cy) {
+    const corners = HexMap.getHexCorners(cx, cy);
+    ctx.beginPath();
+    ctx.moveTo(corners[0].x, corners[0].y);
+    for (let i = 1; i < 6; i++) ctx.lineTo(corners[i].x, corners[i].y);
+    ctx.closePath();
+  },
+
+  // Largest scale not above the requested one that the browser can allocate.
+  fitScale(b, scale) {
+    return Math.min(scale, this.maxSide / b.width, this.maxSide / b.height, Math.sqrt(this.maxArea / (b.width * b.height)));
+  },
+
+  toCanvas(opts) {
+    const b = this.bounds();
+    if (!b) throw new Error('The map is empty');
+    const scale = this.fitScale(b, opts.scale);
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.ceil(b.width * scale);
+    canvas.height = Math.ceil(b.height * scale);
+    const ctx = canvas.getContext('2d');
+    ctx.scale(scale, scale);
+    ctx.translate(-b.x, -b.y);
+    this.draw(ctx, opts, b);
+    return { canvas, scale };
+  },
+
+  // Resolves to the scale actually used, which is lower than asked for on very large maps.
+  async exportPNG(opts) {
+    const { canvas, scale } = this.toCanvas(opts);
+    const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+    if (!blob) throw new Error('Could not encode the image');
+    this.download(blob, this.fileName('png'));
+    return scale;
+  },
+
+  toSVG(opts) {
+    const b = this.bounds();
+    if (!b) throw new Error('The map is empty');
+    const n = v => Math.round(v * 100) / 100;
+    const esc = s => String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    const biomes = [...new Set(this.hexes().map(h => h.biomeId))].map(id => HexMap.biomeFor(id));
+    const cls = new Map(biomes.map((bm, i) => [bm.id, `b${i}`]));
+    const points = HexMap.getHexCorners(0, 0).map(p => `${n(p.x)},${n(p.y)}`).join(' ');
+    const out = [
+      `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" viewBox="${n(b.x)} ${n(b.y)} ${n(b.width)} ${n(b.height)}" width="${Math.ceil(b.width * opts.scale)}" height="${Math.ceil(b.height * opts.scale)}">`,
+      `<title>${esc(DB.data.meta?.name || 'Ourotus Atlas')}</title>`,
+      '<style>',
+      `.hex{stroke:${opts.grid ? 'rgba(0,0,0,0.5)' : 'none'};stroke-width:1.5}`,
+      '.fog{fill:#14141c}',
+      ...biomes.map(bm => `.${cls.get(bm.id)}{fill:${bm.color}}`),
+      '.label{font:bold 10px Inter,sans-serif;fill:#fff;text-anchor:middle;dominant-baseline:middle}',
+      '.label-bg{fill:rgba(0,0,0,0.7)}',
+      '.coord{font:7px Inter,sans-serif;fill:rgba(255,255,255,0.6);text-anchor:middle}',
+      '.marker-name{font:600 9px Inter,sans-serif;fill:#fff;text-anchor:middle;dominant-baseline:middle;stroke:rgba(0,0,0,0.8);stroke-width:3px;paint-order:stroke}',
+      '.marker-icon{font:13px serif;text-anchor:middle;dominant-baseline:middle}',
+      '.region-name{font:italic 600 13px Inter,sans-serif;fill:#fff;text-anchor:middle;dominant-baseline:middle;stroke:rgba(0,0,0,0.7);stroke-width:3px;paint-order:stroke}',
+      '</style>',
+      `<defs><polygon id="hex" points="${points}"/></defs>`,
+      `<rect x="${n(b.x)}" y="${n(b.y)}" width="${n(b.width)}" height="${n(b.height)}" fill="${this.background}"/>`,
+      '<g id="hexes">'
+    ];
+    this.hexes().forEach(h => {
+      const p = HexMap.hexToPixel(h.q, h.r);
+      out.push(`<use xlink:href="#hex" href="#hex" x="${n(p.x)}" y="${n(p.y)}" class="hex ${this.isFogged(h, opts) ? 'fog' : cls.get(h.biomeId)}"/>`);
+    });
+    out.push('</g>');
+    if (opts.layers) out.push(...this.svgLayers(opts, n, esc));
+    if (opts.coords) {
+      out.push('<g id="coordinates">');
+      this.hexes().forEach(h => {
+        const p = HexMap.hexToPixel(h.q, h.r);
+        out.push(`<text class="coord" x="${n(p.x)}" y="${n(p.y + HexMap.hex.size * 0.75)}">${h.q},${h.r}</text>`);
+      });
+      out.push('</g>');
+    }
+    if (opts.labels) {
+      out.push('<g id="labels">');
+      this.hexes().filter(h => h.label && !this.isFogged(h, opts)).forEach(h => {
+        const p = HexMap.hexToPixel(h.q, h.r);
+        // Text width is not known without layout; 6px per character matches the 10px bold face closely enough.
+        const w = h.label.length * 6 + 8;
+        out.push(`<rect class="label-bg" x="${n(p.x - w / 2)}" y="${n(p.y - 10)}" width="${w}" height="20"/><text class="label" x="${n(p.x)}" y="${n(p.y)}">${esc(h.label)}</text>`);
+      });
+      out.push('</g>');
+    }
+    if (opts.markers) {
+      out.push('<g id="markers">');
+      this.markers(opts).forEach(m => {
+        const p = HexMap.markerPosition(m);
+        out.push(`<g${m.visible === false ? ' opacity="0.45"' : ''}><circle cx="${n(p.x)}" cy="${n(p.y)}" r="11" fill="${esc(m.color || 'rgba(0,0,0,0.6)')}" stroke="rgba(0,0,0,0.6)"/>` +
+          `<text class="marker-icon" x="${n(p.x)}" y="${n(p.y + 1)}">${HexMap.markerIcons[m.icon] || HexMap.markerIcons.pin}</text>` +
+          (m.name ? `<text class="marker-name" x="${n(p.x)}" y="${n(p.y + 19)}">${esc(m.name)}</text>` : '') + '</g>');
+      });
+      out.push('</g>');
+    }
+    out.push('</svg>');
+    return out.join('\n');
+  },
+
+  svgLayers(opts, n, esc) {
+    const include = this.layerFilter(opts);
+    const out = [];
+    DB.getLayers().forEach(layer => {
+      if (layer.visible === false || (layer.gmOnly && opts.fog)) return;
+      out.push(`<g class="layer" id="${esc(layer.id)}" opacity="${layer.opacity ?? 1}">`);
+      if (layer.kind === 'regions') {
+        DB.getRegions(layer.id).forEach(rg => {
+          const shape = HexMap.regionShape(rg, include);
+          if (!shape) return;
+          out.push(`<path d="${shape.fill}" fill="${esc(rg.color)}" fill-opacity="0.25"/><path d="${shape.border}" fill="none" stroke="${esc(rg.color)}" stroke-width="3" stroke-linecap="round"/>` +
+            (rg.name ? `<text class="region-name" x="${n(shape.center.x)}" y="${n(shape.center.y)}">${esc(rg.name.toUpperCase())}</text>` : ''));
+        });
+      } else {
+        DB.getPaths(layer.id).forEach(pt => {
+          const dash = HexMap.pathDash(pt);
+          const attrs = `fill="none" stroke-linecap="round" stroke-linejoin="round"`;
+          HexMap.pathRuns(pt, include).forEach(run => {
+            const d = HexMap.pathData(run, pt.type !== 'road' && pt.snap !== 'edge');
+            if (pt.type === 'road') out.push(`<path d="${d}" ${attrs} stroke="rgba(0,0,0,0.45)" stroke-width="${(pt.width || 3) + 2}"/>`);
+            out.push(`<path d="${d}" ${attrs} stroke="${esc(pt.color || '#3b82f6')}" stroke-width="${pt.width || 3}"${dash.length ? ` stroke-dasharray="${dash.join(' ')}"` : ''}/>`);
+          });
+        });
+      }
+      out.push('</g>');
+    });
+    return out;
+  },
+
+  exportSVG(opts) {
+    this.download(new Blob([this.toSVG(opts)], { type: 'image/svg+xml' }), this.fileName('svg'));
+  },
+
+  // Splits the map into page-sized sheets that overlap by `overlapMm`, named like map grid
+  // squares (rows A, B, ...; columns 1, 2, ...).
+  printLayout(opts) {
+    const b = this.bounds();
+    if (!b) throw new Error('The map is empty');
+    const [short, long] = this.papers[opts.paper] || this.papers.a4;
+    const [pw, ph] = opts.orientation === 'portrait' ? [short, long] : [long, short];
+    const margin = 10, header = 8, footer = 18;
+    const area = { width: pw - margin * 2, height: ph - margin * 2 - header - footer };
+    const mmPerUnit = opts.hexMm / (HexMap.hex.size * 2);
+    const overlap = Math.max(0, Math.min(opts.overlapMm, Math.min(area.width, area.height) / 2));
+    const step = { x: (area.width - overlap) / mmPerUnit, y: (area.height - overlap) / mmPerUnit };
+    const cols = Math.max(1, Math.ceil((b.width - overlap / mmPerUnit) / step.x));
+    const rows = Math.max(1, Math.ceil((b.height - overlap / mmPerUnit) / step.y));
+    const sheets = [];
+    for (let row = 0; row < rows; row++) {
+      for (let col = 0; col < cols; col++) {
+        sheets.push({ row, col, name: `${this.rowName(row)}${col + 1}`, rect: { x: b.x + col * step.x, y: b.y + row * step.y, width: area.width / mmPerUnit, height: area.height / mmPerUnit } });
+      }
+    }
+    return { page: { width: pw, height: ph, margin, header, footer }, area, mmPerUnit, overlap, rows, cols, sheets };
+  },
+
+  rowName(i) { return i < 26 ? String.fromCharCode(65 + i) : this.rowName(Math.floor(i / 26) - 1) + String.fromCharCode(65 + (i % 26)); },
+
+  renderSheet(layout, sheet, opts) {
+    const pxPerMm = this.printDpi / 25.4;
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(layout.area.width * pxPerMm);
+    canvas.height = Math.round(layout.area.height * pxPerMm);
+    const ctx = canvas.getContext('2d');
+    const scale = pxPerMm * layout.mmPerUnit;
+    ctx.scale(scale, scale);
+    ctx.translate(-sheet.rect.x, -sheet.rect.y);
+    this.draw(ctx, { ...opts, background: '#fff' }, sheet.rect);
+    return canvas.toDataURL('image/png');
+  },
+
+  // One hex step (centre to centre) and what it stands for, parsed from e.g. "6 miles".
+  scaleBar(layout, opts, hexes = 5) {
+    const step = Math.sqrt(3) * HexMap.hex.size * layout.mmPerUnit;
+    const m = String(opts.hexDistance || '').trim().match(/^(\d+(?:\.\d+)?)\s*(.*)$/);
+    const label = m ? `${hexes} hexes = ${Math.round(parseFloat(m[1]) * hexes * 100) / 100} ${m[2]}`.trim() : `${hexes} hexes`;
+    return { width: step * hexes, label };
+  },
+
+  legend(opts) {
+    const ids = new Set(this.hexes().filter(h => !this.isFogged(h, opts)).map(h => h.biomeId));
+    return (DB.data.biomes || []).filter(b => ids.has(b.id));
+  },
+
+  // Opens the sheets in a new window and starts printing once the images have loaded.
+  printTiles(opts) {
+    const layout = this.printLayout(opts);
+    const win = window.open('', '_blank');
+    if (!win) throw new Error('Allow pop-ups to print the map');
+    const esc = s => String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    const title = esc(DB.data.meta?.name || 'Ourotus Atlas');
+    const bar = this.scaleBar(layout, opts);
+    const legend = this.legend(opts).map(b => `<span class="swatch" style="background:${esc(b.color)}"></span>${esc(b.name)}`).join(' ');
+    const { page, area } = layout;
+    const sheets = layout.sheets.map(s => `
+      <section class="sheet">
+        <header><strong>${title}</strong><span>Sheet ${s.name} · row ${s.row + 1} of ${layout.rows}, column ${s.col + 1} of ${layout.cols}</span></header>
+        <img src="${this.renderSheet(layout, s, opts)}" alt="Sheet ${s.name}">
+        <footer>
+          <div class="legend">${legend}</div>
+          <div class="scale"><div class="bar" style="width:${bar.width.toFixed(1)}mm"></div>${esc(bar.label)}</div>
+          <div class="note">Overlaps neighbouring sheets by ${Math.round(layout.overlap)} mm</div>
+        </footer>
+      </section>`).join('');
+    win.document.write(`<!DOCTYPE html><html><head><meta charset="UTF-8"><title>${title} – map</title><style>
+      @page { size: ${page.width}mm ${page.height}mm; margin: 0; }
+      * { box-sizing: border-box; }
+      body { margin: 0; font: 9pt Inter, sans-serif; color: #111; }
+      .sheet { width: ${page.width}mm; height: ${page.height}mm; padding: ${page.margin}mm; page-break-after: always; break-after: page; overflow: hidden; }
+      header { height: ${page.header}mm; display: flex; justify-content: space-between; align-items: center; }
+      img { display: block; width: ${area.width}mm; height: ${area.height}mm; border: 0.2mm solid #999; }
+      footer { height: ${page.footer}mm; display: flex; gap: 6mm; align-items: center; font-size: 7pt; }
+      .legend { flex: 1; line-height: 1.6; }
+      .swatch { display: inline-block; width: 3mm; height: 3mm; margin: 0 1mm 0 2mm; vertical-align: middle; border: 0.1mm solid #555; }
+      .scale { white-space: nowrap; }
+      .bar { height: 1.5mm; margin-bottom: 1mm; background: repeating-linear-gradient(90deg, #111 0 20%, #fff 20% 40%); border: 0.2mm solid #111; }
+      .note { color: #666; }
+    </style></head><body>${sheets}<script>window.onload = () => window.print();<\/script></body></html>`);
+    win.document.close();
+    return layout;
+  },
+
+  fileName(ext) {
+    const slug = String(DB.data.meta?.name || 'ourotus-atlas').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'map';
+    return `${slug}-map.${ext}`;
+  },
+
+  download(blob, name) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = name;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+};
+
+window.MapExport = MapExport;
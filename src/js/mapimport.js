@@ -0,0 +1,257 @@
+/**
+ * Ourotus Atlas - Map Import Module v2.0
+ *
+ * Reads maps made in other hex tools into the hexmap. Each adapter turns a file into a source of
+ * cells ({ q, r, terrain, label }) in axial coordinates; terrain names are then mapped onto biome
+ * ids and the result previewed before it is merged into, or replaces, the current map.
+ */
+
+const MapImport = {
+  layouts: ['odd-q', 'even-q', 'odd-r', 'even-r'],
+  defaults: { layout: 'odd-q', columns: 40, mode: 'merge', originQ: 0, originR: 0 },
+  maxImageSide: 2048,
+
+  // Common terrain names from other tools, tried after biome ids and names.
+  aliases: {
+    ocean: ['sea', 'water', 'deep water', 'deep sea', 'open ocean'],
+    coast: ['shallows', 'shallow water', 'reef', 'lake', 'coastal'],
+    plains: ['grass', 'grassland', 'grasslands', 'clear', 'farmland', 'farm', 'meadow', 'steppe', 'savanna', 'prairie'],
+    forest: ['woods', 'woodland', 'trees', 'jungle', 'rainforest', 'pine forest', 'heavy forest', 'light forest'],
+    mountain: ['mountains', 'hills', 'hill', 'peaks', 'peak', 'highlands', 'mountain range'],
+    desert: ['sand', 'dunes', 'badlands', 'wasteland', 'barren'],
+    tundra: ['snow', 'ice', 'glacier', 'arctic', 'polar', 'taiga'],
+    swamp: ['marsh', 'bog', 'wetland', 'wetlands', 'fen', 'mire'],
+    volcanic: ['volcano', 'lava', 'ash', 'ashlands']
+  },
+
+  detect(file) {
+    if (file.type?.startsWith('image/')) return 'image';
+    return /\.json$/i.test(file.name) ? 'grid' : 'csv';
+  },
+
+  async read(file, format, opts = {}) {
+    if (format === 'image') return this.sampleImage(await this.loadImage(file), opts);
+    const text = await file.text();
+    if (format === 'grid') {
+      let json;
+      try { json = JSON.parse(text); } catch (err) { throw new Error(`Not valid JSON: ${err.message}`); }
+      return this.parseGrid(json, opts);
+    }
+    return this.parseCSV(text);
+  },
+
+  // Axial coordinates for a column/row in one of the usual offset layouts ("odd-q" shifts odd
+  // columns down half a hex, as the generator does; the "-r" layouts shift rows instead).
+  offsetToAxial(col, row, layout = 'odd-q') {
+    switch (layout) {
+      case 'even-q': return { q: col, r: row - (col + (col & 1)) / 2 };
+      case 'odd-r': return { q: col - (row - (row & 1)) / 2, r: row };
+      case 'even-r': return { q: col - (row + (row & 1)) / 2, r: row };
+      default: return { q: col, r: row - (col - (col & 1)) / 2 };
+    }
+  },
+
+  // CSV or TSV of q, r, biome and an optional label. A header row may name the columns
+  // (q/r, biome/terrain, label/name); without one they are taken in that order.
+  parseCSV(text) {
+    const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/).filter(l => l.trim());
+    if (!lines.length) throw new Error('The file is empty');
+    const sep = lines[0].includes('\t') ? '\t' : lines[0].includes(';') && !lines[0].includes(',') ? ';' : ',';
+    const rows = lines.map(l => this.splitRow(l, sep));
+    const col = { q: 0, r: 1, terrain: 2, label: 3 };
+    const warnings = [];
+    const header = !/^-?\d+$/.test(rows[0][0]?.trim() || '');
+    if (header) {
+      const head = rows.shift().map(h => h.trim().toLowerCase());
+      const find = names => head.findIndex(h => names.includes(h));
+      Object.assign(col, { q: find(['q', 'x', 'col', 'column']), r: find(['r', 'y', 'row']), terrain: find(['biome', 'terrain', 'type', 'biomeid']), label: find(['label', 'name', 'title']) });
+      if (col.q < 0 || col.r < 0 || col.terrain < 0) throw new Error('Header needs q, r and biome (or terrain) columns');
+    }
+    const cells = [];
+    rows.forEach((row, i) => {
+      const q = parseInt(row[col.q], 10), r = parseInt(row[col.r], 10);
+      const terrain = (row[col.terrain] || '').trim();
+      if (!Number.isInteger(q) || !Number.isInteger(r) || !terrain) { warnings.push(`Line ${i + (header ? 2 : 1)} skipped: needs whole-number q and r and a biome`); return; }
+      cells.push({ q, r, terrain, label: col.label >= 0 ? (row[col.label] || '').trim() : '' });
+    });
+    return { format: 'csv', cells, warnings };
+  },
+
+  splitRow(line, sep) {
+    const out = [];
+    let cur = '', quoted = false;
+    for (let i = 0; i < line.length; i++) {
+      const ch = line[i];
+      if (quoted) {
+        if (ch === '"' && line[i + 1] === '"') { cur += '"'; i++; } else if (ch === '"') quoted = false; else cur += ch;
+      } else if (ch === '"' && !cur.trim()) { quoted = true; cur = ''; } else if (ch === sep) { out.push(cur); cur = ''; } else cur += ch;
+    }
+    out.push(cur);
+    return out;
+  },
+
+  // Generic offset grid, as exported by Hexographer/Worldographer-style tools:
+  //   { "layout": "odd-q", "rows": [["Ocean", "Plains", ...], ...] }  (rows of cells; a cell may be
+  //   a terrain name or { "terrain", "label" }), or
+  //   { "layout": "odd-q", "tiles": [{ "col", "row", "terrain", "label" }, ...] }  (also x/y).
+  // A bare array is read as `rows`. The file's layout wins over the one chosen in the dialog.
+  parseGrid(json, opts = {}) {
+    const layout = this.layouts.includes(json?.layout) ? json.layout : this.layouts.includes(opts.layout) ? opts.layout : this.defaults.layout;
+    const cell = v => typeof v === 'string' ? { terrain: v.trim(), label: '' } : { terrain: String(v?.terrain ?? v?.biome ?? v?.type ?? '').trim(), label: String(v?.label ?? v?.name ?? '').trim() };
+    const cells = [], warnings = [];
+    const add = (col, row, v) => {
+      const c = cell(v);
+      if (c.terrain) cells.push({ ...this.offsetToAxial(col, row, layout), ...c });
+    };
+    const rows = Array.isArray(json) ? json : json?.rows || json?.grid;
+    if (Array.isArray(rows)) rows.forEach((row, y) => (Array.isArray(row) ? row : []).forEach((v, x) => add(x, y, v)));
+    else if (Array.isArray(json?.tiles || json?.hexes)) {
+      (json.tiles || json.hexes).forEach((t, i) => {
+        const col = t.col ?? t.x, row = t.row ?? t.y;
+        if (!Number.isInteger(col) || !Number.isInteger(row)) { warnings.push(`Tile ${i + 1} skipped: needs whole-number col and row`); return; }
+        add(col, row, t);
+      });
+    } else throw new Error('Expected "rows" (an array of rows) or "tiles" (a list of cells)');
+    return { format: 'grid', layout, cells, warnings };
+  },
+
+  loadImage(file) {
+    return new Promise((resolve, reject) => {
+      const url = URL.createObjectURL(file);
+      const img = new Image();
+      img.onload = () => { URL.revokeObjectURL(url); resolve(img); };
+      img.onerror = () => { URL.revokeObjectURL(url); reject(new Error('Could not read the image')); };
+      img.src = url;
+    });
+  },
+
+  // Lays a flat-top odd-q grid `columns` hexes wide over the image and snaps the average
+  // colour around each hex centre to the nearest biome colour. Transparent areas are left out.
+  sampleImage(img, opts = {}) {
+    const columns = Math.max(2, Math.min(400, parseInt(opts.columns, 10) || this.defaults.columns));
+    const fit = Math.min(1, this.maxImageSide / Math.max(img.width, img.height));
+    const w = Math.max(1, Math.round(img.width * fit)), h = Math.max(1, Math.round(img.height * fit));
+    const canvas = document.createElement('canvas');
+    canvas.width = w;
+    canvas.height = h;
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    ctx.drawImage(img, 0, 0, w, h);
+    const pixels = ctx.getImageData(0, 0, w, h).data;
+
+    const palette = (DB.data.biomes || []).map(b => ({ biome: b, rgb: this.hexToRgb(b.color) })).filter(p => p.rgb);
+    if (!palette.length) throw new Error('No biome colours to match against');
+    const size = w / (1.5 * columns + 0.5);
+    const rowHeight = Math.sqrt(3) * size;
+    const rows = Math.max(1, Math.floor((h - rowHeight / 2) / rowHeight));
+    const reach = size * 0.5, steps = 4;
+    const cells = [];
+    for (let col = 0; col < columns; col++) {
+      for (let row = 0; row < rows; row++) {
+        const cx = size + col * 1.5 * size, cy = rowHeight * (row + 0.5 + (col & 1) / 2);
+        let r = 0, g = 0, b = 0, n = 0;
+        for (let i = 0; i <= steps; i++) {
+          for (let j = 0; j <= steps; j++) {
+            const x = Math.min(w - 1, Math.max(0, Math.round(cx - reach + (2 * reach * i) / steps)));
+            const y = Math.min(h - 1, Math.max(0, Math.round(cy - reach + (2 * reach * j) / steps)));
+            const k = (y * w + x) * 4;
+            if (pixels[k + 3] < 128) continue;
+            r += pixels[k]; g += pixels[k + 1]; b += pixels[k + 2]; n++;
+          }
+        }
+        if (n < (steps + 1) ** 2 / 2) continue;
+        const match = this.nearestColor([r / n, g / n, b / n], palette);
+        cells.push({ ...this.offsetToAxial(col, row, 'odd-q'), terrain: match.biome.id, label: '' });
+      }
+    }
+    return { format: 'image', columns, rows, cells, warnings: [] };
+  },
+
+  hexToRgb(color) {
+    const m = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(String(color || '').trim());
+    if (!m) return null;
+    const s = m[1].length === 3 ? m[1].replace(/./g, c => c + c) : m[1];
+    return [0, 2, 4].map(i => parseInt(s.slice(i, i + 2), 16));
+  },
+
+  // "Redmean" weighted distance: cheap, and closer to how different two colours look than plain RGB.
+  nearestColor([r, g, b], palette) {
+    let best = null, bestDist = Infinity;
+    palette.forEach(p => {
+      const [pr, pg, pb] = p.rgb;
+      const mean = (r + pr) / 2;
+      const dist = (2 + mean / 256) * (r - pr) ** 2 + 4 * (g - pg) ** 2 + (2 + (255 - mean) / 256) * (b - pb) ** 2;
+      if (dist < bestDist) { best = p; bestDist = dist; }
+    });
+    return best;
+  },
+
+  // Distinct terrain names in a source, most common first.
+  terrains(source) {
+    const counts = new Map();
+    source.cells.forEach(c => counts.set(c.terrain, (counts.get(c.terrain) || 0) + 1));
+    return [...counts].map(([name, count]) => ({ name, count })).sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+  },
+
+  // Biome id for a terrain name, by id, name or alias; null if there is no confident match.
+  guessBiome(name) {
+    const biomes = DB.data.biomes || [];
+    const key = String(name).trim().toLowerCase();
+    const plain = key.replace(/[^a-z0-9]+/g, '');
+    const found = biomes.find(b => b.id.toLowerCase() === key || b.name.toLowerCase() === key)
+      || biomes.find(b => b.id.toLowerCase().replace(/[^a-z0-9]+/g, '') === plain || b.name.toLowerCase().replace(/[^a-z0-9]+/g, '') === plain);
+    if (found) return found.id;
+    const alias = Object.entries(this.aliases).find(([id, names]) => names.includes(key) && biomes.some(b => b.id === id));
+    return alias ? alias[0] : null;
+  },
+
+  // Terrain name -> biome id (or '' to skip), keeping choices already made in `previous`.
+  mapping(source, previous = {}) {
+    return Object.fromEntries(this.terrains(source).map(t => [t.name, t.name in previous ? previous[t.name] : this.guessBiome(t.name) || '']));
+  },
+
+  // Works out the import without touching the database. In 'merge' mode cells overwrite the
+  // biome (and label, when given) of existing hexes; in 'replace' mode the imported cells become
+  // the whole map, while markers and map settings are kept.
+  plan(source, mapping, opts = {}) {
+    const o = { ...this.defaults, ...opts };
+    const dq = parseInt(o.originQ, 10) || 0, dr = parseInt(o.originR, 10) || 0;
+    const replace = o.mode === 'replace';
+    const cells = new Map();
+    let skipped = 0;
+    source.cells.forEach(c => {
+      const biomeId = mapping[c.terrain];
+      if (!biomeId) { skipped++; return; }
+      const q = c.q + dq, r = c.r + dr;
+      cells.set(DB.hexKey(q, r), { q, r, biomeId, ...(c.label ? { label: c.label } : {}) });
+    });
+    const changes = [];
+    let added = 0, changed = 0;
+    cells.forEach(c => {
+      const hex = DB.getHex(c.q, c.r);
+      if (!hex) added++;
+      else if (hex.biomeId !== c.biomeId || (c.label !== undefined && c.label !== hex.label)) changed++;
+      else if (!replace) return;
+      changes.push(c);
+    });
+    const current = DB.data.hexmap?.hexes || [];
+    const removed = replace ? current.filter(h => !cells.has(DB.hexKey(h.q, h.r))).length : 0;
+    const hexes = replace
+      ? [...cells.values()].map(c => ({ label: '', notes: '', ...(DB.getHex(c.q, c.r) || {}), ...c }))
+      : [...current.filter(h => !cells.has(DB.hexKey(h.q, h.r))), ...[...cells.values()].map(c => ({ label: '', notes: '', ...(DB.getHex(c.q, c.r) || {}), ...c }))];
+    return { mode: replace ? 'replace' : 'merge', changes, hexes, stats: { cells: cells.size, added, changed, removed, skipped } };
+  },
+
+  // Applies a plan as one undo step.
+  apply(plan) {
+    const label = `Import map (${plan.stats.cells} hex${plan.stats.cells === 1 ? '' : 'es'})`;
+    return Undo.batch(label, ['hexmap'], () => {
+      if (plan.mode === 'replace') {
+        const hm = DB.data.hexmap || {};
+        return DB.setHexmap({ ...hm, settings: { ...(hm.settings || {}) }, hexes: plan.hexes.map(h => ({ ...h })), markers: hm.markers || [] });
+      }
+      return plan.changes.length ? DB.updateHexes(plan.changes) : null;
+    });
+  }
+};
+
+window.MapImport = MapImport;
@@ -0,0 +1,161 @@
+/**
+ * Ourotus Atlas - Revisions Module v2.0
+ *
+ * Snapshots of page text, kept in their own IndexedDB store (`revisions`, indexed by pageId)
+ * rather than in DB.data, so they are not exported, imported or undone. The first edit to a
+ * page saves the text it had before; the new text is saved once editing pauses for
+ * `pauseDelay`, or straight away on a manual save. A snapshot equal to the page's newest one
+ * is skipped. Each page keeps its newest `keepRecent` revisions and one a day before those,
+ * up to `keepMax`.
+ */
+
+const Revisions = {
+  store: 'revisions',
+  pauseDelay: 60000,
+  keepRecent: 20,
+  keepMax: 60,
+  diffLimit: 4000000,
+  pending: new Map(),
+  queue: Promise.resolve(),
+  count: 0,
+
+  init() {
+    DB.on('change', d => this.onDataChange(d));
+    this.prune();
+  },
+
+  onDataChange(d) {
+    if (d?.type === 'open' || d?.type === 'import') { this.cancel(); this.prune(); return; }
+    if (d?.type === 'reset') { this.cancel(); this.enqueue(db => DB.clear(this.store, db)); return; }
+    if (d?.table !== 'pages' || d.type !== 'update' || !d.prev) return;
+    if (d.item.content === d.prev.content && d.item.title === d.prev.title) return;
+    const id = d.item.id;
+    if (!this.pending.has(id)) this.snapshot(d.prev, 'before edit');
+    clearTimeout(this.pending.get(id));
+    this.pending.set(id, setTimeout(() => { this.pending.delete(id); this.snapshot(DB.getPage(id), 'edit'); }, this.pauseDelay));
+  },
+
+  // Writes run one at a time, so the duplicate check always sees the previous snapshot.
+  enqueue(fn) {
+    const db = DB.instance;
+    const run = this.queue.then(() => fn(db));
+    this.queue = run.catch(e => { console.error('Revision error:', e); });
+    return run;
+  },
+
+  snapshot(page, reason = 'edit') {
+    if (!page) return Promise.resolve(null);
+    const rev = { id: `rev_${Date.now()}_${this.count++}`, pageId: page.id, title: page.title || '', content: page.content || '', at: page.updatedAt || new Date().toISOString(), reason };
+    return this.enqueue(async db => {
+      const list = await this.list(page.id, db);
+      if (list[0] && list[0].content === rev.content && list[0].title === rev.title) return null;
+      await DB.put(this.store, rev, db);
+      await this.trim([rev, ...list], db);
+      return rev;
+    });
+  },
+
+  // Saves every page still waiting for its pause now, or just `pageId`'s.
+  flush(pageId, reason = 'save') {
+    const ids = pageId ? [pageId].filter(id => this.pending.has(id)) : [...this.pending.keys()];
+    return Promise.all(ids.map(id => {
+      clearTimeout(this.pending.get(id));
+      this.pending.delete(id);
+      return this.snapshot(DB.getPage(id), reason);
+    }));
+  },
+
+  cancel() {
+    this.pending.forEach(t => clearTimeout(t));
+    this.pending.clear();
+  },
+
+  // Newest first.
+  list(pageId, db = DB.instance) {
+    return new Promise((resolve, reject) => {
+      if (!db) { resolve([]); return; }
+      const req = db.transaction(this.store, 'readonly').objectStore(this.store).index('pageId').getAll(pageId);
+      req.onsuccess = () => resolve(req.result.sort((a, b) => b.at.localeCompare(a.at) || b.id.localeCompare(a.id)));
+      req.onerror = () => reject(req.error);
+    });
+  },
+
+  // `list` is newest first; anything past the retention policy is deleted.
+  async trim(list, db = DB.instance) {
+    const days = new Set();
+    const keep = list.filter((rev, i) => {
+      if (i < this.keepRecent) return true;
+      const day = rev.at.slice(0, 10);
+      if (days.has(day)) return false;
+      days.add(day);
+      return true;
+    }).slice(0, this.keepMax);
+    for (const rev of list) if (!keep.includes(rev)) await DB.delete(this.store, rev.id, db);
+  },
+
+  // Drops revisions of pages that no longer exist.
+  prune() {
+    const pages = new Set(DB.data.pages.map(p => p.id));
+    return this.enqueue(db => new Promise((resolve, reject) => {
+      if (!db) { resolve(); return; }
+      const tx = db.transaction(this.store, 'readwrite');
+      const store = tx.objectStore(this.store);
+      const req = store.index('pageId').openKeyCursor();
+      req.onsuccess = () => {
+        const cursor = req.result;
+        if (!cursor) return;
+        if (!pages.has(cursor.key)) store.delete(cursor.primaryKey);
+        cursor.continue();
+      };
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+    }));
+  },
+
+  // Puts a revision's text back through DB.updatePage, so it is an ordinary (undoable) edit and
+  // the text it replaces is kept as a revision first.
+  async restore(rev) {
+    const page = DB.getPage(rev.pageId);
+    if (!page) return null;
+    await this.flush(page.id);
+    await this.snapshot(page, 'before restore');
+    const restored = DB.updatePage(page.id, { title: rev.title, content: rev.content });
+    clearTimeout(this.pending.get(page.id));
+    this.pending.delete(page.id);
+    await this.snapshot(restored, 'restored');
+    return restored;
+  },
+
+  // Line diff of `a` to `b` as [{ type: 'same' | 'del' | 'add', text }]. Common ends are
+  // trimmed first; a middle too large for the LCS table is shown as removed then added.
+  diff(a, b) {
+    const x = String(a || '').split('\n'), y = String(b || '').split('\n');
+    let start = 0, endX = x.length, endY = y.length;
+    while (start < endX && start < endY && x[start] === y[start]) start++;
+    while (endX > start && endY > start && x[endX - 1] === y[endY - 1]) { endX--; endY--; }
+    const n = endX - start, m = endY - start;
+    const out = x.slice(0, start).map(text => ({ type: 'same', text }));
+    if (n * m > this.diffLimit) {
+      x.slice(start, endX).forEach(text => out.push({ type: 'del', text }));
+      y.slice(start, endY).forEach(text => out.push({ type: 'add', text }));
+    } else {
+      // lcs[i * (m + 1) + j]: longest common run of x[start + i..] and y[start + j..].
+      const lcs = new Uint32Array((n + 1) * (m + 1));
+      for (let i = n - 1; i >= 0; i--) {
+        for (let j = m - 1; j >= 0; j--) {
+          lcs[i * (m + 1) + j] = x[start + i] === y[start + j] ? lcs[(i + 1) * (m + 1) + j + 1] + 1 : Math.max(lcs[(i + 1) * (m + 1) + j], lcs[i * (m + 1) + j + 1]);
+        }
+      }
+      let i = 0, j = 0;
+      while (i < n || j < m) {
+        if (i < n && j < m && x[start + i] === y[start + j]) { out.push({ type: 'same', text: x[start + i] }); i++; j++; }
+        else if (i < n && (j === m || lcs[(i + 1) * (m + 1) + j] >= lcs[i * (m + 1) + j + 1])) { out.push({ type: 'del', text: x[start + i] }); i++; }
+        else { out.push({ type: 'add', text: y[start + j] }); j++; }
+      }
+    }
+    x.slice(endX).forEach(text => out.push({ type: 'same', text }));
+    return out;
+  }
+};
+
+window.Revisions = Revisions;
@@ -0,0 +1,377 @@
+/**
+ * Ourotus Atlas - Schema Module v2.0
+ *
+ * Table schemas (a JSON-schema subset: type, required, properties, items, enum, pattern,
+ * minimum, plus `uniqueKey` for id columns and `$ref` into `defs`) and the data migrations
+ * that bring exports and cached worlds up to the current version.
+ */
+
+const Schema = {
+  version: '2.1',
+  baseVersion: '2.0',
+
+  // Shared definitions, referenced as `{ $ref: name }`.
+  defs: {
+    // In-world date or range on pages, hexes and markers, in day numbers (see Calendar).
+    date: {
+      type: ['object', 'null'],
+      required: ['start'],
+      properties: { start: { type: 'number' }, end: { type: ['number', 'null'] }, precision: { type: 'string', enum: ['day', 'month', 'year'] } }
+    },
+    // Encounter or resource table on a biome or hex (see Encounters): plain text or weighted entries.
+    rollTable: {
+      type: 'array',
+      items: { type: ['string', 'object'], required: ['text'], properties: { text: { type: 'string' }, weight: { type: 'number', minimum: 0 }, mods: { type: 'object' } } }
+    }
+  },
+
+  tables: {
+    meta: {
+      type: ['object', 'null'],
+      properties: {
+        id: { type: 'string' },
+        name: { type: 'string' },
+        subtitle: { type: 'string' },
+        schemaVersion: { type: 'string' },
+        currentDay: { type: 'number' },
+        hexMiles: { type: 'number', minimum: 0 },
+        calendar: {
+          type: 'object',
+          required: ['months'],
+          properties: {
+            epochYear: { type: 'integer' },
+            months: { type: 'array', items: { type: 'object', required: ['name', 'days'], properties: { name: { type: 'string' }, days: { type: 'integer', minimum: 1 } } } },
+            weekdays: { type: 'array', items: { type: 'string' } },
+            weekdayOffset: { type: 'integer' },
+            eras: { type: 'array', items: { type: 'object', required: ['name'], properties: { name: { type: 'string' }, abbr: { type: 'string' }, start: { type: ['integer', 'null'] }, backward: { type: 'boolean' } } } },
+            leap: { type: 'object', properties: { every: { type: 'integer', minimum: 0 }, skipEvery: { type: 'integer', minimum: 0 }, keepEvery: { type: 'integer', minimum: 0 }, month: { type: 'integer', minimum: 0 }, days: { type: 'integer', minimum: 0 } } }
+          }
+        }
+      }
+    },
+    biomes: {
+      type: 'array',
+      uniqueKey: 'id',
+      items: {
+        type: 'object',
+        required: ['id', 'name', 'color'],
+        properties: {
+          id: { type: 'string' },
+          name: { type: 'string' },
+          color: { type: 'string', pattern: '^#[0-9a-fA-F]{3,8}$' },
+          pattern: { type: 'string' },
+          texture: { type: ['string', 'null'] },
+          description: { type: 'string' },
+          temperature: { type: 'string' },
+          humidity: { type: 'string' },
+          elevation: { type: 'number' },
+          moveCost: { type: 'number', minimum: 0 },
+          travelSpeed: { type: 'number', minimum: 0 },
+          encounters: { $ref: 'rollTable' },
+          resources: { $ref: 'rollTable' }
+        }
+      }
+    },
+    hexmap: {
+      type: ['object', 'null'],
+      required: ['hexes'],
+      properties: {
+        settings: { type: 'object', properties: { width: { type: 'integer', minimum: 1 }, height: { type: 'integer', minimum: 1 } } },
+        hexes: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['q', 'r', 'biomeId'],
+            properties: { q: { type: 'integer' }, r: { type: 'integer' }, biomeId: { type: 'string' }, label: { type: 'string' }, notes: { type: 'string' }, date: { $ref: 'date' }, encounters: { $ref: 'rollTable' }, resources: { $ref: 'rollTable' } }
+          }
+        },
+        markers: {
+          type: 'array',
+          uniqueKey: 'id',
+          items: {
+            type: 'object',
+            required: ['id', 'q', 'r'],
+            properties: { id: { type: 'string' }, q: { type: 'integer' }, r: { type: 'integer' }, name: { type: 'string' }, icon: { type: 'string' }, color: { type: 'string' }, visible: { type: 'boolean' }, pageId: { type: ['string', 'null'] }, date: { $ref: 'date' } }
+          }
+        },
+        revealed: { type: 'array', items: { type: 'string', pattern: '^-?\\d+,-?\\d+$' } },
+        layers: {
+          type: 'array',
+          uniqueKey: 'id',
+          items: {
+            type: 'object',
+            required: ['id', 'kind'],
+            properties: { id: { type: 'string' }, name: { type: 'string' }, kind: { type: 'string', enum: ['paths', 'regions'] }, visible: { type: 'boolean' }, opacity: { type: 'number', minimum: 0 }, gmOnly: { type: 'boolean' } }
+          }
+        },
+        paths: {
+          type: 'array',
+          uniqueKey: 'id',
+          items: {
+            type: 'object',
+            required: ['id', 'layerId', 'points'],
+            properties: {
+              id: { type: 'string' },
+              layerId: { type: 'string' },
+              name: { type: 'string' },
+              type: { type: 'string', enum: ['river', 'road'] },
+              snap: { type: 'string', enum: ['center', 'edge'] },
+              color: { type: 'string' },
+              width: { type: 'number', minimum: 0 },
+              style: { type: 'string', enum: ['solid', 'dashed', 'dotted'] },
+              points: { type: 'array', items: { type: 'object', required: ['q', 'r'], properties: { q: { type: 'integer' }, r: { type: 'integer' }, corner: { type: 'integer', minimum: 0 } } } }
+            }
+          }
+        },
+        regions: {
+          type: 'array',
+          uniqueKey: 'id',
+          items: {
+            type: 'object',
+            required: ['id', 'layerId', 'hexes'],
+            properties: { id: { type: 'string' }, layerId: { type: 'string' }, name: { type: 'string' }, color: { type: 'string' }, hexes: { type: 'array', items: { type: 'string', pattern: '^-?\\d+,-?\\d+$' } } }
+          }
+        }
+      }
+    },
+    notebooks: {
+      type: 'array',
+      uniqueKey: 'id',
+      items: {
+        type: 'object',
+        required: ['id', 'name'],
+        properties: { id: { type: 'string' }, name: { type: 'string' }, color: { type: 'string' }, icon: { type: 'string' }, sortOrder: { type: 'number' } }
+      }
+    },
+    sections: {
+      type: 'array',
+      uniqueKey: 'id',
+      items: {
+        type: 'object',
+        required: ['id', 'notebookId', 'name'],
+        properties: { id: { type: 'string' }, notebookId: { type: 'string' }, name: { type: 'string' }, sortOrder: { type: 'number' }, gmOnly: { type: 'boolean' } }
+      }
+    },
+    pages: {
+      type: 'array',
+      uniqueKey: 'id',
+      items: {
+        type: 'object',
+        required: ['id', 'sectionId', 'title'],
+        properties: { id: { type: 'string' }, sectionId: { type: 'string' }, title: { type: 'string' }, content: { type: 'string' }, sortOrder: { type: 'number' }, gmOnly: { type: 'boolean' }, date: { $ref: 'date' } }
+      }
+    },
+    celestial: {
+      type: 'array',
+      uniqueKey: 'id',
+      items: {
+        type: 'object',
+        required: ['id', 'type', 'name'],
+        properties: {
+          id: { type: 'string' },
+          type: { type: 'string', enum: ['sun', 'moon', 'constellation'] },
+          name: { type: 'string' },
+          color: { type: 'string', pattern: '^#[0-9a-fA-F]{3,8}$' },
+          yearLength: { type: 'number', minimum: 0 },
+          seasonOffset: { type: 'number' },
+          seasons: { type: 'array', items: { type: 'object', required: ['name'], properties: { name: { type: 'string' }, color: { type: 'string', pattern: '^#[0-9a-fA-F]{3,8}$' } } } },
+          period: { type: 'number', minimum: 0.1 },
+          phaseOffset: { type: 'number' },
+          nodePeriod: { type: 'number', minimum: 0 },
+          nodeOffset: { type: 'number' },
+          size: { type: 'number', minimum: 0 },
+          longitude: { type: 'number' },
+          stars: { type: 'array', items: { type: 'array', items: { type: 'number' } } },
+          lines: { type: 'array', items: { type: 'array', items: { type: 'integer', minimum: 0 } } }
+        }
+      }
+    },
+    textures: {
+      type: 'array',
+      uniqueKey: 'id',
+      items: {
+        type: 'object',
+        required: ['id', 'data'],
+        properties: { id: { type: 'string' }, name: { type: 'string' }, data: { type: 'string', pattern: '^data:image/' } }
+      }
+    }
+  },
+
+  // Ordered; each step upgrades data from the previous version to `to`. Steps receive a copy
+  // of the tables being migrated and a `warn` callback for anything they had to drop or fix.
+  migrations: [
+    {
+      to: '2.1',
+      label: 'Unique hex coordinates, marker list and schema version in meta',
+      up(data, warn) {
+        const hm = data.hexmap;
+        if (hm) {
+          hm.settings = { width: 20, height: 15, ...(hm.settings || {}) };
+          const byKey = new Map();
+          (Array.isArray(hm.hexes) ? hm.hexes : []).forEach(h => byKey.set(`${h?.q},${h?.r}`, h));
+          const dupes = (hm.hexes?.length || 0) - byKey.size;
+          if (dupes > 0) warn(`Removed ${dupes} duplicate hex${dupes === 1 ? '' : 'es'} (the last entry for each coordinate was kept)`);
+          hm.hexes = [...byKey.values()];
+          if (!Array.isArray(hm.markers)) hm.markers = [];
+          if (hm.revealed && !Array.isArray(hm.revealed)) { warn('Discarded an unreadable fog of war list'); hm.revealed = []; }
+        }
+        (data.biomes || []).forEach(b => {
+          if (!Array.isArray(b.encounters)) b.encounters = [];
+          if (!Array.isArray(b.resources)) b.resources = [];
+        });
+        if ('meta' in data) data.meta = { id: 'world_meta', name: 'Ourotus Atlas', subtitle: 'World Builder', ...(data.meta || {}) };
+      }
+    }
+  ],
+
+  compareVersions(a, b) {
+    const pa = String(a).split('.').map(Number), pb = String(b).split('.').map(Number);
+    for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+      const d = (pa[i] || 0) - (pb[i] || 0);
+      if (d) return d;
+    }
+    return 0;
+  },
+
+  // Returns { data, applied, warnings }; throws when the data is newer than this build understands.
+  migrate(data, from) {
+    if (this.compareVersions(from, this.version) > 0) throw new Error(`Data version ${from} is newer than this app supports (${this.version})`);
+    const out = structuredClone(data);
+    const applied = [], warnings = [];
+    this.migrations
+      .filter(m => this.compareVersions(m.to, from) > 0)
+      .forEach(m => {
+        m.up(out, msg => warnings.push(msg));
+        applied.push(`${m.to}: ${m.label}`);
+      });
+    if (out.meta) out.meta.schemaVersion = this.version;
+    return { data: out, applied, warnings };
+  },
+
+  validate(table, value) {
+    const schema = this.tables[table];
+    if (!schema) return [];
+    const errors = [];
+    this.check(schema, value, table, errors);
+    return errors;
+  },
+
+  check(schema, value, path, errors) {
+    if (schema.$ref) return this.check(this.defs[schema.$ref], value, path, errors);
+    const types = [].concat(schema.type || []);
+    if (types.length && !types.some(t => this.isType(value, t))) {
+      errors.push(`${path}: expected ${types.join(' or ')}, got ${value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value}`);
+      return;
+    }
+    if (value === null || value === undefined) return;
+    if (schema.enum && !schema.enum.includes(value)) errors.push(`${path}: must be one of ${schema.enum.join(', ')}`);
+    if (schema.pattern && typeof value === 'string' && !new RegExp(schema.pattern).test(value)) errors.push(`${path}: "${value}" is not a valid value`);
+    if (schema.minimum !== undefined && typeof value === 'number' && value < schema.minimum) errors.push(`${path}: must be at least ${schema.minimum}`);
+    if (Array.isArray(value)) {
+      if (schema.items) value.forEach((item, i) => this.check(schema.items, item, `${path}[${i}]`, errors));
+      if (schema.uniqueKey) {
+        const seen = new Set();
+        value.forEach((item, i) => {
+          const k = item?.[schema.uniqueKey];
+          if (k === undefined) return;
+          if (seen.has(k)) errors.push(`${path}[${i}].${schema.uniqueKey}: duplicate "${k}"`);
+          seen.add(k);
+        });
+      }
+    } else if (typeof value === 'object') {
+      (schema.required || []).forEach(k => { if (value[k] === undefined) errors.push(`${path}.${k}: is required`); });
+      Object.entries(schema.properties || {}).forEach(([k, s]) => { if (value[k] !== undefined) this.check(s, value[k], `${path}.${k}`, errors); });
+    }
+  },
+
+  isType(value, type) {
+    switch (type) {
+      case 'null': return value === null;
+      case 'array': return Array.isArray(value);
+      case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+      case 'integer': return Number.isInteger(value);
+      case 'number': return typeof value === 'number' && !Number.isNaN(value);
+      default: return typeof value === type;
+    }
+  },
+
+  // Dangling references do not corrupt anything on their own, so they are reported as warnings.
+  checkReferences(data) {
+    const warnings = [];
+    const ids = t => new Set((data[t] || []).map(x => x.id));
+    const notebooks = ids('notebooks'), sections = ids('sections'), pages = ids('pages'), biomes = ids('biomes');
+    const count = (list, test) => (list || []).filter(test).length;
+    const report = (n, what) => { if (n) warnings.push(`${n} ${what}`); };
+    report(count(data.sections, s => !notebooks.has(s.notebookId)), 'section(s) belong to a missing notebook');
+    report(count(data.pages, p => !sections.has(p.sectionId)), 'page(s) belong to a missing section');
+    report(count(data.hexmap?.hexes, h => !biomes.has(h.biomeId)), 'hex(es) use an unknown biome');
+    report(count(data.biomes, b => b.texture && !ids('textures').has(b.texture)), 'biome(s) use a missing texture');
+    report(count(data.hexmap?.markers, m => m.pageId && !pages.has(m.pageId)), 'marker(s) link to a missing page');
+    const layers = new Set((data.hexmap?.layers || []).map(l => l.id));
+    report(count([...(data.hexmap?.paths || []), ...(data.hexmap?.regions || [])], x => !layers.has(x.layerId)), 'path(s) or region(s) belong to a missing layer');
+    return warnings;
+  },
+
+  // Per-table counts of what an import would add, change and remove.
+  diff(table, before, after) {
+    if (table === 'meta') return [{ table, added: 0, updated: JSON.stringify(before) === JSON.stringify(after) ? 0 : 1, removed: 0 }];
+    if (table === 'hexmap') {
+      return [
+        this.diffList('hexes', before?.hexes, after?.hexes, h => `${h.q},${h.r}`),
+        this.diffList('markers', before?.markers, after?.markers, m => m.id),
+        ...['layers', 'paths', 'regions'].filter(k => before?.[k]?.length || after?.[k]?.length).map(k => this.diffList(k, before?.[k], after?.[k], x => x.id))
+      ];
+    }
+    return [this.diffList(table, before, after, x => x.id)];
+  },
+
+  diffList(table, before = [], after = [], keyOf) {
+    const old = new Map((before || []).map(x => [keyOf(x), JSON.stringify(x)]));
+    const row = { table, added: 0, updated: 0, removed: 0 };
+    const seen = new Set();
+    (after || []).forEach(x => {
+      const k = keyOf(x);
+      seen.add(k);
+      if (!old.has(k)) row.added++;
+      else if (old.get(k) !== JSON.stringify(x)) row.updated++;
+    });
+    old.forEach((v, k) => { if (!seen.has(k)) row.removed++; });
+    return row;
+  },
+
+  // Builds an import plan from a parsed export: migrated tables, errors (which block the
+  // import), warnings and a change summary against `current`.
+  prepareImport(json, current) {
+    const plan = { version: null, applied: [], errors: [], warnings: [], changes: [], data: null };
+    if (!json || typeof json !== 'object' || !json.data || typeof json.data !== 'object' || Array.isArray(json.data)) {
+      plan.errors.push('Not an Ourotus Atlas export: missing "data" object');
+      return plan;
+    }
+    plan.version = json.version ? String(json.version) : null;
+    if (!plan.version) plan.warnings.push(`No version field; treating the file as version ${this.baseVersion}`);
+    const tables = Object.keys(json.data).filter(k => {
+      if (k in this.tables) return true;
+      plan.warnings.push(`Ignoring unknown table "${k}"`);
+      return false;
+    });
+    if (!tables.length) { plan.errors.push('The file contains no tables to import'); return plan; }
+
+    let migrated;
+    try {
+      migrated = this.migrate(Object.fromEntries(tables.map(t => [t, json.data[t]])), plan.version || this.baseVersion);
+    } catch (err) {
+      plan.errors.push(err.message);
+      return plan;
+    }
+    plan.applied = migrated.applied;
+    plan.warnings.push(...migrated.warnings);
+    tables.forEach(t => plan.errors.push(...this.validate(t, migrated.data[t])));
+    if (plan.errors.length) return plan;
+    plan.warnings.push(...this.checkReferences({ ...current, ...migrated.data }));
+    plan.changes = tables.flatMap(t => this.diff(t, current[t], migrated.data[t]));
+    plan.data = migrated.data;
+    return plan;
+  }
+};
+
+window.Schema = Schema;
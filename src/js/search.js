@@ -0,0 +1,198 @@
+/**
+ * Ourotus Atlas - Search Module v2.0
+ *
+ * Inverted index over pages, hexes, biomes, notebooks and sections. Documents are
+ * re-indexed one at a time from DB 'change' events; only bulk events rebuild.
+ */
+
+const Search = {
+  docs: new Map(),
+  index: new Map(),
+  weights: { title: 4, context: 1, body: 1 },
+
+  init() {
+    this.rebuild();
+    DB.on('change', d => this.onChange(d));
+  },
+
+  tokenize(text) {
+    return (String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || []);
+  },
+
+  rebuild() {
+    this.docs.clear();
+    this.index.clear();
+    DB.data.notebooks.forEach(nb => this.add(this.notebookDoc(nb)));
+    DB.data.sections.forEach(s => this.add(this.sectionDoc(s)));
+    DB.data.pages.forEach(p => this.addPage(p));
+    DB.data.biomes.forEach(b => this.add(this.biomeDoc(b)));
+    (DB.data.hexmap?.hexes || []).forEach(h => this.addHex(h));
+  },
+
+  rebuildTable(type, items, toDoc) {
+    [...this.docs.keys()].filter(k => k.startsWith(`${type}:`)).forEach(k => this.remove(k));
+    items.forEach(item => this.add(toDoc.call(this, item)));
+  },
+
+  rebuildPages() {
+    [...this.docs.keys()].filter(k => k.startsWith('page:') || k.startsWith('secret:')).forEach(k => this.remove(k));
+    DB.data.pages.forEach(p => this.addPage(p));
+  },
+
+  // `:::secret` blocks are indexed as their own GM-only document so player view can drop them.
+  addPage(p) {
+    const secrets = [];
+    const content = Links.replaceSecrets(p.content, body => { secrets.push(body); return ''; });
+    this.add({ ...this.pageDoc(p), body: content });
+    if (secrets.length) this.add({ ...this.pageDoc(p), key: `secret:${p.id}`, gmOnly: true, context: 'GM secret', body: secrets.join('\n') });
+    else this.remove(`secret:${p.id}`);
+  },
+
+  // Hex notes are GM-only, like page secrets: players find a revealed hex by its label alone.
+  addHex(h) {
+    this.add(this.hexDoc(h));
+    this.add({ ...this.hexDoc(h), key: `hexnotes:${h.q},${h.r}`, gmOnly: true, context: 'GM notes', body: h.notes || '', empty: !h.notes });
+  },
+
+  rebuildHexes() {
+    [...this.docs.keys()].filter(k => k.startsWith('hex:') || k.startsWith('hexnotes:')).forEach(k => this.remove(k));
+    (DB.data.hexmap?.hexes || []).forEach(h => this.addHex(h));
+  },
+
+  onChange(d) {
+    if (!d) return;
+    if (['import', 'reset', 'history', 'remote', 'open'].includes(d.type)) { this.rebuild(); return; }
+    if (d.table === 'pages') {
+      if (d.type === 'delete') { this.remove(`page:${d.item.id}`); this.remove(`secret:${d.item.id}`); }
+      else this.addPage(d.item);
+      return;
+    }
+    const builders = { notebooks: ['notebook', this.notebookDoc], sections: ['section', this.sectionDoc], biomes: ['biome', this.biomeDoc] };
+    if (builders[d.table]) {
+      const [type, toDoc] = builders[d.table];
+      if (d.type === 'delete') this.remove(`${type}:${d.item.id}`);
+      else this.add(toDoc.call(this, d.item));
+      // Deleting a notebook or section cascades to its sections and pages.
+      if (d.type === 'delete' && (d.table === 'notebooks' || d.table === 'sections')) {
+        this.rebuildTable('section', DB.data.sections, this.sectionDoc);
+        this.rebuildPages();
+      }
+      // Renames change the breadcrumb shown on child documents.
+      if (d.type === 'update' && d.table === 'notebooks') this.rebuildTable('section', DB.data.sections, this.sectionDoc);
+      if (d.type === 'update' && (d.table === 'notebooks' || d.table === 'sections')) this.rebuildPages();
+    } else if (d.table === 'hexmap') {
+      if (d.type === 'replace') this.rebuildHexes();
+      else if (d.type === 'update' || d.type === 'batch') (d.items || [d.item]).forEach(h => h && this.addHex(h));
+    }
+  },
+
+  pageDoc(p) {
+    const sec = DB.getSection(p.sectionId);
+    const nb = sec && DB.getNotebook(sec.notebookId);
+    return { key: `page:${p.id}`, type: 'page', ref: p.id, title: p.title, context: [nb?.name, sec?.name].filter(Boolean).join(' › '), body: p.content };
+  },
+
+  notebookDoc(nb) { return { key: `notebook:${nb.id}`, type: 'notebook', ref: nb.id, title: nb.name, context: 'Notebook', body: '' }; },
+
+  sectionDoc(s) {
+    const nb = DB.getNotebook(s.notebookId);
+    return { key: `section:${s.id}`, type: 'section', ref: s.id, title: s.name, context: nb?.name || 'Section', body: '' };
+  },
+
+  biomeDoc(b) {
+    const entries = list => (list || []).map(e => typeof e === 'string' ? e : e?.text || '').join(', ');
+    return { key: `biome:${b.id}`, type: 'biome', ref: b.id, title: b.name, context: 'Biome', body: [b.description, entries(b.encounters), entries(b.resources)].filter(Boolean).join('\n') };
+  },
+
+  // Unlabelled hexes are not worth indexing; returning a doc with no text makes add() drop
+  // any previous entry for that hex.
+  hexDoc(h) {
+    const biome = DB.getBiome(h.biomeId);
+    return { key: `hex:${h.q},${h.r}`, type: 'hex', ref: { q: h.q, r: h.r }, title: h.label || `Hex (${h.q}, ${h.r})`, context: biome?.name || 'Hex', body: '', empty: !h.label };
+  },
+
+  add(doc) {
+    this.remove(doc.key);
+    if (doc.empty) return;
+    doc.tokens = new Map();
+    Object.entries(this.weights).forEach(([field, w]) => {
+      this.tokenize(doc[field]).forEach(t => doc.tokens.set(t, (doc.tokens.get(t) || 0) + w));
+    });
+    this.docs.set(doc.key, doc);
+    doc.tokens.forEach((w, t) => {
+      if (!this.index.has(t)) this.index.set(t, new Set());
+      this.index.get(t).add(doc.key);
+    });
+  },
+
+  remove(key) {
+    const doc = this.docs.get(key);
+    if (!doc) return;
+    doc.tokens.forEach((w, t) => {
+      const set = this.index.get(t);
+      if (!set) return;
+      set.delete(key);
+      if (!set.size) this.index.delete(t);
+    });
+    this.docs.delete(key);
+  },
+
+  // Every query term must match (exactly or as a prefix); exact matches and title hits rank higher.
+  query(text, limit = 30) {
+    const terms = [...new Set(this.tokenize(text))];
+    if (!terms.length) return [];
+    let scores = null;
+    for (const term of terms) {
+      const hits = new Map();
+      this.index.forEach((keys, token) => {
+        if (!token.startsWith(term)) return;
+        const factor = token === term ? 1 : 0.5;
+        keys.forEach(k => hits.set(k, (hits.get(k) || 0) + this.docs.get(k).tokens.get(token) * factor));
+      });
+      if (scores) {
+        const next = new Map();
+        hits.forEach((s, k) => { if (scores.has(k)) next.set(k, scores.get(k) + s); });
+        scores = next;
+      } else scores = hits;
+      if (!scores.size) return [];
+    }
+    const phrase = text.trim().toLowerCase();
+    return [...scores.entries()]
+      .map(([k, score]) => {
+        const doc = this.docs.get(k);
+        const title = String(doc.title || '').toLowerCase();
+        return { doc, terms, score: score + (title === phrase ? 20 : title.startsWith(phrase) ? 10 : 0) };
+      })
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  },
+
+  snippet(doc, terms, radius = 60) {
+    const body = String(doc.body || '').replace(/[#*_>`[\]]+/g, '').replace(/\s+/g, ' ').trim();
+    if (!body) return '';
+    const lower = body.toLowerCase();
+    const at = terms.map(t => lower.search(new RegExp(`(^|[^\\p{L}\\p{N}])${this.escRe(t)}`, 'u'))).filter(i => i >= 0).sort((a, b) => a - b)[0] ?? 0;
+    const start = Math.max(0, at - radius);
+    return (start > 0 ? '…' : '') + body.slice(start, at + radius * 2) + (at + radius * 2 < body.length ? '…' : '');
+  },
+
+  highlight(value, terms) {
+    const text = String(value ?? '');
+    const esc = s => s.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    if (!terms.length) return esc(text);
+    const re = new RegExp(`(^|[^\\p{L}\\p{N}])(${terms.map(t => this.escRe(t)).join('|')})`, 'giu');
+    let out = '', last = 0;
+    text.replace(re, (m, pre, word, offset) => {
+      const start = offset + pre.length;
+      const end = start + word.length;
+      out += esc(text.slice(last, start)) + `<mark>${esc(text.slice(start, end))}</mark>`;
+      last = end;
+      return m;
+    });
+    return out + esc(text.slice(last));
+  },
+
+  escRe(s) { return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'); }
+};
+
+window.Search = Search;
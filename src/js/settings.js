@@ -0,0 +1,107 @@
+/**
+ * Ourotus Atlas - Settings Module v2.0
+ *
+ * App-wide preferences by dotted key ("hexmap.hexSize"). Defaults come from config.json
+ * (falling back to the copy below when it cannot be fetched); what the user changes in the
+ * Settings panel is kept per key in a small database of its own, shared by every world in
+ * this browser. Values are checked against `fields` before they are stored.
+ */
+
+const Settings = {
+  dbName: 'OurotusAtlasSettings',
+  instance: null,
+  defaults: {
+    app: { name: 'Ourotus Atlas', theme: 'dark' },
+    hexmap: { defaultZoom: 1, minZoom: 0.3, maxZoom: 3, hexSize: 30, showCoordinates: false, showGrid: true },
+    lorebook: { autosaveDelay: 2000 },
+    audio: { enabled: true, volume: 0.5, sounds: {} },
+    cache: { autoSave: true, autoSaveInterval: 3000, dbName: 'OurotusAtlasDB' }
+  },
+  config: null,
+  overrides: {},
+  listeners: { change: [] },
+
+  // Keys the Settings panel edits. Numbers are clamped to their range.
+  fields: {
+    'app.theme': { options: ['dark', 'light'] },
+    'hexmap.hexSize': { min: 15, max: 60 },
+    'hexmap.showGrid': { type: 'boolean' },
+    'hexmap.showCoordinates': { type: 'boolean' },
+    'hexmap.defaultZoom': { min: 0.1, max: 8 },
+    'hexmap.minZoom': { min: 0.1, max: 1 },
+    'hexmap.maxZoom': { min: 1, max: 8 },
+    'cache.autoSave': { type: 'boolean' },
+    'cache.autoSaveInterval': { min: 500, max: 600000 },
+    'audio.enabled': { type: 'boolean' },
+    'audio.volume': { min: 0, max: 1 }
+  },
+
+  async init() {
+    this.config = this.defaults;
+    try {
+      const res = await fetch('config.json', { cache: 'no-store' });
+      if (res.ok) this.config = this.merge(this.defaults, await res.json());
+    } catch (e) { console.warn('config.json not loaded, using built-in defaults'); }
+    try {
+      this.instance = await this.openDB();
+      const rows = await DB.getAll('settings', this.instance);
+      rows.forEach(r => { if (this.fields[r.id]) this.overrides[r.id] = this.check(r.id, r.value); });
+    } catch (e) { console.error('Settings unavailable:', e); }
+  },
+
+  openDB() {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.dbName, 1);
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => resolve(request.result);
+      request.onupgradeneeded = (e) => e.target.result.createObjectStore('settings', { keyPath: 'id' });
+    });
+  },
+
+  // `b` over `a`, object by object; arrays and other values replace.
+  merge(a, b) {
+    const out = { ...a };
+    Object.entries(b || {}).forEach(([k, v]) => {
+      out[k] = v && typeof v === 'object' && !Array.isArray(v) && a?.[k] && typeof a[k] === 'object' ? this.merge(a[k], v) : v;
+    });
+    return out;
+  },
+
+  default(key) { return key.split('.').reduce((o, k) => o?.[k], this.config || this.defaults); },
+  get(key) { return key in this.overrides ? this.overrides[key] : this.default(key); },
+  isChanged(key) { return key in this.overrides; },
+
+  check(key, value) {
+    const f = this.fields[key];
+    if (f.options) return f.options.includes(value) ? value : this.default(key);
+    if (f.type === 'boolean') return !!value;
+    const n = Number(value);
+    return Number.isFinite(n) ? Math.min(f.max, Math.max(f.min, n)) : this.default(key);
+  },
+
+  // Stores `value` for `key`; setting the default value drops the override.
+  async set(key, value) {
+    if (!this.fields[key]) throw new Error(`Unknown setting "${key}"`);
+    value = this.check(key, value);
+    if (value === this.get(key)) return value;
+    const isDefault = value === this.default(key);
+    if (isDefault) delete this.overrides[key]; else this.overrides[key] = value;
+    this.emit('change', { keys: [key] });
+    if (this.instance) await (isDefault ? DB.delete('settings', key, this.instance) : DB.put('settings', { id: key, value }, this.instance));
+    return value;
+  },
+
+  async reset() {
+    const keys = Object.keys(this.overrides);
+    if (!keys.length) return;
+    this.overrides = {};
+    this.emit('change', { keys });
+    if (this.instance) await Promise.all(keys.map(k => DB.delete('settings', k, this.instance)));
+  },
+
+  on(event, cb) { if (this.listeners[event]) this.listeners[event].push(cb); },
+  off(event, cb) { if (this.listeners[event]) this.listeners[event] = this.listeners[event].filter(c => c !== cb); },
+  emit(event, data) { if (this.listeners[event]) this.listeners[event].forEach(cb => cb(data)); }
+};
+
+window.Settings = Settings;
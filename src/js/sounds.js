@@ -0,0 +1,35 @@
+/**
+ * Ourotus Atlas - Sounds Module v2.0
+ *
+ * Short interface sounds named in config.json (audio.sounds). Each file is loaded the first
+ * time it is played; one that fails to load stays silent instead of being retried.
+ */
+
+const Sounds = {
+  enabled: true,
+  volume: 0.5,
+  sources: {},
+  players: new Map(),
+
+  configure({ enabled = this.enabled, volume = this.volume, sources = this.sources } = {}) {
+    this.enabled = enabled;
+    this.volume = volume;
+    if (sources !== this.sources) { this.sources = sources || {}; this.players.clear(); }
+  },
+
+  play(name) {
+    if (!this.enabled || this.volume <= 0 || !this.sources[name] || typeof Audio === 'undefined') return;
+    let player = this.players.get(name);
+    if (player === null) return;
+    if (!player) {
+      player = new Audio(this.sources[name]);
+      player.onerror = () => this.players.set(name, null);
+      this.players.set(name, player);
+    }
+    player.volume = this.volume;
+    player.currentTime = 0;
+    player.play().catch(() => {});
+  }
+};
+
+window.Sounds = Sounds;
@@ -0,0 +1,193 @@
+/**
+ * Ourotus Atlas - Tab Sync Module v2.0
+ *
+ * Keeps atlas tabs of one browser in step over a BroadcastChannel. After each save a tab
+ * announces which records it wrote; the other tabs on that world read them back from
+ * IndexedDB, so they end up with what was actually stored, and emit a 'remote' change.
+ * A record a tab also has unsaved changes to is a conflict, settled through `onConflict`.
+ * The hexmap is merged hex by hex and item by item (see DB.hexmapParts).
+ * A follower tab (opened with ?follow) never saves and follows the others to whichever
+ * world they open: a read-only display for the players.
+ */
+
+const TabSync = {
+  channelName: 'ourotus-atlas',
+  channel: null,
+  tabId: `tab_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+  follower: false,
+  queue: Promise.resolve(),
+  // Hooks set by the app: flush edits before comparing, ask which version wins, open a world.
+  beforeApply: null,
+  onConflict: null,
+  onWorldOpened: null,
+
+  init({ follower = false } = {}) {
+    this.follower = follower;
+    DB.readOnly = follower;
+    if (typeof BroadcastChannel === 'undefined') return;
+    this.channel = new BroadcastChannel(this.channelName);
+    this.channel.onmessage = e => this.receive(e.data);
+    DB.on('sync', d => { if (d?.written) this.announce(d.written); });
+    DB.on('change', d => { if (d?.type === 'open') this.post({ type: 'open' }); });
+  },
+
+  post(msg) { this.channel?.postMessage({ ...msg, tab: this.tabId, db: DB.name }); },
+
+  announce(written) {
+    const changes = {};
+    written.forEach((ids, table) => { changes[table] = ids === true ? true : [...ids]; });
+    if (Object.keys(changes).length) this.post({ type: 'saved', changes });
+  },
+
+  // Saves are applied one at a time, so a conflict prompt holds back the ones after it.
+  receive(msg) {
+    if (!msg || msg.tab === this.tabId) return;
+    if (msg.type === 'open' && this.follower && msg.db !== DB.name) this.onWorldOpened?.(msg.db);
+    if (msg.type === 'saved' && msg.db === DB.name) {
+      this.queue = this.queue.then(() => this.apply(msg.changes)).catch(e => console.error('Tab sync error:', e));
+    }
+  },
+
+  async apply(changes) {
+    this.beforeApply?.();
+    const stored = await this.read(changes);
+    const conflicts = [];
+    const applied = new Set();
+    Object.entries(stored).forEach(([table, rows]) => {
+      const local = DB.status.pendingChanges.get(table);
+      if (table === 'hexmap' && local !== true && DB.data.hexmap && rows[0]) {
+        const parts = this.mergeHexmap(rows[0], local || new Set(), changes[table]);
+        if (parts.taken) applied.add(table);
+        if (parts.conflicts.length) conflicts.push({ table, id: null, parts: parts.conflicts, mine: DB.data.hexmap, theirs: rows[0] });
+        return;
+      }
+      // Single records and wholly rewritten tables are compared as a whole.
+      if (DB.recordKeys[table] || changes[table] === true) {
+        const theirs = DB.recordKeys[table] ? rows[0] || null : rows;
+        if (!local) { this.set(table, null, theirs); applied.add(table); }
+        else if (!this.same(DB.data[table], theirs)) conflicts.push({ table, id: null, mine: DB.data[table], theirs });
+        return;
+      }
+      const byId = new Map(rows.map(x => [x.id, x]));
+      changes[table].forEach(id => {
+        const theirs = byId.get(id) || null, mine = DB.data[table].find(x => x.id === id) || null;
+        if (this.same(mine, theirs)) return;
+        if (local === true || local?.has(id)) { conflicts.push({ table, id, mine, theirs }); return; }
+        this.set(table, id, theirs);
+        applied.add(table);
+      });
+    });
+    if (applied.size) DB.emit('change', { type: 'remote', tables: [...applied] });
+    for (const c of conflicts) await this.resolve(c);
+  },
+
+  // Keeping ours leaves the change pending, so the next save overwrites theirs. Taking theirs
+  // keeps a revision of our page text first.
+  async resolve(c) {
+    const choice = this.onConflict ? await this.onConflict(c) : 'mine';
+    if (choice !== 'theirs') { DB.scheduleAutoSave(); return; }
+    if (c.table === 'pages' && c.mine) await Revisions.snapshot(c.mine, 'conflict');
+    const pending = DB.status.pendingChanges;
+    if (c.parts) {
+      const theirs = DB.hexmapParts(c.theirs);
+      this.setHexmapParts(new Map(c.parts.map(p => [p, theirs.get(p)])));
+      const local = pending.get(c.table);
+      if (local instanceof Set) c.parts.forEach(p => local.delete(p));
+    } else this.set(c.table, c.id, c.theirs);
+    if ((c.id === null && !c.parts) || pending.get(c.table) === true) pending.delete(c.table);
+    else pending.get(c.table)?.delete(c.id);
+    if (pending.get(c.table)?.size === 0) pending.delete(c.table);
+    if (!pending.size) { DB.status.synced = true; DB.emit('sync', { status: 'synced', timestamp: DB.status.lastCached }); }
+    DB.emit('change', { type: 'remote', tables: [c.table] });
+  },
+
+  // `id` null replaces the whole table (or single record) with `value`; a null `value` for an
+  // id removes that record.
+  set(table, id, value) {
+    if (id === null) { DB.data[table] = value; return; }
+    const list = DB.data[table];
+    const i = list.findIndex(x => x.id === id);
+    if (!value) { if (i !== -1) list.splice(i, 1); }
+    else if (i === -1) list.push(value);
+    else list[i] = value;
+  },
+
+  // Takes each part of their hexmap they announced as changed (`true` for all of it) that
+  // this tab has not changed since its last save. A list's order is never a conflict: ours is
+  // kept if we changed it.
+  mergeHexmap(theirs, local, changed) {
+    const mine = DB.hexmapParts(DB.data.hexmap), other = DB.hexmapParts(theirs);
+    const take = new Map(), conflicts = [];
+    (changed === true ? new Set([...mine.keys(), ...other.keys()]) : new Set(changed)).forEach(part => {
+      if (this.same(mine.get(part), other.get(part))) return;
+      if (!local.has(part)) take.set(part, other.get(part));
+      else if (part.includes('/') || !DB.hexmapLists.includes(part)) conflicts.push(part);
+    });
+    if (take.size) this.setHexmapParts(take);
+    return { taken: take.size, conflicts };
+  },
+
+  // Sets hexmap parts to the given values; undefined removes a part.
+  setHexmapParts(parts) {
+    const hm = DB.data.hexmap;
+    const items = new Map();
+    parts.forEach((value, part) => {
+      const i = part.indexOf('/');
+      if (i !== -1) {
+        const list = part.slice(0, i);
+        if (!items.has(list)) items.set(list, new Map());
+        items.get(list).set(part.slice(i + 1), value);
+      } else if (!DB.hexmapLists.includes(part)) {
+        if (value === undefined) delete hm[part]; else hm[part] = value;
+      }
+    });
+    items.forEach((values, list) => {
+      const keyOf = list === 'hexes' ? h => DB.hexKey(h.q, h.r) : x => x.id;
+      const next = [];
+      (hm[list] || []).forEach(x => {
+        const k = keyOf(x);
+        if (!values.has(k)) next.push(x);
+        else if (values.get(k) !== undefined) { next.push(values.get(k)); values.delete(k); }
+      });
+      values.forEach(v => { if (v !== undefined) next.push(v); });
+      // A new array, so DB's hex index is rebuilt.
+      hm[list] = next;
+    });
+    DB.hexmapLists.forEach(list => {
+      const order = parts.get(list);
+      if (!order || !Array.isArray(hm[list])) return;
+      const at = new Map(order.map((id, i) => [id, i]));
+      hm[list] = [...hm[list]].sort((a, b) => (at.get(a.id) ?? order.length) - (at.get(b.id) ?? order.length));
+    });
+  },
+
+  same(a, b) { return JSON.stringify(a ?? null) === JSON.stringify(b ?? null); },
+
+  // The announced records as stored now, by table; whole tables for `true` and single records.
+  read(changes) {
+    return new Promise((resolve, reject) => {
+      const db = DB.instance;
+      const tables = Object.keys(changes).filter(t => DB.tables.includes(t));
+      if (!db || !tables.length) { resolve({}); return; }
+      const tx = db.transaction(tables, 'readonly');
+      const out = {};
+      tables.forEach(t => {
+        const store = tx.objectStore(t);
+        if (changes[t] === true || DB.recordKeys[t]) {
+          const req = store.getAll();
+          req.onsuccess = () => { out[t] = req.result; };
+          return;
+        }
+        out[t] = [];
+        changes[t].forEach(id => {
+          const req = store.get(id);
+          req.onsuccess = () => { if (req.result) out[t].push(req.result); };
+        });
+      });
+      tx.oncomplete = () => resolve(out);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+};
+
+window.TabSync = TabSync;
@@ -0,0 +1,135 @@
+/**
+ * Ourotus Atlas - Travel Module v2.0
+ *
+ * Cheapest routes between hexes (A* over the axial grid). Each biome has a `moveCost`
+ * (0 or less is impassable) and a `travelSpeed` multiplier on the party's pace; a step
+ * between two hexes on the same road costs `roadCost` and goes at full pace.
+ */
+
+const Travel = {
+  defaults: { pace: 'normal', roads: true },
+  paces: { slow: 18, normal: 24, fast: 30 },
+  roadCost: 0.5,
+  hexMiles: 6,
+
+  milesPerHex() { return DB.data.meta?.hexMiles > 0 ? DB.data.meta.hexMiles : this.hexMiles; },
+
+  moveCost(biome) { return biome ? biome.moveCost ?? 1 : 0; },
+  speed(biome) { return biome?.travelSpeed > 0 ? biome.travelSpeed : 1; },
+
+  // Hexes covered by roads on visible layers, as "q,r" keys; each segment follows DB.hexLine.
+  roadHexes(gm = true) {
+    const keys = new Set();
+    DB.getLayers().forEach(layer => {
+      if (layer.kind !== 'paths' || layer.visible === false || (layer.gmOnly && !gm)) return;
+      DB.getPaths(layer.id).filter(p => p.type === 'road').forEach(p => {
+        p.points.forEach((pt, i) => {
+          const prev = p.points[i - 1];
+          (prev ? DB.hexLine(prev, pt) : [pt]).forEach(h => keys.add(DB.hexKey(h.q, h.r)));
+        });
+      });
+    });
+    return keys;
+  },
+
+  // `include(q, r)` limits the search, e.g. to revealed hexes in player mode. Returns null
+  // when either end is off the map or there is no way through.
+  route(start, end, opts = {}) {
+    const o = { ...this.defaults, ...opts };
+    const include = o.include || (() => true);
+    const biomes = new Map((DB.data.biomes || []).map(b => [b.id, b]));
+    const roads = o.roads ? this.roadHexes(o.gm !== false) : new Set();
+    const cell = (q, r) => {
+      const hex = DB.getHex(q, r);
+      return hex && include(q, r) ? { hex, biome: biomes.get(hex.biomeId), road: roads.has(DB.hexKey(q, r)) } : null;
+    };
+    const from = cell(start.q, start.r), to = cell(end.q, end.r);
+    if (!from || !to || this.moveCost(to.biome) <= 0) return null;
+
+    const costs = [...biomes.values()].map(b => this.moveCost(b)).filter(c => c > 0);
+    if (roads.size) costs.push(this.roadCost);
+    const minStep = Math.min(1, ...costs);
+    const step = (a, b) => (a.road && b.road ? this.roadCost : this.moveCost(b.biome));
+
+    const startKey = DB.hexKey(start.q, start.r), endKey = DB.hexKey(end.q, end.r);
+    const best = new Map([[startKey, 0]]);
+    const came = new Map();
+    const open = this.heap();
+    open.push({ q: start.q, r: start.r, key: startKey, cell: from, g: 0 }, 0);
+    while (open.size()) {
+      const cur = open.pop();
+      if (cur.g > best.get(cur.key)) continue;
+      if (cur.key === endKey) break;
+      DB.hexNeighbors(cur.q, cur.r).forEach(n => {
+        const next = cell(n.q, n.r);
+        if (!next) return;
+        const cost = step(cur.cell, next);
+        if (cost <= 0) return;
+        const key = DB.hexKey(n.q, n.r), g = cur.g + cost;
+        if (g >= (best.get(key) ?? Infinity)) return;
+        best.set(key, g);
+        came.set(key, cur);
+        open.push({ q: n.q, r: n.r, key, cell: next, g }, g + DB.hexDistance(n, end) * minStep);
+      });
+    }
+    if (!best.has(endKey)) return null;
+
+    const hexes = [{ q: end.q, r: end.r }];
+    for (let k = endKey; came.has(k);) { const prev = came.get(k); hexes.unshift({ q: prev.q, r: prev.r }); k = prev.key; }
+    return this.summarize(hexes, best.get(endKey), o, cell);
+  },
+
+  // Distance and days for a found route; days count each hex entered at its biome's speed.
+  summarize(hexes, cost, o, cell) {
+    const miles = this.milesPerHex(), perDay = this.paces[o.pace] || this.paces.normal;
+    const byBiome = {};
+    let days = 0, roadSteps = 0;
+    hexes.forEach((h, i) => {
+      if (!i) return;
+      const a = cell(hexes[i - 1].q, hexes[i - 1].r), b = cell(h.q, h.r);
+      const road = a.road && b.road;
+      if (road) roadSteps++;
+      else { const id = b.hex.biomeId; byBiome[id] = (byBiome[id] || 0) + 1; }
+      days += miles / (perDay * (road ? 1 : this.speed(b.biome)));
+    });
+    const steps = hexes.length - 1;
+    return { start: hexes[0], end: hexes[steps], hexes, cost, steps, miles: steps * miles, days, roadSteps, byBiome, pace: o.pace };
+  },
+
+  // Minimal binary min-heap keyed on `priority`.
+  heap() {
+    const items = [];
+    const swap = (i, j) => { [items[i], items[j]] = [items[j], items[i]]; };
+    return {
+      size: () => items.length,
+      push(value, priority) {
+        items.push({ value, priority });
+        for (let i = items.length - 1; i > 0;) {
+          const p = (i - 1) >> 1;
+          if (items[p].priority <= items[i].priority) break;
+          swap(i, p);
+          i = p;
+        }
+      },
+      pop() {
+        const top = items[0];
+        const last = items.pop();
+        if (items.length) {
+          items[0] = last;
+          for (let i = 0; ;) {
+            const l = 2 * i + 1, r = l + 1;
+            let m = i;
+            if (l < items.length && items[l].priority < items[m].priority) m = l;
+            if (r < items.length && items[r].priority < items[m].priority) m = r;
+            if (m === i) break;
+            swap(i, m);
+            i = m;
+          }
+        }
+        return top.value;
+      }
+    };
+  }
+};
+
+window.Travel = Travel;
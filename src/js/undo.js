@@ -0,0 +1,286 @@
+/**
+ * Ourotus Atlas - Undo/Redo Module v2.0
+ *
+ * Wraps the DB mutators so each call records a snapshot of the tables it touches.
+ * Array tables are snapshotted shallowly: the DB CRUD methods replace records
+ * instead of mutating them, so the old array still holds the old objects. meta is
+ * edited in place and deep-cloned. The hexmap is too big to clone on every edit: its
+ * own fields and small lists are copied shallowly, and hexes one at a time as a step
+ * first edits them.
+ */
+
+const Undo = {
+  limit: 100,
+  coalesceWindow: 2000,
+  undoStack: [],
+  redoStack: [],
+  depth: 0,
+  // The snapshot of the step being run, which hex edits add their old values to.
+  capture: null,
+  // Hexmap lists the DB edits in place. Their records are replaced rather than edited, so a
+  // copy of the list keeps the old state; other hexmap fields are only ever replaced.
+  hexmapLists: ['markers', 'layers', 'paths', 'regions'],
+  listeners: { change: [] },
+
+  commands: {
+    createNotebook: { tables: ['notebooks'], label: d => `Create notebook "${d?.name || 'New Notebook'}"` },
+    updateNotebook: { tables: ['notebooks'], label: id => `Edit notebook "${DB.getNotebook(id)?.name || ''}"` },
+    deleteNotebook: { tables: ['notebooks', 'sections', 'pages'], label: id => `Delete notebook "${DB.getNotebook(id)?.name || ''}"` },
+    createSection: { tables: ['sections'], label: (nbId, d) => `Create section "${d?.name || 'New Section'}"` },
+    updateSection: { tables: ['sections'], label: id => `Edit section "${DB.getSection(id)?.name || ''}"` },
+    deleteSection: { tables: ['sections', 'pages'], label: id => `Delete section "${DB.getSection(id)?.name || ''}"` },
+    createPage: { tables: ['pages'], label: (secId, d) => `Create page "${d?.title || 'New Page'}"` },
+    updatePage: {
+      tables: ['pages'],
+      label: (id, d) => `${'content' in d ? 'Edit' : 'Rename'} page "${DB.getPage(id)?.title || ''}"`,
+      coalesce: (id, d) => `page:${id}:${Object.keys(d).sort().join()}`
+    },
+    deletePage: { tables: ['pages'], label: id => `Delete page "${DB.getPage(id)?.title || ''}"` },
+    moveNotebook: { tables: ['notebooks'], label: id => `Move notebook "${DB.getNotebook(id)?.name || ''}"` },
+    moveSection: { tables: ['sections'], label: id => `Move section "${DB.getSection(id)?.name || ''}"` },
+    movePage: { tables: ['pages'], label: id => `Move page "${DB.getPage(id)?.title || ''}"` },
+    createBiome: { tables: ['biomes'], label: d => `Create biome "${d?.name || 'New Biome'}"` },
+    updateBiome: { tables: ['biomes'], label: id => `Edit biome "${DB.getBiome(id)?.name || ''}"` },
+    deleteBiome: { tables: ['biomes'], label: id => `Delete biome "${DB.getBiome(id)?.name || ''}"` },
+    createTexture: { tables: ['textures'], label: d => `Upload texture "${d?.name || 'Texture'}"` },
+    deleteTexture: { tables: ['textures'], label: id => `Delete texture "${DB.getTexture(id)?.name || ''}"` },
+    createCelestial: { tables: ['celestial'], label: d => `Add ${d?.type || 'moon'} "${d?.name || ''}"` },
+    updateCelestial: {
+      tables: ['celestial'],
+      label: id => `Edit "${DB.getCelestial(id)?.name || ''}"`,
+      coalesce: (id, d) => `celestial:${id}:${Object.keys(d).sort().join()}`
+    },
+    deleteCelestial: { tables: ['celestial'], label: id => `Delete "${DB.getCelestial(id)?.name || ''}"` },
+    updateMeta: {
+      tables: ['meta'],
+      label: d => 'calendar' in d ? 'Edit calendar' : 'currentDay' in d ? 'Change date' : 'Edit world settings',
+      coalesce: d => `meta:${Object.keys(d).sort().join()}`
+    },
+    setHexmap: { tables: ['hexmap'], label: () => 'Replace map' },
+    updateHex: {
+      tables: ['hexmap'],
+      label: (q, r, d) => `Edit hex (${q}, ${r}) ${Object.keys(d).join(', ')}`,
+      coalesce: (q, r, d) => `hex:${q},${r}:${Object.keys(d).sort().join()}`
+    },
+    updateHexes: { tables: ['hexmap'], label: changes => `Paint ${changes.length} hex${changes.length === 1 ? '' : 'es'}` },
+    setRevealed: { tables: ['hexmap'], label: (hexes, revealed = true) => `${revealed ? 'Reveal' : 'Hide'} ${hexes.length} hex${hexes.length === 1 ? '' : 'es'}` },
+    createMarker: { tables: ['hexmap'], label: d => `Add marker "${d?.name || 'New Marker'}"` },
+    updateMarker: {
+      tables: ['hexmap'],
+      label: (id, d) => `${'q' in d ? 'Move' : 'Edit'} marker "${DB.getMarker(id)?.name || ''}"`,
+      coalesce: (id, d) => `marker:${id}:${Object.keys(d).sort().join()}`
+    },
+    deleteMarker: { tables: ['hexmap'], label: id => `Delete marker "${DB.getMarker(id)?.name || ''}"` },
+    createLayer: { tables: ['hexmap'], label: d => `Add layer "${d?.name || (d?.kind === 'regions' ? 'Regions' : 'Rivers & Roads')}"` },
+    updateLayer: {
+      tables: ['hexmap'],
+      label: (id, d) => `${'visible' in d ? (d.visible ? 'Show' : 'Hide') : 'Edit'} layer "${DB.getLayer(id)?.name || ''}"`,
+      coalesce: (id, d) => `layer:${id}:${Object.keys(d).sort().join()}`
+    },
+    deleteLayer: { tables: ['hexmap'], label: id => `Delete layer "${DB.getLayer(id)?.name || ''}"` },
+    moveLayer: { tables: ['hexmap'], label: id => `Reorder layer "${DB.getLayer(id)?.name || ''}"` },
+    createPath: { tables: ['hexmap'], label: d => `Draw ${d?.type === 'road' ? 'road' : 'river'}` },
+    updatePath: {
+      tables: ['hexmap'],
+      label: id => `Edit path "${DB.getPath(id)?.name || ''}"`,
+      coalesce: (id, d) => `path:${id}:${Object.keys(d).sort().join()}`
+    },
+    deletePath: { tables: ['hexmap'], label: id => `Delete path "${DB.getPath(id)?.name || ''}"` },
+    createRegion: { tables: ['hexmap'], label: d => `Create region "${d?.name || 'New Region'}"` },
+    updateRegion: {
+      tables: ['hexmap'],
+      label: (id, d) => `${'hexes' in d ? 'Paint' : 'Edit'} region "${DB.getRegion(id)?.name || ''}"`,
+      coalesce: (id, d) => 'hexes' in d ? null : `region:${id}:${Object.keys(d).sort().join()}`
+    },
+    deleteRegion: { tables: ['hexmap'], label: id => `Delete region "${DB.getRegion(id)?.name || ''}"` }
+  },
+
+  install() {
+    Object.entries(this.commands).forEach(([name, cmd]) => {
+      const original = DB[name];
+      if (typeof original !== 'function') return;
+      DB[name] = (...args) => this.record(cmd, args, () => original.apply(DB, args));
+    });
+    const upsertHex = DB.upsertHex;
+    DB.upsertHex = (q, r, d) => { this.captureHex(q, r); return upsertHex.call(DB, q, r, d); };
+    DB.on('change', d => {
+      if (['import', 'reset', 'open'].includes(d?.type)) this.clear();
+      else if (d?.type === 'remote') this.forget(d.tables);
+    });
+  },
+
+  // Drops steps touching tables another tab has changed; undoing them would put back stale data.
+  forget(tables) {
+    const keep = e => !e.tables.some(t => tables.includes(t));
+    this.undoStack = this.undoStack.filter(keep);
+    this.redoStack = this.redoStack.filter(keep);
+    this.emit('change', this.getState());
+  },
+
+  // Runs `fn` as one history step; mutators called inside it are not recorded separately.
+  batch(label, tables, fn) {
+    return this.record({ tables, label: () => label }, [], fn);
+  },
+
+  // A call that continues the previous step (same coalesce key, soon enough) takes no snapshot
+  // of its own; hexes it edits for the first time are added to that step's.
+  record(cmd, args, run) {
+    if (this.depth > 0) return run();
+    const label = cmd.label(...args);
+    const key = cmd.coalesce?.(...args);
+    const top = this.undoStack[this.undoStack.length - 1];
+    const merge = key && top?.key === key && Date.now() - top.time < this.coalesceWindow;
+    const before = merge ? top.before : this.snapshot(cmd.tables);
+    let result;
+    this.depth++;
+    this.capture = before;
+    try { result = run(); } finally { this.depth--; this.capture = null; }
+    if (result === null || result === false) return result;
+
+    const now = Date.now();
+    if (merge) top.time = now;
+    else {
+      this.undoStack.push({ label, tables: cmd.tables, before, key, time: now });
+      if (this.undoStack.length > this.limit) this.undoStack.shift();
+    }
+    this.redoStack = [];
+    this.emit('change', this.getState());
+    return result;
+  },
+
+  // `like` is a snapshot of the same tables whose hexes are to be copied now as well; undo and
+  // redo use it to keep the state they are about to replace.
+  snapshot(tables, like = null) {
+    const snap = {};
+    tables.forEach(t => {
+      const v = DB.data[t];
+      if (t === 'hexmap') snap[t] = this.snapshotHexmap(like?.hexmap);
+      else snap[t] = Array.isArray(v) ? [...v] : (v ? structuredClone(v) : v);
+    });
+    return snap;
+  },
+
+  snapshotHexmap(like) {
+    const hm = DB.data.hexmap;
+    const fields = {};
+    if (hm) Object.entries(hm).forEach(([k, v]) => { if (k !== 'hexes') fields[k] = this.hexmapLists.includes(k) && Array.isArray(v) ? [...v] : v; });
+    const hexes = new Map();
+    like?.hexes.forEach((old, key) => hexes.set(key, this.copyHex(key)));
+    return { ref: hm, fields, hexes };
+  },
+
+  copyHex(key) {
+    const [q, r] = key.split(',').map(Number);
+    const hex = DB.getHex(q, r);
+    return hex ? { ...hex } : null;
+  },
+
+  // Called before DB.upsertHex edits a hex: keeps its old fields, or null for a new hex, the
+  // first time the running step touches it. Not once the step has replaced the whole hexmap,
+  // since restoring the old hexmap object brings back its hexes anyway.
+  captureHex(q, r) {
+    const snap = this.capture?.hexmap;
+    const key = DB.hexKey(q, r);
+    if (!snap || snap.ref !== DB.data.hexmap || snap.hexes.has(key)) return;
+    snap.hexes.set(key, this.copyHex(key));
+  },
+
+  // Puts back the hexmap object with its fields, then each recorded hex. Hexes are reset in
+  // place, as the same objects can also be held by an older hexmap further down the stack.
+  // Returns the DB.hexmapParts keys it changed, or null when it swapped the whole hexmap.
+  restoreHexmap(snap) {
+    const hm = snap.ref;
+    const parts = hm && hm === DB.data.hexmap ? this.hexmapChanges(hm, snap) : null;
+    DB.data.hexmap = hm;
+    if (!hm) return parts;
+    Object.keys(hm).forEach(k => { if (k !== 'hexes' && !(k in snap.fields)) delete hm[k]; });
+    Object.entries(snap.fields).forEach(([k, v]) => { hm[k] = this.hexmapLists.includes(k) && Array.isArray(v) ? [...v] : v; });
+    if (!snap.hexes.size) return parts;
+    const seen = new Set();
+    const hexes = (hm.hexes || []).filter(h => {
+      const key = DB.hexKey(h.q, h.r), old = snap.hexes.get(key);
+      if (old === undefined) return true;
+      seen.add(key);
+      if (!old) return false;
+      Object.keys(h).forEach(k => delete h[k]);
+      Object.assign(h, old);
+      return true;
+    });
+    snap.hexes.forEach((old, key) => { if (old && !seen.has(key)) hexes.push({ ...old }); });
+    // A new array, so DB's hex index is rebuilt.
+    hm.hexes = hexes;
+    return parts;
+  },
+
+  // What restoring `snap` into `hm` changes, as DB.hexmapParts keys.
+  hexmapChanges(hm, snap) {
+    const parts = [...snap.hexes.keys()].map(k => `hexes/${k}`);
+    new Set([...Object.keys(hm), ...Object.keys(snap.fields)]).forEach(k => {
+      if (k === 'hexes' || hm[k] === snap.fields[k]) return;
+      if (!this.hexmapLists.includes(k)) { parts.push(k); return; }
+      const cur = Array.isArray(hm[k]) ? hm[k] : [], old = Array.isArray(snap.fields[k]) ? snap.fields[k] : [];
+      const was = new Map(cur.map(x => [x.id, x]));
+      if (cur.map(x => x.id).join() !== old.map(x => x.id).join()) parts.push(k);
+      old.forEach(x => { if (was.get(x.id) !== x) parts.push(`${k}/${x.id}`); was.delete(x.id); });
+      was.forEach((x, id) => parts.push(`${k}/${id}`));
+    });
+    return parts;
+  },
+
+  // Only records whose object differs between the two arrays are marked for saving.
+  restore(snap) {
+    Object.entries(snap).forEach(([t, v]) => {
+      if (t === 'hexmap') { DB.markModified(t, this.restoreHexmap(v)); return; }
+      const cur = DB.data[t];
+      DB.data[t] = Array.isArray(v) ? [...v] : (v ? structuredClone(v) : v);
+      if (!Array.isArray(v) || !Array.isArray(cur)) { DB.markModified(t); return; }
+      const was = new Map(cur.map(x => [x.id, x]));
+      const kept = new Set(v);
+      const ids = new Set(cur.filter(x => !kept.has(x)).map(x => x.id));
+      v.forEach(x => { if (was.get(x.id) !== x) ids.add(x.id); });
+      if (ids.size) DB.markModified(t, [...ids]);
+    });
+    DB.emit('change', { type: 'history', tables: Object.keys(snap) });
+  },
+
+  undo() {
+    const entry = this.undoStack.pop();
+    if (!entry) return null;
+    const current = this.snapshot(entry.tables, entry.before);
+    this.restore(entry.before);
+    this.redoStack.push({ ...entry, before: current, key: null });
+    this.emit('change', this.getState());
+    return entry;
+  },
+
+  redo() {
+    const entry = this.redoStack.pop();
+    if (!entry) return null;
+    const current = this.snapshot(entry.tables, entry.before);
+    this.restore(entry.before);
+    this.undoStack.push({ ...entry, before: current, key: null });
+    this.emit('change', this.getState());
+    return entry;
+  },
+
+  clear() {
+    this.undoStack = [];
+    this.redoStack = [];
+    this.emit('change', this.getState());
+  },
+
+  getState() {
+    return {
+      undo: this.undoStack[this.undoStack.length - 1]?.label || null,
+      redo: this.redoStack[this.redoStack.length - 1]?.label || null,
+      undoCount: this.undoStack.length,
+      redoCount: this.redoStack.length
+    };
+  },
+
+  on(event, cb) { if (this.listeners[event]) this.listeners[event].push(cb); },
+  off(event, cb) { if (this.listeners[event]) this.listeners[event] = this.listeners[event].filter(c => c !== cb); },
+  emit(event, data) { if (this.listeners[event]) this.listeners[event].forEach(cb => cb(data)); }
+};
+
+window.Undo = Undo;
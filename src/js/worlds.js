@@ -0,0 +1,169 @@
+/**
+ * Ourotus Atlas - Worlds Module v2.0
+ *
+ * Registry of worlds (one per campaign). Each world is its own IndexedDB database loaded
+ * through DB.init; the registry is a separate small database of names, thumbnails and
+ * open times. The first world keeps the original database, so existing data carries over.
+ */
+
+const Worlds = {
+  registryName: 'OurotusAtlasWorlds',
+  legacyDbName: 'OurotusAtlasDB',
+  storageKey: 'ourotus.world',
+  instance: null,
+  list: [],
+  current: null,
+
+  // Loads the registry and returns the world to open: the last one opened in this browser.
+  async init() {
+    try {
+      this.instance = await this.openRegistry();
+      this.list = await DB.getAll('worlds', this.instance);
+    } catch (e) { console.error('World registry unavailable:', e); }
+    if (!this.list.length) {
+      await this.save({ id: 'world_default', name: 'Ourotus Atlas', dbName: this.legacyDbName, createdAt: new Date().toISOString(), openedAt: null });
+    }
+    return this.get(localStorage.getItem(this.storageKey)) || this.sorted()[0];
+  },
+
+  openRegistry() {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.registryName, 1);
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => resolve(request.result);
+      request.onupgradeneeded = (e) => e.target.result.createObjectStore('worlds', { keyPath: 'id' });
+    });
+  },
+
+  // The registry entry for a world kept on a collaboration server (see Collab), added the first
+  // time this browser loads the app from that server.
+  async shared(name, dbName) {
+    const world = this.list.find(w => w.dbName === dbName);
+    if (world) return world;
+    return this.save({ id: `world_shared_${Date.now()}`, name, dbName, shared: true, createdAt: new Date().toISOString(), openedAt: null });
+  },
+
+  get(id) { return this.list.find(w => w.id === id); },
+  hasStoredChoice() { return !!this.get(localStorage.getItem(this.storageKey)); },
+
+  // Most recently opened first; never-opened worlds last, newest first.
+  sorted() {
+    return [...this.list].sort((a, b) => String(b.openedAt || '').localeCompare(String(a.openedAt || '')) || String(b.createdAt).localeCompare(String(a.createdAt)));
+  },
+
+  async save(world) {
+    const i = this.list.findIndex(w => w.id === world.id);
+    if (i === -1) this.list.push(world); else this.list[i] = world;
+    if (this.instance) await DB.put('worlds', world, this.instance);
+    return world;
+  },
+
+  // Saves and thumbnails the open world, then loads `id` into DB.
+  async open(id) {
+    const world = this.get(id);
+    if (!world) throw new Error('World not found');
+    await this.leave();
+    const ok = await DB.init(world.dbName);
+    localStorage.setItem(this.storageKey, id);
+    this.current = await this.save({ ...world, name: DB.data.meta?.name || world.name, openedAt: new Date().toISOString() });
+    return ok;
+  },
+
+  async leave() {
+    if (!this.current) return;
+    if (!DB.status.synced) await DB.saveAllToCache();
+    await this.refreshCurrent();
+  },
+
+  // Picks up the open world's name and map, e.g. before showing the world list.
+  async refreshCurrent() {
+    if (!this.current) return;
+    this.current = await this.save({ ...this.get(this.current.id), name: DB.data.meta?.name || this.current.name, thumbnail: this.thumbnail(DB.data) });
+  },
+
+  // `data` holds the new world's tables; meta is given the new name.
+  async create(name, data) {
+    const id = `world_${Date.now()}`;
+    const world = { id, name, dbName: `${this.legacyDbName}_${id}`, createdAt: new Date().toISOString(), openedAt: null };
+    const tables = { ...DB.emptyData(), ...structuredClone(data) };
+    tables.meta = { ...(tables.meta || {}), id: 'world_meta', name, schemaVersion: tables.meta?.schemaVersion || Schema.version };
+    const db = await DB.openDB(world.dbName);
+    try { await DB.writeTables(tables, db); } finally { db.close(); }
+    world.thumbnail = this.thumbnail(tables);
+    return this.save(world);
+  },
+
+  // A new world with the sample world's biomes, sky and calendar but no map or lore.
+  async createBlank(name) {
+    const d = await DB.fetchDefaults();
+    return this.create(name, { meta: { subtitle: 'World Builder', calendar: d.meta?.calendar, currentDay: 0 }, biomes: d.biomes || [], celestial: d.celestial || [] });
+  },
+
+  async createSample(name) { return this.create(name, await DB.fetchDefaults()); },
+
+  async duplicate(id) {
+    const world = this.get(id);
+    if (!world) throw new Error('World not found');
+    if (world.id === this.current?.id) await this.leave();
+    return this.create(`${world.name} (copy)`, await this.readWorld(world));
+  },
+
+  async rename(id, name) {
+    const world = this.get(id);
+    if (!world || !name) return null;
+    if (world.id === this.current?.id) DB.updateMeta({ name });
+    else {
+      const db = await DB.openDB(world.dbName);
+      try {
+        const [meta] = await DB.getAll('meta', db);
+        await DB.put('meta', { ...(meta || { id: 'world_meta' }), name }, db);
+      } finally { db.close(); }
+    }
+    const saved = await this.save({ ...world, name });
+    if (world.id === this.current?.id) this.current = saved;
+    return saved;
+  },
+
+  async remove(id) {
+    const world = this.get(id);
+    if (!world) return false;
+    if (world.id === this.current?.id) throw new Error('Switch to another world before deleting this one');
+    await DB.deleteDatabase(world.dbName);
+    this.list = this.list.filter(w => w.id !== id);
+    if (this.instance) await DB.delete('worlds', id, this.instance);
+    if (localStorage.getItem(this.storageKey) === id) localStorage.removeItem(this.storageKey);
+    return true;
+  },
+
+  async readWorld(world) {
+    if (world.id === this.current?.id) return structuredClone(DB.data);
+    const db = await DB.openDB(world.dbName);
+    try { return await DB.readTables(db); } finally { db.close(); }
+  },
+
+  // Small PNG of the hexmap, one dot per hex in its biome colour. Null for an empty map.
+  thumbnail(data, width = 240, height = 150) {
+    const hexes = data.hexmap?.hexes || [];
+    if (!hexes.length || typeof document === 'undefined') return null;
+    const colors = new Map((data.biomes || []).map(b => [b.id, b.color]));
+    const points = hexes.map(h => ({ x: 1.5 * h.q, y: Math.sqrt(3) * (h.r + h.q / 2), color: colors.get(h.biomeId) || '#333' }));
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    points.forEach(p => { minX = Math.min(minX, p.x); maxX = Math.max(maxX, p.x); minY = Math.min(minY, p.y); maxY = Math.max(maxY, p.y); });
+    const scale = Math.min(width / (maxX - minX + 2), height / (maxY - minY + 2));
+    const dot = Math.max(1, Math.ceil(scale * 1.8));
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#0a0a0f';
+    ctx.fillRect(0, 0, width, height);
+    const ox = (width - (maxX - minX) * scale) / 2, oy = (height - (maxY - minY) * scale) / 2;
+    points.forEach(p => {
+      ctx.fillStyle = p.color;
+      ctx.fillRect(Math.floor(ox + (p.x - minX) * scale - dot / 2), Math.floor(oy + (p.y - minY) * scale - dot / 2), dot, dot);
+    });
+    return canvas.toDataURL('image/png');
+  }
+};
+
+window.Worlds = Worlds;
@@ -0,0 +1,90 @@
+/**
+ * Ourotus Atlas - Map Editing Tests
+ *
+ * Node built-ins only: node --test test/
+ * Loads the browser's DB and HexMap modules in a context of their own and drives the map with
+ * mouse events on a canvas stand-in. Nothing is drawn: without a 2D context HexMap skips its
+ * repaints.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+function atlas() {
+  const ctx = { console, structuredClone, setTimeout, clearTimeout, Map, Set, JSON };
+  ctx.window = ctx;
+  vm.createContext(ctx);
+  const root = path.join(__dirname, '..', 'src', 'js');
+  ['db.js', 'hexmap.js'].forEach(f => vm.runInContext(fs.readFileSync(path.join(root, f), 'utf8'), ctx, { filename: f }));
+  vm.runInContext(`
+    DB.scheduleAutoSave = () => {};
+    DB.data.hexmap = { settings: { width: 4, height: 4 }, hexes: [], markers: [] };
+    for (let q = 0; q < 4; q++) for (let r = 0; r < 4; r++) DB.data.hexmap.hexes.push({ q, r, biomeId: 'plains', label: '', notes: '' });
+    HexMap.canvas = { style: {}, getBoundingClientRect: () => ({ left: 0, top: 0 }) };
+    HexMap.setHexSize(30);`, ctx);
+  return { ctx, run: code => vm.runInContext(code, ctx) };
+}
+
+// Mouse coordinates of a hex centre (the view is not panned or zoomed).
+function at(map, q, r) {
+  const p = map.run(`HexMap.hexToPixel(${q}, ${r})`);
+  return { button: 0, clientX: p.x, clientY: p.y };
+}
+
+function drag(map, from, to) {
+  map.ctx.down = from;
+  map.ctx.move = to;
+  map.run('HexMap.onMouseDown(down); HexMap.onMouseMove(move); HexMap.onMouseUp();');
+}
+
+test('markers', async t => {
+  await t.test('are moved by dragging them', () => {
+    const map = atlas();
+    const id = map.run(`DB.createMarker({ name: 'Keep', q: 1, r: 1 }).id`);
+    const p = at(map, 1, 1);
+    drag(map, { ...p, clientY: p.clientY - 10 }, at(map, 2, 1));
+    assert.strictEqual(map.run(`DB.getMarker('${id}').q`), 2);
+  });
+
+  await t.test('stay put in player mode, where a drag pans the map', () => {
+    const map = atlas();
+    const id = map.run(`DB.createMarker({ name: 'Keep', q: 1, r: 1 }).id`);
+    map.run(`HexMap.playerMode = true; DB.isRevealed = () => true; DB.updateMarker = () => { throw new Error('marker changed'); };`);
+    const p = at(map, 1, 1), to = at(map, 2, 1);
+    drag(map, { ...p, clientY: p.clientY - 10 }, to);
+    assert.strictEqual(map.run(`DB.getMarker('${id}').q`), 1);
+    assert.strictEqual(map.run('HexMap.view.offsetX'), to.clientX - p.clientX);
+  });
+
+  await t.test('go back where they were when dragged off the canvas', () => {
+    const map = atlas();
+    const id = map.run(`DB.createMarker({ name: 'Keep', q: 1, r: 1 }).id`);
+    const p = at(map, 1, 1);
+    map.ctx.down = { ...p, clientY: p.clientY - 10 };
+    map.ctx.move = at(map, 3, 1);
+    map.run('HexMap.onMouseDown(down); HexMap.onMouseMove(move); HexMap.onMouseLeave();');
+    assert.strictEqual(map.run(`DB.getMarker('${id}').q`), 1);
+    assert.strictEqual(map.run('HexMap.state.markerDrag'), null);
+  });
+});
+
+test('painting', async t => {
+  await t.test('a brush stroke off the edge paints only hexes on the map', () => {
+    const map = atlas();
+    map.run(`HexMap.setTool('brush', { biomeId: 'desert' })`);
+    drag(map, at(map, 2, 1), at(map, 7, 1));
+    assert.strictEqual(map.run('DB.data.hexmap.hexes.length'), 16);
+    assert.strictEqual(map.run(`DB.getHexesByBiome('desert').map(h => h.q).join()`), '2,3');
+  });
+
+  await t.test('a fill outside the map does nothing', () => {
+    const map = atlas();
+    map.run(`HexMap.setTool('fill', { biomeId: 'desert' })`);
+    drag(map, at(map, 9, 9), at(map, 9, 9));
+    assert.strictEqual(map.run('DB.data.hexmap.hexes.length'), 16);
+    assert.strictEqual(map.run(`DB.getHexesByBiome('desert').length`), 0);
+  });
+});
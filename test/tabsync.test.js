@@ -0,0 +1,74 @@
+/**
+ * Ourotus Atlas - Tab Sync Tests
+ *
+ * Node built-ins only: node --test test/
+ * Applies another tab's saved hexmap to a tab with unsaved map edits. IndexedDB is left out:
+ * the other tab's record is handed to TabSync.apply as if read back from the store.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+function tab() {
+  const ctx = { console, structuredClone, setTimeout, clearTimeout, Map, Set, JSON, Promise, conflicts: [], choice: 'mine' };
+  ctx.window = ctx;
+  vm.createContext(ctx);
+  const root = path.join(__dirname, '..', 'src', 'js');
+  ['db.js', 'tabsync.js'].forEach(f => vm.runInContext(fs.readFileSync(path.join(root, f), 'utf8'), ctx, { filename: f }));
+  vm.runInContext(`
+    DB.scheduleAutoSave = () => {};
+    DB.data.hexmap = { settings: { width: 3, height: 3 }, hexes: [], markers: [{ id: 'mk_1', q: 0, r: 0, name: 'Camp' }] };
+    for (let q = 0; q < 3; q++) for (let r = 0; r < 3; r++) DB.data.hexmap.hexes.push({ q, r, biomeId: 'plains', label: '', notes: '' });
+    var saved = structuredClone({ ...DB.data.hexmap, id: 'world_hexmap' });
+    TabSync.read = async () => ({ hexmap: [saved] });
+    TabSync.onConflict = c => { conflicts.push(c.parts.join(' ')); return Promise.resolve(choice); };`, ctx);
+  return { ctx, run: code => vm.runInContext(code, ctx) };
+}
+
+test('hexmap edits from another tab', async t => {
+  await t.test('are merged with unsaved edits to other hexes and markers', async () => {
+    const a = tab();
+    a.run(`DB.updateHex(0, 0, { biomeId: 'forest' });
+      saved.hexes.find(h => h.q === 2 && h.r === 2).biomeId = 'desert';
+      saved.markers.push({ id: 'mk_2', q: 1, r: 1, name: 'Ford' });`);
+    await a.run(`TabSync.apply({ hexmap: ['hexes/2,2', 'markers', 'markers/mk_2'] })`);
+    assert.strictEqual(a.run('conflicts.length'), 0);
+    assert.strictEqual(a.run('DB.getHex(0, 0).biomeId'), 'forest');
+    assert.strictEqual(a.run('DB.getHex(2, 2).biomeId'), 'desert');
+    assert.strictEqual(a.run(`DB.getMarkers().map(m => m.id).join()`), 'mk_1,mk_2');
+    assert.strictEqual(a.run(`[...DB.status.pendingChanges.get('hexmap')].join()`), 'hexes/0,0');
+  });
+
+  await t.test('conflict only where both tabs changed the same hex', async () => {
+    const a = tab();
+    a.run(`DB.updateHex(0, 0, { biomeId: 'forest' }); DB.updateMarker('mk_1', { name: 'Fort' });
+      saved.hexes.find(h => h.q === 0 && h.r === 0).biomeId = 'swamp';
+      saved.hexes.find(h => h.q === 1 && h.r === 0).biomeId = 'desert';`);
+    await a.run(`TabSync.apply({ hexmap: ['hexes/0,0', 'hexes/1,0'] })`);
+    assert.strictEqual(a.run('conflicts.join()'), 'hexes/0,0');
+    assert.strictEqual(a.run('DB.getHex(0, 0).biomeId'), 'forest');
+    assert.strictEqual(a.run('DB.getHex(1, 0).biomeId'), 'desert');
+    assert.strictEqual(a.run('DB.getMarker("mk_1").name'), 'Fort');
+  });
+
+  await t.test('are compared part by part when the whole map was rewritten', async () => {
+    const a = tab();
+    a.run(`DB.updateHex(0, 0, { biomeId: 'forest' }); saved.hexes.find(h => h.q === 2 && h.r === 2).biomeId = 'desert';`);
+    await a.run(`TabSync.apply({ hexmap: true })`);
+    assert.strictEqual(a.run('conflicts.join()'), 'hexes/0,0');
+    assert.strictEqual(a.run('DB.getHex(2, 2).biomeId'), 'desert');
+  });
+
+  await t.test('taking theirs replaces just the conflicting hex', async () => {
+    const a = tab();
+    a.run(`choice = 'theirs'; DB.updateHex(0, 0, { biomeId: 'forest' }); DB.updateMarker('mk_1', { name: 'Fort' });
+      saved.hexes.find(h => h.q === 0 && h.r === 0).biomeId = 'swamp';`);
+    await a.run(`TabSync.apply({ hexmap: ['hexes/0,0'] })`);
+    assert.strictEqual(a.run('DB.getHex(0, 0).biomeId'), 'swamp');
+    assert.strictEqual(a.run('DB.getMarker("mk_1").name'), 'Fort');
+    assert.strictEqual(a.run(`[...DB.status.pendingChanges.get('hexmap')].join()`), 'markers/mk_1');
+  });
+});